@@ -1,4 +1,6 @@
 import { config as appConfig } from '../src/utils/config.js';
+import recordingManager from '../src/utils/recordingManager.js';
+import networkProxy from '../src/utils/networkProxy.js';
 
 export const config = {
     // ==================================
@@ -74,6 +76,20 @@ export const config = {
         global.allure = none;
     },
 
+    onPrepare: async function () {
+        // Remove screen recordings past the retention period
+        recordingManager.cleanupOldRecordings();
+
+        // Start the network proxy shared by all workers
+        if (networkProxy.isEnabled()) {
+            await networkProxy.start();
+        }
+    },
+
+    onComplete: async function () {
+        await networkProxy.stop();
+    },
+
     beforeSession: function () {
         console.log('Looking for specs in:', `./src/apps/${process.env.APP_NAME}/tests/**/*.test.js`);
     }
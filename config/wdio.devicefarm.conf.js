@@ -2,7 +2,15 @@ import { config as baseConfig } from './wdio.conf.js';
 import { config as appConfig } from '../src/utils/config.js';
 import deviceFarmManager from '../src/utils/deviceFarmManager.js';
 import testDataManager from '../src/utils/testDataManager.js';
+import failureArtifactCollector from '../src/utils/failureArtifacts.js';
+import recordingManager from '../src/utils/recordingManager.js';
+import deviceLogService from '../src/utils/deviceLogService.js';
+import networkProxyClient from '../src/utils/networkProxyClient.js';
+import systemDialogHandler from '../src/utils/systemDialogHandler.js';
+import { DeviceControl } from '../src/utils/deviceControl.js';
 import ParallelReporter from '../src/utils/parallelReporter.js';
+import { getTestPriority } from '../src/utils/waitQueue.js';
+import { getDeviceRequirements } from '../src/utils/deviceMatcher.js';
 import path from 'path';
 import fs from 'fs';
 
@@ -17,6 +25,22 @@ if (!global.testContext) {
     global.testContext = {};
 }
 
+/**
+ * Run a test teardown step, logging its failure so the remaining steps still run
+ * @param {string} description - Step description for the log
+ * @param {Function} step - Step to run
+ * @param {any} fallback - Result to use when the step fails
+ * @returns {Promise<any>} Result of the step, or the fallback
+ */
+async function runTeardownStep(description, step, fallback = null) {
+    try {
+        return await step();
+    } catch (err) {
+        console.error(`[Device Farm] Failed to ${description}:`, err);
+        return fallback;
+    }
+}
+
 // Initialize Device Farm connection
 (async () => {
     await deviceFarmManager.initialize();
@@ -27,7 +51,7 @@ export const config = {
     ...baseConfig,
     
     // Maximum parallel instances to run
-    maxInstances: process.env.MAX_INSTANCES ? parseInt(process.env.MAX_INSTANCES) : 10,
+    maxInstances: process.env.MAX_INSTANCES ? parseInt(process.env.MAX_INSTANCES, 10) : 10,
     
     // Use Appium Grid to handle the sessions
     hostname: process.env.DEVICE_FARM_URL || 'localhost',
@@ -86,23 +110,37 @@ export const config = {
         const capabilities = {
             ...baseCapabilities,
             'appium:testId': context.testId,
-            'appium:testName': test.title
+            'appium:testName': test.title,
+            // Pre-grant permissions when SYSTEM_DIALOG_GRANT_PERMISSIONS=true
+            ...systemDialogHandler.getSessionCapabilities(platform)
         };
         
-        // Request a device from the device farm
+        // Request the best device for the test's requirements (tags such as @tablet or @os:>=14),
+        // waiting in the queue while none is free
+        // (throws DeviceAllocationError on failure, if none matches or if none becomes free in time)
+        const fullTitle = test.fullTitle || test.title;
         const allocation = await deviceFarmManager.requestDevice(
             platform, 
             capabilities, 
-            context.testId
+            context.testId,
+            {
+                priority: getTestPriority(fullTitle),
+                requirements: getDeviceRequirements(fullTitle)
+            }
         );
         
-        if (!allocation) {
-            throw new Error(`No available ${platform} devices for test: ${context.testId}`);
-        }
-        
         // Store device information in test context
         context.deviceAllocation = allocation;
         
+        // Start the test's session on the allocated device
+        // The session WebdriverIO opened before the test was created without it
+        await browser.reloadSession({
+            ...browser.requestedCapabilities,
+            ...capabilities,
+            'appium:udid': allocation.device.udid || allocation.device.id,
+            ...(allocation.device.name ? { 'appium:deviceName': allocation.device.name } : {})
+        });
+        
         // Initialize isolated test data
         const baseTestData = {
             platform,
@@ -120,6 +158,22 @@ export const config = {
             global.testContext[context.testId].deviceAllocation = allocation;
         }
         
+        // Start tracking the test window for failure artifacts, recordings and device logs
+        await failureArtifactCollector.start(browser, context.testId);
+        await recordingManager.start(browser, context.testId);
+        await deviceLogService.start(browser, context.testId);
+        
+        if (networkProxyClient.isEnabled()) {
+            // Device farm devices cannot be told apart by address, so each test gets a proxy port
+            // of its own; all traffic the test's app sends to that port is the test's
+            const { port } = await networkProxyClient.startTest(context.testId, { dedicatedPort: true });
+            context.networkProxyPort = port;
+            if (global.testContext[context.testId]) {
+                global.testContext[context.testId].networkProxyPort = port;
+            }
+            console.log(`[Device Farm] Network proxy port for test ${context.testId}: ${port}`);
+        }
+        
         console.log(`[Device Farm] Test "${test.title}" running on device: ${allocation.device.name || allocation.device.id} with testId: ${context.testId}`);
     },
     
@@ -127,30 +181,44 @@ export const config = {
     afterTest: async function (test, context, { error, result, duration, passed, retries }) {
         const testId = context.testId;
         
-        // Save screenshot on failure
-        if (!passed) {
-            const timestamp = new Date().toISOString().replace(/:/g, '-');
-            const screenshotPath = path.join(screenshotsDir, `${testId}_${timestamp}.png`);
+        try {
+            // A crash in the device log counts as a failure for recordings and artifacts
+            const { entries, crashError } = await runTeardownStep(`stop device log for test ${testId}`,
+                () => deviceLogService.stop(testId), { entries: null, crashError: null });
+            const failed = !passed || Boolean(crashError);
             
-            try {
-                await browser.saveScreenshot(screenshotPath);
-                console.log(`[Device Farm] Test failed. Screenshot saved to: ${screenshotPath}`);
-            } catch (err) {
-                console.error(`[Device Farm] Failed to capture screenshot: ${err.message}`);
+            // Keep the recording according to the recording policy
+            const recordings = await runTeardownStep(`stop recording for test ${testId}`,
+                () => recordingManager.stop(testId, { failed, retries: retries.attempts }), []);
+            
+            // Write the HAR file of the test's network traffic
+            if (networkProxyClient.isEnabled()) {
+                await runTeardownStep(`stop network capture for test ${testId}`, () => networkProxyClient.stopTest(testId));
+            }
+            
+            // Save screenshot, page source and device log on failure
+            await runTeardownStep(`collect failure artifacts for test ${testId}`, () => failureArtifactCollector.collect(browser, testId, {
+                failed,
+                error: error || crashError,
+                recordings,
+                deviceLog: entries
+            }));
+        } finally {
+            // Undo network, location, orientation and locale changes before the device goes to the next test
+            await runTeardownStep(`restore device state for test ${testId}`, () => DeviceControl.forDriver(browser).restore());
+            
+            // Release allocated device, even if a teardown step failed
+            if (context.deviceAllocation) {
+                await runTeardownStep(`release device for test ${testId}`, () => deviceFarmManager.releaseDevice(testId));
+            }
+            
+            // Clean up test data
+            testDataManager.cleanupTestData(testId);
+            
+            // Clean up global context
+            if (global.testContext[testId]) {
+                delete global.testContext[testId];
             }
-        }
-        
-        // Release allocated device
-        if (context.deviceAllocation) {
-            await deviceFarmManager.releaseDevice(testId);
-        }
-        
-        // Clean up test data
-        testDataManager.cleanupTestData(testId);
-        
-        // Clean up global context
-        if (global.testContext[testId]) {
-            delete global.testContext[testId];
         }
         
         console.log(`[Device Farm] Test "${test.title}" completed. Device released.`);
@@ -172,5 +240,29 @@ export const config = {
         
         // Clear global test context
         global.testContext = {};
+    },
+    
+    // Start from an empty queue so entries left by an aborted run do not hold up tests
+    onPrepare: async function (...args) {
+        await baseConfig.onPrepare(...args);
+        await deviceFarmManager.resetQueue();
+    },
+    
+    // Report the time tests waited for devices and remove the queue file once every worker has finished
+    onComplete: async function (...args) {
+        await baseConfig.onComplete(...args);
+        
+        for (const [platform, metrics] of Object.entries(deviceFarmManager.getQueueMetrics())) {
+            console.log(`[Device Farm] ${platform} device queue: ${metrics.requests} requests, ${metrics.timedOut} timed out, average wait ${(metrics.averageWaitMs / 1000).toFixed(1)}s, max wait ${(metrics.maxWaitMs / 1000).toFixed(1)}s`);
+        }
+        
+        const queueFile = path.resolve(process.cwd(), 'device-farm-queue.json');
+        if (fs.existsSync(queueFile)) {
+            try {
+                fs.unlinkSync(queueFile);
+            } catch (err) {
+                console.error('[Device Farm] Failed to remove device queue file:', err);
+            }
+        }
     }
 };
\ No newline at end of file
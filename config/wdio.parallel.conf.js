@@ -2,7 +2,17 @@ import { config as baseConfig } from './wdio.conf.js';
 import { config as appConfig } from '../src/utils/config.js';
 import deviceManager from '../src/utils/deviceManager.js';
 import testDataManager from '../src/utils/testDataManager.js';
+import failureArtifactCollector from '../src/utils/failureArtifacts.js';
+import recordingManager from '../src/utils/recordingManager.js';
+import deviceLogService from '../src/utils/deviceLogService.js';
+import networkProxyClient from '../src/utils/networkProxyClient.js';
+import systemDialogHandler from '../src/utils/systemDialogHandler.js';
+import resetManager from '../src/utils/resetManager.js';
+import { DeviceControl } from '../src/utils/deviceControl.js';
 import ParallelReporter from '../src/utils/parallelReporter.js';
+import { getTestPriority } from '../src/utils/waitQueue.js';
+import { getDeviceRequirements } from '../src/utils/deviceMatcher.js';
+import { NetworkProxyError } from '../src/utils/errors.js';
 import path from 'path';
 import fs from 'fs';
 
@@ -12,53 +22,53 @@ if (!fs.existsSync(screenshotsDir)) {
     fs.mkdirSync(screenshotsDir, { recursive: true });
 }
 
-// Load device configurations for parallel execution
-const androidDevices = [
-    {
-        id: 'emulator-5554',
-        deviceName: 'Pixel_5_API_31',
-        platformVersion: '12.0',
-        // Include other Android-specific capabilities
-    },
-    {
-        id: 'emulator-5556',
-        deviceName: 'Pixel_4_API_30',
-        platformVersion: '11.0',
-        // Include other Android-specific capabilities
-    }
-    // Add more devices as needed
-];
+// Initialize device pool from the device inventory (config/devices, see DEVICE_INVENTORY)
+deviceManager.initializeDevicePool();
 
-const iosDevices = [
-    {
-        udid: 'A4951C44-F23F-4E94-8435-05AA4BA2A87F',
-        deviceName: 'iPhone 13',
-        platformVersion: '15.0',
-        // Include other iOS-specific capabilities
-    },
-    {
-        udid: 'B2345C67-D89F-4E56-8123-06BB3BA1A65D',
-        deviceName: 'iPhone 12',
-        platformVersion: '14.5',
-        // Include other iOS-specific capabilities
-    }
-    // Add more devices as needed
-];
+const maxInstances = process.env.MAX_INSTANCES ? parseInt(process.env.MAX_INSTANCES, 10) : 4;
 
-// Initialize device pool
-deviceManager.initializeDevicePool(androidDevices, iosDevices);
+// Concurrent tests can only record and mock their own traffic if the proxy can tell their devices
+// apart; hook errors are only logged by WebdriverIO, so refuse to start the run here instead
+if (networkProxyClient.isEnabled() && maxInstances > 1) {
+    const platform = process.env.PLATFORM === 'ios' ? 'ios' : 'android';
+    const unbound = deviceManager.devices[platform].filter(device => !device.proxyClient);
+    if (unbound.length > 0) {
+        throw new NetworkProxyError(
+            `NETWORK_PROXY=true with MAX_INSTANCES=${maxInstances} needs a proxyClient for every device, `
+            + `missing for: ${unbound.map(device => device.deviceName || device.id).join(', ')} `
+            + '(set proxyClient in the device inventory or run with MAX_INSTANCES=1)',
+            { maxInstances, devices: unbound.map(device => device.id) }
+        );
+    }
+}
 
 // Create a global store for sharing test contexts between WebdriverIO and our framework
 if (!global.testContext) {
     global.testContext = {};
 }
 
+/**
+ * Run a test teardown step, logging its failure so the remaining steps still run
+ * @param {string} description - Step description for the log
+ * @param {Function} step - Step to run
+ * @param {any} fallback - Result to use when the step fails
+ * @returns {Promise<any>} Result of the step, or the fallback
+ */
+async function runTeardownStep(description, step, fallback = null) {
+    try {
+        return await step();
+    } catch (err) {
+        console.error(`[Parallel] Failed to ${description}:`, err);
+        return fallback;
+    }
+}
+
 // Configuration for parallel execution
 export const config = {
     ...baseConfig,
     
     // Maximum parallel instances to run
-    maxInstances: process.env.MAX_INSTANCES ? parseInt(process.env.MAX_INSTANCES) : 4,
+    maxInstances,
     
     // Dynamic capabilities - will be set per test
     capabilities: [],
@@ -105,27 +115,39 @@ export const config = {
         // Get platform from environment or use Android as default
         const platform = process.env.PLATFORM === 'ios' ? 'ios' : 'android';
         
-        // Allocate a device from the pool
-        const device = deviceManager.allocateDevice(platform, context.testId);
-        
-        if (!device) {
-            throw new Error(`No available ${platform} devices for test: ${context.testId}`);
-        }
+        // Allocate the best device for the test's requirements (tags such as @tablet or @os:>=14),
+        // waiting in the queue while all matching devices are in use
+        // (throws DeviceAllocationError if none matches or none becomes free in time)
+        const fullTitle = test.fullTitle || test.title;
+        const device = await deviceManager.allocateDevice(platform, context.testId, {
+            priority: getTestPriority(fullTitle),
+            requirements: getDeviceRequirements(fullTitle)
+        });
         
         // Set dynamic capabilities for this test
         const platformConfig = appConfig.getPlatformConfig(platform);
         
+        // Reset strategy of the test, set by BaseTest.beforeEach (or read from the title and RESET_STRATEGY)
+        // The test gets a fresh session, so only strategies other than 'none' change its capabilities
+        const resetStrategy = context.resetStrategy || resetManager.resolveStrategy({ title: test.title, parallel: true });
+        
         // Merge platform config with allocated device info
         const capabilities = {
             ...platformConfig,
+            ...(resetStrategy !== 'none' ? resetManager.getSessionCapabilities(resetStrategy) : {}),
             // Override with specific device properties
             'appium:deviceName': device.deviceName,
             ...(platform === 'android' ? { 'appium:udid': device.id } : { 'appium:udid': device.udid }),
-            ...(platform === 'ios' ? { 'appium:platformVersion': device.platformVersion } : {})
+            ...(platform === 'ios' ? { 'appium:platformVersion': device.platformVersion } : {}),
+            // Pre-grant permissions when SYSTEM_DIALOG_GRANT_PERMISSIONS=true
+            ...systemDialogHandler.getSessionCapabilities(platform),
+            // Per-device capability overrides from the device inventory
+            ...device.capabilities
         };
         
-        // Set capabilities for this session
-        this.capabilities = capabilities;
+        // Start the test's session on the allocated device with these capabilities
+        // The session WebdriverIO opened before the test was created without them
+        await browser.reloadSession({ ...browser.requestedCapabilities, ...capabilities });
         
         // Initialize isolated test data
         const baseTestData = {
@@ -144,6 +166,16 @@ export const config = {
             global.testContext[context.testId].device = device;
         }
         
+        // Start tracking the test window for failure artifacts, recordings and device logs
+        await failureArtifactCollector.start(browser, context.testId);
+        await recordingManager.start(browser, context.testId);
+        await deviceLogService.start(browser, context.testId);
+        
+        if (networkProxyClient.isEnabled()) {
+            // Bind the recording to the device, so parallel tests get their own traffic and mocks
+            await networkProxyClient.startTest(context.testId, { client: device.proxyClient });
+        }
+        
         console.log(`[Parallel] Test "${test.title}" running on device: ${device.deviceName} with testId: ${context.testId}`);
     },
     
@@ -151,43 +183,77 @@ export const config = {
     afterTest: async function (test, context, { error, result, duration, passed, retries }) {
         const testId = context.testId;
         
-        // Save screenshot on failure
-        if (!passed) {
-            const timestamp = new Date().toISOString().replace(/:/g, '-');
-            const screenshotPath = path.join(screenshotsDir, `${testId}_${timestamp}.png`);
+        try {
+            // A crash in the device log counts as a failure for recordings and artifacts
+            const { entries, crashError } = await runTeardownStep(`stop device log for test ${testId}`,
+                () => deviceLogService.stop(testId), { entries: null, crashError: null });
+            const failed = !passed || Boolean(crashError);
+            
+            // Keep the recording according to the recording policy
+            const recordings = await runTeardownStep(`stop recording for test ${testId}`,
+                () => recordingManager.stop(testId, { failed, retries: retries.attempts }), []);
             
-            try {
-                await browser.saveScreenshot(screenshotPath);
-                console.log(`[Parallel] Test failed. Screenshot saved to: ${screenshotPath}`);
-            } catch (err) {
-                console.error(`[Parallel] Failed to capture screenshot: ${err.message}`);
+            // Write the HAR file of the test's network traffic
+            if (networkProxyClient.isEnabled()) {
+                await runTeardownStep(`stop network capture for test ${testId}`, () => networkProxyClient.stopTest(testId));
+            }
+            
+            // Save screenshot, page source and device log on failure
+            await runTeardownStep(`collect failure artifacts for test ${testId}`, () => failureArtifactCollector.collect(browser, testId, {
+                failed,
+                error: error || crashError,
+                recordings,
+                deviceLog: entries
+            }));
+        } finally {
+            // Undo network, location, orientation and locale changes before the device goes to the next test
+            await runTeardownStep(`restore device state for test ${testId}`, () => DeviceControl.forDriver(browser).restore());
+            
+            // Release allocated device, even if a teardown step failed
+            await runTeardownStep(`release device for test ${testId}`, () => deviceManager.releaseDevice(testId));
+            
+            // Clean up test data
+            testDataManager.cleanupTestData(testId);
+            
+            // Clean up global context
+            if (global.testContext[testId]) {
+                delete global.testContext[testId];
             }
-        }
-        
-        // Release allocated device
-        deviceManager.releaseDevice(testId);
-        
-        // Clean up test data
-        testDataManager.cleanupTestData(testId);
-        
-        // Clean up global context
-        if (global.testContext[testId]) {
-            delete global.testContext[testId];
         }
         
         console.log(`[Parallel] Test "${test.title}" completed. Device released.`);
     },
     
-    // Ensure all devices are released after all tests
+    // Ensure all devices of this worker are released after its tests
+    // Other workers may still be running, so only this worker's locks are removed
     after: async function (result, capabilities, specs) {
-        // Clean up any remaining device locks just in case
-        const lockFile = path.resolve(process.cwd(), 'device-locks.json');
-        if (fs.existsSync(lockFile)) {
-            try {
-                fs.unlinkSync(lockFile);
-                console.log('[Parallel] Removed device lock file');
-            } catch (err) {
-                console.error('[Parallel] Failed to remove device lock file:', err);
+        await deviceManager.releaseAllDevices();
+    },
+    
+    // Start from empty lock and queue files so entries left by an aborted run do not block devices
+    onPrepare: async function (...args) {
+        await baseConfig.onPrepare(...args);
+        await deviceManager.resetLocks();
+        await deviceManager.resetQueue();
+    },
+    
+    // Report the time tests waited for devices and remove the lock and queue files once every worker has finished
+    onComplete: async function (...args) {
+        await baseConfig.onComplete(...args);
+        
+        for (const [platform, metrics] of Object.entries(deviceManager.getQueueMetrics())) {
+            console.log(`[Parallel] ${platform} device queue: ${metrics.requests} requests, ${metrics.timedOut} timed out, average wait ${(metrics.averageWaitMs / 1000).toFixed(1)}s, max wait ${(metrics.maxWaitMs / 1000).toFixed(1)}s`);
+        }
+        
+        for (const file of ['device-locks.json', 'device-queue.json']) {
+            const filePath = path.resolve(process.cwd(), file);
+            if (fs.existsSync(filePath)) {
+                try {
+                    fs.unlinkSync(filePath);
+                    console.log(`[Parallel] Removed ${file}`);
+                } catch (err) {
+                    console.error(`[Parallel] Failed to remove ${file}:`, err);
+                }
             }
         }
     }
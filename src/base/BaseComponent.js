@@ -0,0 +1,94 @@
+import { BasePage } from './BasePage.js';
+import { findElement, waitForElementVisible } from './elementAction.js';
+import { LocatorError } from '../utils/errors.js';
+
+/**
+ * Base class for page components (headers, tab bars, bottom sheets, list cells)
+ *
+ * A component is rooted at a parent element: every selector used by its methods,
+ * element accessors and nested components is resolved relative to that root.
+ * Use relative XPath ('./...') for child elements, since '//' searches the whole screen.
+ */
+export class BaseComponent extends BasePage {
+    /**
+     * Default root selector, used when the component is created without one
+     * (e.g. when it is registered in PageRegistry)
+     * @type {string|Locator|null}
+     */
+    static root = null;
+
+    /**
+     * @param {string|Locator|Object} root - Root selector, locator or WebdriverIO element
+     * @param {Object} parentDriver - Driver (or parent component driver) the root is searched in
+     */
+    constructor(root = null, parentDriver = global.browser) {
+        super();
+
+        this.root = root || this.constructor.root;
+        if (!this.root) {
+            throw new LocatorError(`Component ${this.constructor.name} has no root selector`, {
+                pageName: this.constructor.name
+            });
+        }
+
+        this.parentDriver = parentDriver;
+        this.driver = createScopedDriver(parentDriver, () => this.getRootElement());
+    }
+
+    /**
+     * Get the root element of the component
+     * Root selectors are looked up again on every call so the component never holds a stale element
+     * @param {number} timeout - Timeout in ms
+     * @returns {Object} WebdriverIO element
+     */
+    async getRootElement(timeout) {
+        if (isElement(this.root)) {
+            return this.root;
+        }
+        return findElement(this.parentDriver, this.root, timeout);
+    }
+
+    /**
+     * Wait for the component root to be visible
+     * @param {number} timeout - Timeout in ms
+     */
+    async waitForPageLoaded(timeout = this.pageLoadTimeout) {
+        if (isElement(this.root)) {
+            await this.root.waitForDisplayed({ timeout });
+        } else {
+            await waitForElementVisible(this.parentDriver, this.root, timeout);
+        }
+    }
+}
+
+/**
+ * Check whether a root is an already resolved WebdriverIO element
+ * @param {any} root - Component root
+ * @returns {boolean} True if root is an element
+ */
+function isElement(root) {
+    return Boolean(root) && typeof root === 'object' && typeof root.$ === 'function';
+}
+
+/**
+ * Create a driver whose element lookups are scoped to a root element
+ * All other commands (gestures, alerts, screenshots) go to the underlying driver.
+ * @param {Object} driver - WebdriverIO driver
+ * @param {Function} getRoot - Async function returning the root element
+ * @returns {Object} Scoped driver
+ */
+function createScopedDriver(driver, getRoot) {
+    return new Proxy(driver, {
+        get(target, property) {
+            if (property === '$') {
+                return async selector => (await getRoot()).$(selector);
+            }
+            if (property === '$$') {
+                return async selector => (await getRoot()).$$(selector);
+            }
+
+            const value = Reflect.get(target, property);
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+}
@@ -7,6 +7,10 @@ import {
     longPressElement,
     swipeBetweenElements,
     swipeOnScreen,
+    pinchOnScreen,
+    pinchElement,
+    rotateOnScreen,
+    rotateElement,
     scrollToFindElement,
     tapByCoordinates,
     waitForElementVisible,
@@ -16,17 +20,144 @@ import {
     elementHasText,
     takeScreenshot
 } from './elementAction.js';
+import { performGesture } from './gestures.js';
+import { isKeyboardShown, hideKeyboard, pressKeyboardAction, typeCharacters } from './keyboard.js';
+import { resolveSelector } from './Locator.js';
+import { createAccessor } from './ElementAccessor.js';
+import retryPolicy from '../utils/retryPolicy.js';
+import visualComparator from '../utils/visualComparator.js';
+import accessibilityChecker from '../utils/accessibilityChecker.js';
+import { AppLifecycle } from '../utils/appLifecycle.js';
+import { DeviceControl } from '../utils/deviceControl.js';
+import { ContextManager } from '../utils/contextManager.js';
+import systemDialogHandler from '../utils/systemDialogHandler.js';
+import { ElementNotFoundError, GestureError } from '../utils/errors.js';
+
+// Selector strategies that only exist in the native context
+const NATIVE_SELECTOR_PREFIXES = ['id=', 'android=', '-android ', '-ios ', '~'];
 
 /**
  * Base Page Object class with advanced interaction methods
+ *
+ * Subclasses can declare their elements in a static `elements` map
+ * (name → locator, or name → { locator, type }) to get generated accessors:
+ *
+ *     static elements = {
+ *         loginButton: { locator: '~login', type: 'button' },
+ *         email: { locator: '~email', type: 'input' },
+ *         items: { locator: '~item', type: 'list' }
+ *     };
+ *
+ *     await page.loginButton.tap();
+ *     await page.email.fill('user@example.com');
+ *     await page.items.at(2).text();
+ *
+ * Pages of hybrid apps can declare the context they live in, so element lookups
+ * switch to it automatically:
+ *
+ *     static context = 'webview';
  */
 export class BasePage {
+    /**
+     * Context the page lives in: 'native', 'webview' or { type: 'webview', match, timeout }
+     * Pages without a context use whichever context is active.
+     * @type {string|Object|null}
+     */
+    static context = null;
+
     constructor() {
-        this.driver = global.browser;
+        this.driver = this.constructor.context
+            ? createContextDriver(global.browser, this.constructor.context)
+            : global.browser;
         this.platform = process.env.PLATFORM || 'android';
         this.isAndroid = this.platform === 'android';
         this.isIOS = this.platform === 'ios';
         this.pageLoadTimeout = 30000;
+        this._defineElements();
+    }
+
+    /**
+     * Define accessors for the static `elements` map of the page class
+     * @private
+     */
+    _defineElements() {
+        const elements = this.constructor.elements || {};
+
+        for (const [name, definition] of Object.entries(elements)) {
+            if (name in this) {
+                throw new Error(`Element "${name}" in ${this.constructor.name} conflicts with an existing member`);
+            }
+
+            const accessor = createAccessor(this, name, definition);
+            Object.defineProperty(this, name, {
+                get: () => accessor,
+                enumerable: true
+            });
+        }
+    }
+
+    /**
+     * App lifecycle controls for the app under test (background, relaunch, deep links, ...)
+     * @returns {AppLifecycle} App lifecycle helper
+     */
+    get app() {
+        return new AppLifecycle(this.driver);
+    }
+
+    /**
+     * Device state controls (network, location, orientation, locale), restored after each test
+     * @returns {DeviceControl} Device control of the current driver
+     */
+    get device() {
+        return DeviceControl.forDriver(this.driver);
+    }
+
+    /**
+     * Context controls for hybrid apps (list contexts, wait for and switch to WebViews)
+     * @returns {ContextManager} Context manager of the current driver
+     */
+    get contexts() {
+        return new ContextManager(this.driver);
+    }
+
+    /**
+     * Run a function inside a WebView and switch back to the previous context afterwards
+     * @param {Function} fn - Async function to run in the WebView
+     * @param {Object} options - WebView to use (match) and timeout in ms
+     * @returns {any} Result of the function
+     */
+    async withinWebView(fn, options = {}) {
+        return this.contexts.withinWebView(fn, options);
+    }
+
+    /**
+     * Resolve a selector or cross-platform locator for the current platform
+     * @param {string|Locator} selector - Element selector or locator
+     * @returns {string} Selector string
+     */
+    resolveSelector(selector) {
+        return resolveSelector(selector, this.platform);
+    }
+
+    /**
+     * Create a component rooted at an element of this page
+     * @param {typeof BaseComponent} ComponentClass - Component class
+     * @param {string|Locator|null} root - Root selector or locator (default: the component's static root)
+     * @returns {BaseComponent} Component instance
+     */
+    component(ComponentClass, root = null) {
+        return new ComponentClass(root, this.driver);
+    }
+
+    /**
+     * Create one component for every element matching a root selector (e.g. every cart row)
+     * @param {typeof BaseComponent} ComponentClass - Component class
+     * @param {string|Locator|null} root - Root selector or locator (default: the component's static root)
+     * @returns {Array<BaseComponent>} Component instances in screen order
+     */
+    async components(ComponentClass, root = null) {
+        const rootElements = await findElements(this.driver, root || ComponentClass.root);
+        return Array.from(rootElements, element => new ComponentClass(element, this.driver));
     }
 
     /**
@@ -42,7 +173,7 @@ export class BasePage {
 
     /**
      * Click on an element
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      */
     async click(selector) {
         await tapElement(this.driver, selector);
@@ -50,7 +181,7 @@ export class BasePage {
 
     /**
      * Double click on an element
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      */
     async doubleClick(selector) {
         const element = await findElement(this.driver, selector);
@@ -59,7 +190,7 @@ export class BasePage {
 
     /**
      * Long press on an element
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      * @param {number} duration - Duration in ms
      */
     async longPress(selector, duration = 2000) {
@@ -68,7 +199,7 @@ export class BasePage {
 
     /**
      * Set value on an element
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      * @param {string} value - Value to set
      */
     async setValue(selector, value) {
@@ -77,7 +208,7 @@ export class BasePage {
 
     /**
      * Clear field and set value
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      * @param {string} value - Value to set
      */
     async clearAndSetValue(selector, value) {
@@ -86,32 +217,34 @@ export class BasePage {
 
     /**
      * Get text from an element
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      * @returns {string} Element text
      */
     async getText(selector) {
-        const element = await findElement(this.driver, selector);
-        return element.getText();
+        return retryPolicy.execute(async () => {
+            const element = await findElement(this.driver, selector);
+            return element.getText();
+        });
     }
 
     /**
      * Check if element exists
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      * @returns {boolean} True if element exists
      */
     async isExisting(selector) {
-        const element = await this.driver.$(selector);
+        const element = await this.driver.$(this.resolveSelector(selector));
         return element.isExisting();
     }
 
     /**
      * Check if element is displayed
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      * @returns {boolean} True if element is displayed
      */
     async isDisplayed(selector) {
         try {
-            const element = await this.driver.$(selector);
+            const element = await this.driver.$(this.resolveSelector(selector));
             return element.isDisplayed();
         } catch (error) {
             return false;
@@ -120,17 +253,19 @@ export class BasePage {
 
     /**
      * Check if element is enabled
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      * @returns {boolean} True if element is enabled
      */
     async isEnabled(selector) {
-        const element = await findElement(this.driver, selector);
-        return element.isEnabled();
+        return retryPolicy.execute(async () => {
+            const element = await findElement(this.driver, selector);
+            return element.isEnabled();
+        });
     }
 
     /**
      * Check if element has a specific text
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      * @param {string} expectedText - Expected text
      * @param {boolean} exactMatch - Whether to require exact match
      * @returns {boolean} True if element has the text
@@ -150,17 +285,99 @@ export class BasePage {
 
     /**
      * Swipe from one element to another
-     * @param {string} fromSelector - Starting element selector
-     * @param {string} toSelector - Ending element selector
+     * @param {string|Locator} fromSelector - Starting element selector or locator
+     * @param {string|Locator} toSelector - Ending element selector or locator
      * @param {number} duration - Swipe duration in ms
      */
     async swipeBetween(fromSelector, toSelector, duration = 800) {
         await swipeBetweenElements(this.driver, fromSelector, toSelector, duration);
     }
 
+    /**
+     * Pinch in (zoom out of content) on an element or the screen
+     * @param {string|Locator|null} selector - Element selector or locator, or null for the whole screen
+     * @param {number} scale - Scale factor between 0 and 1
+     * @param {number} duration - Gesture duration in ms
+     */
+    async pinchIn(selector = null, scale = 0.5, duration = 500) {
+        if (scale >= 1) {
+            throw new GestureError(`Pinch in scale must be below 1, got: ${scale}`, { scale });
+        }
+        await this._pinch(selector, scale, duration);
+    }
+
+    /**
+     * Pinch out (zoom into content) on an element or the screen
+     * @param {string|Locator|null} selector - Element selector or locator, or null for the whole screen
+     * @param {number} scale - Scale factor above 1
+     * @param {number} duration - Gesture duration in ms
+     */
+    async pinchOut(selector = null, scale = 2, duration = 500) {
+        if (scale <= 1) {
+            throw new GestureError(`Pinch out scale must be above 1, got: ${scale}`, { scale });
+        }
+        await this._pinch(selector, scale, duration);
+    }
+
+    /**
+     * Zoom into content on an element or the screen (alias of pinchOut)
+     * @param {string|Locator|null} selector - Element selector or locator, or null for the whole screen
+     * @param {number} scale - Scale factor above 1
+     * @param {number} duration - Gesture duration in ms
+     */
+    async zoom(selector = null, scale = 2, duration = 500) {
+        await this.pinchOut(selector, scale, duration);
+    }
+
+    /**
+     * Rotate with two fingers on an element or the screen
+     * @param {string|Locator|null} selector - Element selector or locator, or null for the whole screen
+     * @param {number} angle - Rotation in degrees (positive is clockwise)
+     * @param {number} duration - Gesture duration in ms
+     */
+    async rotate(selector = null, angle = 90, duration = 800) {
+        if (selector) {
+            await rotateElement(this.driver, selector, angle, duration);
+        } else {
+            await rotateOnScreen(this.driver, angle, duration);
+        }
+    }
+
+    /**
+     * Pinch on an element or the screen
+     * @param {string|Locator|null} selector - Element selector or locator, or null for the whole screen
+     * @param {number} scale - Scale factor
+     * @param {number} duration - Gesture duration in ms
+     * @private
+     */
+    async _pinch(selector, scale, duration) {
+        if (selector) {
+            await pinchElement(this.driver, selector, scale, duration);
+        } else {
+            await pinchOnScreen(this.driver, scale, duration);
+        }
+    }
+
+    /**
+     * Tap at screen coordinates
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    async tapAt(x, y) {
+        await tapByCoordinates(this.driver, x, y);
+    }
+
+    /**
+     * Perform a custom gesture built with the gesture engine
+     * @param {Gesture} gesture - Gesture to perform
+     */
+    async performGesture(gesture) {
+        await performGesture(this.driver, gesture);
+    }
+
     /**
      * Scroll until an element is found
-     * @param {string} selector - Element to find
+     * @param {string|Locator} selector - Element to find
      * @param {string} direction - Direction to scroll: 'up', 'down', 'left', 'right'
      * @param {number} maxScrolls - Maximum number of scroll attempts
      * @returns {Object} Found element
@@ -171,7 +388,7 @@ export class BasePage {
 
     /**
      * Wait for an element to be visible
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      * @param {number} timeout - Timeout in ms
      * @returns {Object} WebdriverIO element
      */
@@ -181,7 +398,7 @@ export class BasePage {
 
     /**
      * Wait for an element to disappear
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      * @param {number} timeout - Timeout in ms
      * @returns {boolean} True if element disappears
      */
@@ -209,6 +426,32 @@ export class BasePage {
         await handleAlert(this.driver, accept, text);
     }
 
+    /**
+     * Get the system dialog (permission prompt or alert) on screen
+     * @returns {Object|null} Dialog { platform, type, message, buttons } or null if none is shown
+     */
+    async getSystemDialog() {
+        return systemDialogHandler.detect(this.driver);
+    }
+
+    /**
+     * Wait for a system dialog and respond to it
+     * @param {string} response - 'allow', 'deny', 'whileUsing' or 'once'
+     * @param {Object} options - Expected dialog type (e.g. 'location') and timeout in ms
+     * @returns {Object} Dialog that was answered
+     */
+    async respondToSystemDialog(response = 'allow', options = {}) {
+        return systemDialogHandler.respond(this.driver, response, options);
+    }
+
+    /**
+     * Grant permissions to the app without showing a dialog (iOS: simulators only)
+     * @param {Array<string>|Object} permissions - Android permission names or iOS services with their access
+     */
+    async grantPermissions(permissions) {
+        await systemDialogHandler.grantPermissions(this.driver, permissions);
+    }
+
     /**
      * Take a screenshot with a prefix
      * @param {string} prefix - Screenshot name prefix
@@ -219,9 +462,40 @@ export class BasePage {
         return takeScreenshot(this.driver, `${prefix}_${pageName}`);
     }
 
+    /**
+     * Compare the screen against its visual baseline
+     * @param {string} name - Baseline name
+     * @param {Object} options - Options for this check (threshold, maxDiffRatio, ignore)
+     * @returns {Object} Comparison result (throws VisualMismatchError on mismatch)
+     */
+    async checkScreen(name, options = {}) {
+        return visualComparator.checkScreen(this.driver, name, options);
+    }
+
+    /**
+     * Compare an element against its visual baseline
+     * @param {string|Locator} selector - Element selector or locator
+     * @param {string} name - Baseline name
+     * @param {Object} options - Options for this check (threshold, maxDiffRatio, ignore)
+     * @returns {Object} Comparison result (throws VisualMismatchError on mismatch)
+     */
+    async checkElement(selector, name, options = {}) {
+        return visualComparator.checkElement(this.driver, selector, name, options);
+    }
+
+    /**
+     * Audit the current screen for accessibility issues
+     * @param {Object} options - Options for this audit (name, severities, minTouchTarget, allowlist, failOn)
+     * @returns {Object} Audit result with issues and report paths
+     */
+    async auditAccessibility(options = {}) {
+        const { name = this.constructor.name, ...auditOptions } = options;
+        return accessibilityChecker.audit(this.driver, name, auditOptions);
+    }
+
     /**
      * Get all elements matching a selector
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      * @returns {Array} Array of WebdriverIO elements
      */
     async getElements(selector) {
@@ -230,9 +504,9 @@ export class BasePage {
 
     /**
      * Select item from a list by text
-     * @param {string} listSelector - List element selector
+     * @param {string|Locator} listSelector - List element selector or locator
      * @param {string} itemTextToSelect - Text of the item to select
-     * @param {string} itemSelector - Individual item selector (default: list selector)
+     * @param {string|Locator} itemSelector - Individual item selector (default: list selector)
      * @param {string} scrollDirection - Direction to scroll: 'up', 'down', 'left', 'right'
      * @param {number} maxScrolls - Maximum number of scroll attempts
      */
@@ -277,35 +551,92 @@ export class BasePage {
         }
         
         if (!found) {
-            throw new Error(`Item with text "${itemTextToSelect}" not found in list after ${scrolls} scrolls`);
+            throw new ElementNotFoundError(`Item with text "${itemTextToSelect}" not found in list after ${scrolls} scrolls`, {
+                selector: this.resolveSelector(actualItemSelector),
+                platform: this.platform,
+                pageName: this.constructor.name,
+                scrolls
+            });
         }
     }
 
     /**
      * Fill a form with provided data
-     * @param {Object} formData - Object with selectors as keys and values to set
+     * @param {Object|Map<string|Locator, string>} formData - Selectors (or a Map of locators) to values to set
+     * @param {Object} options - Fill options
+     * @param {boolean} [options.hideKeyboard] - Hide the keyboard after each field so it cannot cover the next one
      */
-    async fillForm(formData) {
-        for (const [selector, value] of Object.entries(formData)) {
+    async fillForm(formData, { hideKeyboard: hideAfterEachField = false } = {}) {
+        const entries = formData instanceof Map ? formData.entries() : Object.entries(formData);
+        for (const [selector, value] of entries) {
             await this.clearAndSetValue(selector, value);
+            if (hideAfterEachField) {
+                await this.hideKeyboard();
+            }
         }
     }
 
+    /**
+     * Check whether the soft keyboard is shown
+     * @returns {boolean} True if the keyboard is shown
+     */
+    async isKeyboardShown() {
+        return isKeyboardShown(this.driver);
+    }
+
+    /**
+     * Hide the soft keyboard if it is shown
+     * @param {Object} options - Time to wait for the keyboard to close per attempt (timeout in ms)
+     */
+    async hideKeyboard(options = {}) {
+        await hideKeyboard(this.driver, options);
+    }
+
+    /**
+     * Press an IME action key on the keyboard
+     * @param {string} action - 'done', 'go', 'next', 'previous', 'search' or 'send'
+     */
+    async pressKeyboardAction(action) {
+        await pressKeyboardAction(this.driver, action);
+    }
+
+    /**
+     * Type text one character at a time (for inputs with masks)
+     * @param {string|Locator} selector - Element selector or locator
+     * @param {string} text - Text to type
+     * @param {Object} options - Delay between characters in ms and whether to clear the element first
+     */
+    async typeCharacters(selector, text, options = {}) {
+        await typeCharacters(this.driver, selector, text, options);
+    }
+
     /**
      * Check if an element exists within a timeout
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      * @param {number} timeout - Timeout in ms
      * @returns {boolean} True if element exists
      */
     async waitForExist(selector, timeout = 5000) {
         try {
-            const element = await this.driver.$(selector);
+            const element = await this.driver.$(this.resolveSelector(selector));
             return element.waitForExist({ timeout });
         } catch (error) {
             return false;
         }
     }
 
+    /**
+     * Run actions with retry policy overrides
+     * @param {Object} overrides - Retry options (maxAttempts, initialDelay, backoffFactor, maxDelay, retryableErrors)
+     * @param {Function} action - Async function performing the actions
+     * @returns {any} Result of the action
+     * @example
+     * await this.withRetry({ maxAttempts: 5, initialDelay: 500 }, () => this.click(this.submitButton));
+     */
+    async withRetry(overrides, action) {
+        return retryPolicy.withOverrides(overrides, action);
+    }
+
     /**
      * Execute a platform-specific action
      * @param {Function} androidAction - Function to execute for Android
@@ -340,18 +671,20 @@ export class BasePage {
 
     /**
      * Get attribute value from an element
-     * @param {string} selector - Element selector
+     * @param {string|Locator} selector - Element selector or locator
      * @param {string} attributeName - Name of the attribute
      * @returns {string} Attribute value
      */
     async getAttribute(selector, attributeName) {
-        const element = await findElement(this.driver, selector);
-        return element.getAttribute(attributeName);
+        return retryPolicy.execute(async () => {
+            const element = await findElement(this.driver, selector);
+            return element.getAttribute(attributeName);
+        });
     }
 
     /**
      * Verify a list of elements exists and is displayed
-     * @param {Array<string>} selectors - Array of element selectors
+     * @param {Array<string|Locator>} selectors - Array of element selectors or locators
      * @returns {boolean} True if all elements exist and are displayed
      */
     async verifyElementsDisplayed(selectors) {
@@ -363,3 +696,56 @@ export class BasePage {
         return true;
     }
 }
+
+/**
+ * Create a driver that switches to a page's context before every element lookup
+ * Lookups with native-only selectors (resource id, UiAutomator, class chain, predicate,
+ * accessibility id), mobile commands and the page source (used by system dialogs,
+ * accessibility audits and app lifecycle helpers) switch to the native context instead.
+ * @param {Object} driver - WebdriverIO driver
+ * @param {string|Object} context - Declared page context
+ * @returns {Object} Context-aware driver
+ */
+function createContextDriver(driver, context) {
+    const contexts = new ContextManager(driver);
+
+    return new Proxy(driver, {
+        get(target, property) {
+            if (property === 'unwrappedDriver') {
+                return target;
+            }
+            if (property === '$' || property === '$$') {
+                return async selector => {
+                    await contexts.ensure(isNativeSelector(selector) ? 'native' : context);
+                    return target[property](selector);
+                };
+            }
+            if (property === 'execute') {
+                return async (script, ...args) => {
+                    if (typeof script === 'string' && script.startsWith('mobile:')) {
+                        await contexts.ensure('native');
+                    }
+                    return target.execute(script, ...args);
+                };
+            }
+            if (property === 'getPageSource') {
+                return async () => {
+                    await contexts.ensure('native');
+                    return target.getPageSource();
+                };
+            }
+
+            const value = Reflect.get(target, property);
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+}
+
+/**
+ * Check whether a selector uses a strategy of the native context
+ * @param {any} selector - Selector passed to $ or $$
+ * @returns {boolean} True for native-only selector strings
+ */
+function isNativeSelector(selector) {
+    return typeof selector === 'string' && NATIVE_SELECTOR_PREFIXES.some(prefix => selector.startsWith(prefix));
+}
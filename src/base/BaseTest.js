@@ -4,18 +4,58 @@ import { getRemoteOptions } from '../utils/remoteOptions.js';
 import { remote } from 'webdriverio';
 import deviceManager from '../utils/deviceManager.js';
 import testDataManager from '../utils/testDataManager.js';
+import failureArtifactCollector from '../utils/failureArtifacts.js';
+import recordingManager from '../utils/recordingManager.js';
+import deviceLogService from '../utils/deviceLogService.js';
+import networkProxyClient from '../utils/networkProxyClient.js';
+import { AppLifecycle } from '../utils/appLifecycle.js';
+import { DeviceControl } from '../utils/deviceControl.js';
+import { ContextManager } from '../utils/contextManager.js';
+import resetManager from '../utils/resetManager.js';
+import systemDialogHandler from '../utils/systemDialogHandler.js';
 
 export class BaseTest {
-    constructor(appName) {
+    /**
+     * @param {string} appName - Name of the app (e.g., 'sample_app')
+     * @param {Object} options - Suite options
+     * @param {string} [options.resetStrategy] - Reset strategy for every test of the suite:
+     *   'none', 'app-restart', 'clear-data', 'reinstall' or 'new-session'
+     */
+    constructor(appName, options = {}) {
         this.driver = driver;
         this._apps = new Map();
         this.appName = appName;
         this.testId = null;
         this.testData = null;
         this.isParallelExecution = process.env.PARALLEL === 'true';
+        this.resetStrategy = options.resetStrategy || null;
         this.initializeApp(appName);
     }
 
+    /**
+     * App lifecycle controls for the app under test (background, relaunch, deep links, ...)
+     * @returns {AppLifecycle} App lifecycle helper
+     */
+    get app() {
+        return new AppLifecycle(this.driver);
+    }
+
+    /**
+     * Device state controls (network, location, orientation, locale), restored after each test
+     * @returns {DeviceControl} Device control of the current driver
+     */
+    get device() {
+        return DeviceControl.forDriver(this.driver);
+    }
+
+    /**
+     * Context controls for hybrid apps (list contexts, wait for and switch to WebViews)
+     * @returns {ContextManager} Context manager of the current driver
+     */
+    get contexts() {
+        return new ContextManager(this.driver);
+    }
+
     /**
      * Initialize an app's pages as properties
      * @param {string} appName - Name of the app (e.g., 'sample_app')
@@ -81,7 +121,9 @@ export class BaseTest {
                 }
             } else {
                 // In sequential mode, handle device allocation manually
-                const remoteOptions = getRemoteOptions(platform);
+                const remoteOptions = getRemoteOptions(platform, resetManager.resolveStrategy({
+                    suiteStrategy: this.resetStrategy
+                }));
                 
                 // Initialize WebdriverIO with remote options
                 this.driver = await remote(remoteOptions);
@@ -96,6 +138,11 @@ export class BaseTest {
             // Make driver globally available
             global.driver = this.driver;
             
+            // Dismiss unexpected system dialogs that make element actions fail
+            if (systemDialogHandler.options.autoDismiss) {
+                systemDialogHandler.enableAutoDismiss(this.driver);
+            }
+            
             console.log(`Test "${testName}" initialized with ID: ${this.testId}`);
             
         } catch (error) {
@@ -106,15 +153,43 @@ export class BaseTest {
 
     /**
      * Setup before each test
+     * @param {Object} test - Mocha test about to run (this.currentTest in a beforeEach hook)
      */
-    async beforeEach() {
+    async beforeEach(test = null) {
         // Reset page instances to ensure clean state
         pageRegistry.reset();
         
-        if (!this.isParallelExecution) {
-            // Only reload session in sequential mode
-            // In parallel mode, each test gets a fresh session
-            await this.driver.reloadSession();
+        // Reset the app with the strategy of this test
+        // In parallel mode, each test gets a fresh session, so nothing is reset by default
+        const strategy = resetManager.resolveStrategy({
+            title: test ? test.title : '',
+            suiteStrategy: this.resetStrategy,
+            parallel: this.isParallelExecution
+        });
+        
+        if (this.isParallelExecution) {
+            // The WebdriverIO beforeTest hook allocates the device after this hook and starts the test's
+            // session on it, so it applies the strategy through that session's capabilities
+            if (test && test.ctx) {
+                test.ctx.resetStrategy = strategy;
+            }
+            
+            // In parallel mode, the WebdriverIO hooks track the test under their own test ID,
+            // so device log and network helpers use that ID
+            if (test && test.ctx && test.ctx.testId) {
+                this.testId = test.ctx.testId;
+            }
+        } else {
+            await resetManager.reset(this.driver, strategy);
+            
+            // Start tracking the test window for failure artifacts, recordings and device logs
+            await failureArtifactCollector.start(this.driver, this.testId);
+            await recordingManager.start(this.driver, this.testId);
+            await deviceLogService.start(this.driver, this.testId);
+            
+            if (networkProxyClient.isEnabled()) {
+                await networkProxyClient.startTest(this.testId);
+            }
         }
         
         console.log(`Running test with data:`, this.testData);
@@ -122,19 +197,125 @@ export class BaseTest {
 
     /**
      * Cleanup after each test
+     * @param {Object} test - Mocha test that just ran (this.currentTest in an afterEach hook)
+     * @returns {Object|null} Paths of the saved failure artifacts, or null if the test passed
      */
-    async afterEach() {
-        // Cleanup after test execution
-        // Take screenshots on failure if needed
-        if (this.driver && this.driver.takeScreenshot) {
+    async afterEach(test = null) {
+        if (!this.driver) {
+            return null;
+        }
+        
+        const testFailed = Boolean(test && test.state === 'failed');
+        let artifacts = null;
+        
+        // In parallel mode, logs, recordings, artifacts and device state are handled by the WebdriverIO afterTest hook,
+        // which restores the device before releasing it
+        // Each teardown step is best-effort, so a failing step does not skip the artifacts or the restore
+        if (!this.isParallelExecution) {
             try {
-                const screenshot = await this.driver.takeScreenshot();
-                // Save screenshot or attach to report
-                console.log(`Screenshot taken for test: ${this.testId}`);
-            } catch (error) {
-                console.warn(`Failed to take screenshot for test: ${this.testId}`, error);
+                const retries = test && typeof test.currentRetry === 'function' ? test.currentRetry() : 0;
+                
+                // A crash in the device log counts as a failure for recordings and artifacts
+                const { entries, crashError } = await this._runTeardownStep('stop device log',
+                    () => deviceLogService.stop(this.testId), { entries: null, crashError: null });
+                const failed = testFailed || Boolean(crashError);
+                
+                // Keep the recording according to the recording policy
+                const recordings = await this._runTeardownStep('stop recording',
+                    () => recordingManager.stop(this.testId, { failed, retries }), []);
+                
+                if (networkProxyClient.isEnabled()) {
+                    await this._runTeardownStep('stop network capture', async () => {
+                        const { harPath } = await networkProxyClient.stopTest(this.testId);
+                        console.log(`Network traffic saved to: ${harPath}`);
+                    });
+                }
+                
+                // Save screenshot, page source and device log on failure
+                artifacts = await this._runTeardownStep('collect failure artifacts',
+                    () => failureArtifactCollector.collect(this.driver, this.testId, {
+                        failed,
+                        error: (test && test.err) || crashError,
+                        recordings,
+                        deviceLog: entries
+                    }));
+            } finally {
+                // Undo network, location, orientation and locale changes made by the test
+                await this._runTeardownStep('restore device state', () => DeviceControl.forDriver(this.driver).restore());
             }
         }
+        
+        // A crash in the device log fails the test even if its assertions passed
+        // Crashes found by the afterTest hook of the parallel and Device Farm configs are kept under
+        // the hook's test ID, since WebdriverIO does not fail tests from hooks
+        const hookTestId = test && test.ctx ? test.ctx.testId : null;
+        const crashError = [this.testId, hookTestId]
+            .filter(Boolean)
+            .map(testId => deviceLogService.takeCrashError(testId))
+            .find(Boolean);
+        if (crashError && !testFailed) {
+            throw crashError;
+        }
+        
+        return artifacts;
+    }
+
+    /**
+     * Wait until a matching line appears in the device log of the current test
+     * @param {string|RegExp} pattern - Text or pattern to look for
+     * @param {Object} options - Filters (tag, package) and timeout in ms
+     * @returns {Object} First matching log entry
+     */
+    async expectLog(pattern, options = {}) {
+        return deviceLogService.expectLog(this.testId, pattern, options);
+    }
+
+    /**
+     * Assert that no matching line has appeared in the device log of the current test
+     * @param {string|RegExp} pattern - Text or pattern that must not appear
+     * @param {Object} filters - Filters (tag, package)
+     */
+    async expectNoLog(pattern, filters = {}) {
+        await deviceLogService.expectNoLog(this.testId, pattern, filters);
+    }
+
+    /**
+     * Answer matching app requests with a mock response (requires NETWORK_PROXY=true)
+     * @param {Object} mock - Mock definition
+     * @param {string|RegExp} mock.url - URL substring or pattern
+     * @param {string} [mock.method] - HTTP method (default: any)
+     * @param {number} [mock.status] - Response status (default: 200)
+     * @param {Object} [mock.headers] - Response headers
+     * @param {string|Object} [mock.body] - Response body; objects are sent as JSON
+     * @param {number} [mock.delay] - Delay before responding in ms
+     * @returns {number} Mock ID
+     */
+    async mockNetwork(mock) {
+        return networkProxyClient.mock(this.testId, mock);
+    }
+
+    /**
+     * Remove all network mocks of the current test
+     */
+    async clearNetworkMocks() {
+        await networkProxyClient.clearMocks(this.testId);
+    }
+
+    /**
+     * Get the network traffic recorded so far for the current test
+     * @returns {Array<Object>} HAR entries
+     */
+    async getNetworkTraffic() {
+        return networkProxyClient.getEntries(this.testId);
+    }
+
+    /**
+     * Get the device log captured so far for the current test
+     * @param {Object} filters - Filters (tag, package, pattern)
+     * @returns {Array<Object>} Matching log entries
+     */
+    async getDeviceLog(filters = {}) {
+        return deviceLogService.getEntries(this.testId, filters);
     }
 
     /**
@@ -147,7 +328,7 @@ export class BaseTest {
             
             // Release device if allocated
             if (this.testId) {
-                deviceManager.releaseDevice(this.testId);
+                await deviceManager.releaseDevice(this.testId);
             }
             
             // Clean up test data
@@ -156,6 +337,8 @@ export class BaseTest {
             }
         }
         
+        systemDialogHandler.disableAutoDismiss();
+        resetManager.logSummary();
         console.log(`Test completed with ID: ${this.testId}`);
     }
     
@@ -181,4 +364,21 @@ export class BaseTest {
         this.testData = testDataManager.updateTestData(this.testId, newData);
         return this.testData;
     }
+    
+    /**
+     * Run a test teardown step, logging its failure so the remaining steps still run
+     * @private
+     * @param {string} description - Step description for the log
+     * @param {Function} step - Step to run
+     * @param {any} fallback - Result to use when the step fails
+     * @returns {Promise<any>} Result of the step, or the fallback
+     */
+    async _runTeardownStep(description, step, fallback = null) {
+        try {
+            return await step();
+        } catch (error) {
+            console.error(`Failed to ${description} for test ${this.testId}:`, error);
+            return fallback;
+        }
+    }
 }
@@ -0,0 +1,343 @@
+/**
+ * Element accessors generated from a page object's declarative `elements` map
+ */
+import {
+    findElement,
+    findElements,
+    tapElement,
+    setValueOnElement,
+    clearAndSetValue,
+    longPressElement,
+    scrollToFindElement,
+    waitForElementVisible,
+    waitForElementNotVisible,
+    elementHasText
+} from './elementAction.js';
+import retryPolicy from '../utils/retryPolicy.js';
+import { ElementNotFoundError, LocatorError } from '../utils/errors.js';
+
+/**
+ * Accessor for a single element
+ */
+export class ElementAccessor {
+    /**
+     * @param {BasePage} page - Page object owning the element
+     * @param {string|Locator} locator - Element selector or locator
+     * @param {string} name - Element name in the page's elements map
+     */
+    constructor(page, locator, name) {
+        this.page = page;
+        this.locator = locator;
+        this.name = name;
+    }
+
+    /**
+     * Get the WebdriverIO element
+     * @param {number} timeout - Timeout in ms
+     * @returns {Object} WebdriverIO element
+     */
+    async element(timeout) {
+        return findElement(this.page.driver, this.locator, timeout);
+    }
+
+    /**
+     * Tap the element
+     */
+    async tap() {
+        await tapElement(this.page.driver, this.locator);
+    }
+
+    /**
+     * Long press the element
+     * @param {number} duration - Duration in ms
+     */
+    async longPress(duration = 2000) {
+        await longPressElement(this.page.driver, this.locator, duration);
+    }
+
+    /**
+     * Get the element text
+     * @returns {string} Element text
+     */
+    async text() {
+        return retryPolicy.execute(async () => {
+            const element = await this.element();
+            return element.getText();
+        });
+    }
+
+    /**
+     * Check if the element has a specific text
+     * @param {string} expectedText - Expected text
+     * @param {boolean} exactMatch - Whether to require exact match
+     * @returns {boolean} True if element has the text
+     */
+    async hasText(expectedText, exactMatch = false) {
+        return elementHasText(this.page.driver, this.locator, expectedText, exactMatch);
+    }
+
+    /**
+     * Get an attribute of the element
+     * @param {string} attributeName - Name of the attribute
+     * @returns {string} Attribute value
+     */
+    async attribute(attributeName) {
+        return retryPolicy.execute(async () => {
+            const element = await this.element();
+            return element.getAttribute(attributeName);
+        });
+    }
+
+    /**
+     * Check if the element is displayed
+     * @returns {boolean} True if element is displayed
+     */
+    async isDisplayed() {
+        return this.page.isDisplayed(this.locator);
+    }
+
+    /**
+     * Check if the element is enabled
+     * @returns {boolean} True if element is enabled
+     */
+    async isEnabled() {
+        return retryPolicy.execute(async () => {
+            const element = await this.element();
+            return element.isEnabled();
+        });
+    }
+
+    /**
+     * Check if the element exists
+     * @returns {boolean} True if element exists
+     */
+    async exists() {
+        return this.page.isExisting(this.locator);
+    }
+
+    /**
+     * Wait for the element to be visible
+     * @param {number} timeout - Timeout in ms
+     * @returns {Object} WebdriverIO element
+     */
+    async waitForVisible(timeout) {
+        return waitForElementVisible(this.page.driver, this.locator, timeout);
+    }
+
+    /**
+     * Wait for the element to disappear
+     * @param {number} timeout - Timeout in ms
+     * @returns {boolean} True if element disappears
+     */
+    async waitForNotVisible(timeout) {
+        return waitForElementNotVisible(this.page.driver, this.locator, timeout);
+    }
+
+    /**
+     * Scroll until the element is visible
+     * @param {string} direction - Direction to scroll: 'up', 'down', 'left', 'right'
+     * @param {number} maxScrolls - Maximum number of scroll attempts
+     * @returns {Object} Found element
+     */
+    async scrollTo(direction = 'down', maxScrolls = 10) {
+        return scrollToFindElement(this.page.driver, this.locator, direction, maxScrolls);
+    }
+}
+
+/**
+ * Accessor for a text input
+ */
+export class InputAccessor extends ElementAccessor {
+    /**
+     * Clear the input and set a value
+     * @param {string} value - Value to set
+     */
+    async fill(value) {
+        await clearAndSetValue(this.page.driver, this.locator, value);
+    }
+
+    /**
+     * Set a value without clearing the input first
+     * @param {string} value - Value to set
+     */
+    async type(value) {
+        await setValueOnElement(this.page.driver, this.locator, value);
+    }
+
+    /**
+     * Clear the input
+     */
+    async clear() {
+        await retryPolicy.execute(async () => {
+            const element = await this.element();
+            await element.clearValue();
+        });
+    }
+}
+
+/**
+ * Accessor for one item of a list, resolved lazily by index
+ */
+export class ListItemAccessor {
+    /**
+     * @param {ListAccessor} list - List owning the item
+     * @param {number} index - Zero-based item index
+     */
+    constructor(list, index) {
+        this.list = list;
+        this.index = index;
+    }
+
+    /**
+     * Get the WebdriverIO element of the item
+     * @returns {Object} WebdriverIO element
+     */
+    async element() {
+        const items = await this.list.all();
+        if (this.index >= items.length) {
+            throw new ElementNotFoundError(`List "${this.list.name}" has ${items.length} items, no item at index ${this.index}`, {
+                selector: this.list.page.resolveSelector(this.list.locator),
+                platform: this.list.page.platform,
+                pageName: this.list.page.constructor.name
+            });
+        }
+        return items[this.index];
+    }
+
+    /**
+     * Tap the item
+     */
+    async tap() {
+        const element = await this.element();
+        await element.click();
+    }
+
+    /**
+     * Get the item text
+     * @returns {string} Item text
+     */
+    async text() {
+        return retryPolicy.execute(async () => {
+            const element = await this.element();
+            return element.getText();
+        });
+    }
+
+    /**
+     * Get an attribute of the item
+     * @param {string} attributeName - Name of the attribute
+     * @returns {string} Attribute value
+     */
+    async attribute(attributeName) {
+        return retryPolicy.execute(async () => {
+            const element = await this.element();
+            return element.getAttribute(attributeName);
+        });
+    }
+
+    /**
+     * Check if the item is displayed
+     * @returns {boolean} True if item is displayed
+     */
+    async isDisplayed() {
+        return retryPolicy.execute(async () => {
+            const element = await this.element();
+            return element.isDisplayed();
+        });
+    }
+}
+
+/**
+ * Accessor for a list of elements matching the same locator
+ */
+export class ListAccessor extends ElementAccessor {
+    /**
+     * Get all currently matching elements
+     * @returns {Array} Array of WebdriverIO elements
+     */
+    async all() {
+        return findElements(this.page.driver, this.locator);
+    }
+
+    /**
+     * Get an item by index
+     * @param {number} index - Zero-based item index
+     * @returns {ListItemAccessor} Item accessor
+     */
+    at(index) {
+        return new ListItemAccessor(this, index);
+    }
+
+    /**
+     * Count the currently matching elements
+     * @returns {number} Number of items
+     */
+    async count() {
+        const items = await this.all();
+        return items.length;
+    }
+
+    /**
+     * Get the text of every item
+     * @returns {Array<string>} Item texts
+     */
+    async texts() {
+        const items = await this.all();
+        const texts = [];
+        for (const item of items) {
+            texts.push(await item.getText());
+        }
+        return texts;
+    }
+
+    /**
+     * Scroll through the list and tap the item containing a text
+     * @param {string} itemText - Text of the item to select
+     * @param {string} scrollDirection - Direction to scroll: 'up', 'down', 'left', 'right'
+     * @param {number} maxScrolls - Maximum number of scroll attempts
+     */
+    async select(itemText, scrollDirection = 'down', maxScrolls = 10) {
+        await this.page.selectListItemByText(this.locator, itemText, null, scrollDirection, maxScrolls);
+    }
+}
+
+// Accessor classes by element type
+const ACCESSOR_TYPES = {
+    element: ElementAccessor,
+    button: ElementAccessor,
+    text: ElementAccessor,
+    input: InputAccessor,
+    list: ListAccessor
+};
+
+/**
+ * Register an accessor class for a custom element type
+ * @param {string} type - Element type used in elements maps
+ * @param {typeof ElementAccessor} AccessorClass - Accessor class
+ */
+export function registerElementType(type, AccessorClass) {
+    ACCESSOR_TYPES[type] = AccessorClass;
+}
+
+/**
+ * Create an accessor from an elements map entry
+ * @param {BasePage} page - Page object owning the element
+ * @param {string} name - Element name
+ * @param {string|Locator|Object} definition - Locator, or { locator, type }
+ * @returns {ElementAccessor} Accessor for the element
+ */
+export function createAccessor(page, name, definition) {
+    const isDescriptor = definition && typeof definition === 'object' && 'locator' in definition;
+    const locator = isDescriptor ? definition.locator : definition;
+    const type = (isDescriptor && definition.type) || 'element';
+
+    const AccessorClass = ACCESSOR_TYPES[type];
+    if (!AccessorClass) {
+        throw new LocatorError(`Unknown element type "${type}" for element "${name}" in ${page.constructor.name}`, {
+            selector: String(locator),
+            pageName: page.constructor.name
+        });
+    }
+
+    return new AccessorClass(page, locator, name);
+}
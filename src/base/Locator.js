@@ -0,0 +1,167 @@
+/**
+ * Cross-platform locator descriptors for page objects
+ */
+import { LocatorError } from '../utils/errors.js';
+
+const PLATFORMS = ['android', 'ios'];
+
+/**
+ * Selector builders for the strategies supported by Appium drivers
+ */
+export const by = {
+    /**
+     * Accessibility id (content-desc on Android, accessibilityIdentifier on iOS)
+     * @param {string} value - Accessibility id
+     * @returns {string} Selector
+     */
+    accessibilityId: value => `~${value}`,
+
+    /**
+     * Android resource-id (e.g. 'com.app:id/login') or iOS element name
+     * @param {string} value - Resource id
+     * @returns {string} Selector
+     */
+    id: value => `id=${value}`,
+
+    /**
+     * Android UiAutomator selector
+     * @param {string} value - UiSelector expression (e.g. 'new UiSelector().text("Login")')
+     * @returns {string} Selector
+     */
+    uiSelector: value => `android=${value}`,
+
+    /**
+     * iOS predicate string
+     * @param {string} value - Predicate (e.g. 'label == "Login"')
+     * @returns {string} Selector
+     */
+    predicate: value => `-ios predicate string:${value}`,
+
+    /**
+     * iOS class chain
+     * @param {string} value - Class chain (e.g. '**\/XCUIElementTypeButton[`label == "Login"`]')
+     * @returns {string} Selector
+     */
+    classChain: value => `-ios class chain:${value}`,
+
+    /**
+     * XPath expression
+     * @param {string} value - XPath
+     * @returns {string} Selector
+     */
+    xpath: value => value
+};
+
+/**
+ * Locator with per-platform selector variants
+ */
+export class Locator {
+    /**
+     * @param {Object} variants - Selector variants
+     * @param {string} [variants.android] - Android selector
+     * @param {string} [variants.ios] - iOS selector
+     * @param {string} [variants.default] - Selector used when the platform has no own variant
+     * @param {string} [variants.name] - Name used in error messages
+     * @param {Array<string|Object>} [variants.fallbacks] - Ordered selectors (or platform variants) tried when the primary one fails
+     * @param {boolean} [variants.heal] - Whether to try a similarity match against the page source
+     * @param {Object} [variants.hints] - Expected text, label or resourceId used by the similarity match
+     */
+    constructor({
+        android = null,
+        ios = null,
+        default: defaultSelector = null,
+        name = null,
+        fallbacks = [],
+        heal = false,
+        hints = null
+    } = {}) {
+        this.android = android;
+        this.ios = ios;
+        this.default = defaultSelector;
+        this.name = name;
+        this.fallbacks = fallbacks;
+        this.heal = heal;
+        this.hints = hints;
+    }
+
+    /**
+     * Resolve the selector for a platform
+     * @param {string} platform - 'android' or 'ios'
+     * @returns {string} Selector for the platform
+     */
+    resolve(platform) {
+        if (!PLATFORMS.includes(platform)) {
+            throw new LocatorError(`Unknown platform "${platform}" for locator ${this}`, { platform });
+        }
+
+        const selector = this[platform] || this.default;
+        if (!selector) {
+            const available = PLATFORMS.filter(p => this[p]).join(', ') || 'none';
+            throw new LocatorError(`Locator ${this} has no ${platform} variant (available: ${available})`, {
+                selector: String(this),
+                platform
+            });
+        }
+
+        return selector;
+    }
+
+    /**
+     * Resolve the fallback selectors for a platform, skipping fallbacks without a variant for it
+     * @param {string} platform - 'android' or 'ios'
+     * @returns {Array<string>} Fallback selectors in order
+     */
+    resolveFallbacks(platform) {
+        return this.fallbacks
+            .map(fallback => {
+                if (typeof fallback === 'string') return fallback;
+                return fallback[platform] || fallback.default || null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Describe the locator for logs and error messages
+     * @returns {string} Locator description
+     */
+    toString() {
+        if (this.name) {
+            return `"${this.name}"`;
+        }
+        const variants = [...PLATFORMS, 'default']
+            .filter(key => this[key])
+            .map(key => `${key}: ${this[key]}`);
+        return `{ ${variants.join(', ')} }`;
+    }
+}
+
+/**
+ * Create a cross-platform locator
+ * @param {Object} variants - Selector variants, see Locator
+ * @returns {Locator} Locator instance
+ */
+export function locator(variants) {
+    return new Locator(variants);
+}
+
+/**
+ * Resolve a selector, locator or locator descriptor to a platform selector string
+ * @param {string|Locator|Object} selector - Selector to resolve
+ * @param {string} platform - 'android' or 'ios'
+ * @returns {string} Selector for the platform
+ */
+export function resolveSelector(selector, platform) {
+    if (typeof selector === 'string') {
+        return selector;
+    }
+
+    if (selector instanceof Locator) {
+        return selector.resolve(platform);
+    }
+
+    if (selector && typeof selector === 'object' && ['android', 'ios', 'default'].some(key => key in selector)) {
+        return new Locator(selector).resolve(platform);
+    }
+
+    throw new LocatorError(`Invalid selector: ${JSON.stringify(selector)}`, { platform });
+}
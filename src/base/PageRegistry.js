@@ -1,3 +1,5 @@
+import { PageNotRegisteredError } from '../utils/errors.js';
+
 /**
  * Registry for managing page objects across tests
  */
@@ -8,9 +10,10 @@ export class PageRegistry {
 
     /**
      * Register an app's page class
+     * Components (BaseComponent subclasses with a static root) can be registered the same way
      * @param {string} appName - Name of the app (e.g., 'sample_app')
      * @param {string} pageName - Name of the page (e.g., 'login')
-     * @param {typeof BasePage} PageClass - Page class to register
+     * @param {typeof BasePage|typeof BaseComponent} PageClass - Page or component class to register
      */
     register(appName, pageName, PageClass) {
         if (!this.apps.has(appName)) {
@@ -42,12 +45,16 @@ export class PageRegistry {
     get(appName, pageName) {
         const appPages = this.apps.get(appName);
         if (!appPages) {
-            throw new Error(`App "${appName}" not registered`);
+            throw new PageNotRegisteredError(`App "${appName}" not registered`, { appName, pageName });
         }
 
         const page = appPages.get(pageName);
         if (!page) {
-            throw new Error(`Page "${pageName}" not registered for app "${appName}"`);
+            const registeredPages = Array.from(appPages.keys()).join(', ') || 'none';
+            throw new PageNotRegisteredError(
+                `Page "${pageName}" not registered for app "${appName}" (registered: ${registeredPages})`,
+                { appName, pageName }
+            );
         }
 
         if (!page.instance) {
@@ -1,46 +1,160 @@
 /**
  * Advanced element interactions for mobile automation
  */
+import {
+    performGesture,
+    tap,
+    longPress,
+    swipe,
+    pinch,
+    rotate,
+    getElementCenter
+} from './gestures.js';
+import { resolveSelector } from './Locator.js';
+import selfHealingManager from '../utils/selfHealing.js';
+import retryPolicy from '../utils/retryPolicy.js';
+import {
+    ElementNotFoundError,
+    GestureError,
+    ConditionTimeoutError
+} from '../utils/errors.js';
+import fs from 'fs';
+import path from 'path';
 
 // Wait thresholds
 const MAX_ELEMENT_WAIT_THRESHOLD_MS = 5000;
 const MAX_CONDITION_WAIT_THRESHOLD_MS = 10000;
 
+// Where page source and screenshots are saved for failed lookups (ERROR_DIAGNOSTICS=true)
+const DIAGNOSTICS_DIR = path.resolve(process.cwd(), 'reports', 'diagnostics');
+
+// Share of the target area covered by multi-touch gestures
+const MULTI_TOUCH_AREA_RATIO = 0.4;
+
+/**
+ * Get the platform a driver is running on
+ * @param {Object} driver - WebdriverIO driver
+ * @returns {string} 'android' or 'ios'
+ */
+function getPlatform(driver) {
+    if (driver.isIOS) return 'ios';
+    if (driver.isAndroid) return 'android';
+    return process.env.PLATFORM || 'android';
+}
+
+/**
+ * Resolve a selector or cross-platform locator for the driver's platform
+ * @param {Object} driver - WebdriverIO driver
+ * @param {string|Locator} elementSelector - Element selector or locator
+ * @returns {string} Selector string
+ */
+function resolveElementSelector(driver, elementSelector) {
+    return resolveSelector(elementSelector, getPlatform(driver));
+}
+
+/**
+ * Save the page source and a screenshot to attach to an error
+ * Only runs when ERROR_DIAGNOSTICS is 'true'; never throws.
+ * @param {Object} driver - WebdriverIO driver
+ * @param {string} name - Base name for the saved files
+ * @returns {{pageSourcePath: string, screenshotPath: string}} Paths of the saved files
+ */
+async function captureDiagnostics(driver, name) {
+    const diagnostics = {};
+    if (process.env.ERROR_DIAGNOSTICS !== 'true') {
+        return diagnostics;
+    }
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const baseName = `${name.replace(/[^\w.-]+/g, '_').slice(0, 80)}_${timestamp}`;
+    
+    try {
+        fs.mkdirSync(DIAGNOSTICS_DIR, { recursive: true });
+        
+        const pageSourcePath = path.join(DIAGNOSTICS_DIR, `${baseName}.xml`);
+        fs.writeFileSync(pageSourcePath, await driver.getPageSource());
+        diagnostics.pageSourcePath = pageSourcePath;
+        
+        const screenshotPath = path.join(DIAGNOSTICS_DIR, `${baseName}.png`);
+        await driver.saveScreenshot(screenshotPath);
+        diagnostics.screenshotPath = screenshotPath;
+    } catch (e) {
+        console.warn(`Failed to capture diagnostics for ${name}: ${e.message}`);
+    }
+    
+    return diagnostics;
+}
+
 /**
  * Find an element with waiting
  * @param {Object} driver - WebdriverIO driver
- * @param {string} elementSelector - Element selector
+ * @param {string|Locator} elementSelector - Element selector or locator
  * @param {number} timeout - Timeout in ms
  * @returns {Object} WebdriverIO element
  */
 async function findElement(driver, elementSelector, timeout = MAX_ELEMENT_WAIT_THRESHOLD_MS) {
-    const element = await driver.$(elementSelector);
-    await element.waitForExist({ timeout });
-    return element;
+    const selector = resolveElementSelector(driver, elementSelector);
+    const element = await driver.$(selector);
+    try {
+        await element.waitForExist({ timeout });
+        return element;
+    } catch (error) {
+        // Try the locator's fallbacks and similarity match before giving up
+        // A failing heal (e.g. the page source cannot be read) is reported with the lookup failure
+        let healingError = null;
+        try {
+            const healedElement = await selfHealingManager.heal(driver, elementSelector, getPlatform(driver));
+            if (healedElement) {
+                return healedElement;
+            }
+        } catch (healError) {
+            healingError = healError.message;
+        }
+        
+        const notFoundError = new ElementNotFoundError(`Element not found: ${selector} (waited ${timeout}ms)`, {
+            selector,
+            platform: getPlatform(driver),
+            timeout,
+            ...(healingError ? { healingError } : {}),
+            cause: error
+        });
+        throw notFoundError.withDiagnostics(await captureDiagnostics(driver, selector));
+    }
 }
 
 /**
  * Find multiple elements
  * @param {Object} driver - WebdriverIO driver
- * @param {string} elementSelector - Element selector
+ * @param {string|Locator} elementSelector - Element selector or locator
  * @param {number} timeout - Timeout in ms
  * @returns {Array} Array of WebdriverIO elements
  */
 async function findElements(driver, elementSelector, timeout = MAX_ELEMENT_WAIT_THRESHOLD_MS) {
-    const elements = await driver.$$(elementSelector);
+    const selector = resolveElementSelector(driver, elementSelector);
+    const elements = await driver.$$(selector);
     // If no elements found within timeout, throw error
     if (elements.length === 0) {
-        await driver.waitUntil(
-            async () => {
-                const foundElements = await driver.$$(elementSelector);
-                return foundElements.length > 0;
-            },
-            {
+        try {
+            await driver.waitUntil(
+                async () => {
+                    const foundElements = await driver.$$(selector);
+                    return foundElements.length > 0;
+                },
+                {
+                    timeout,
+                    timeoutMsg: `No elements found for selector: ${selector}`
+                }
+            );
+        } catch (error) {
+            const notFoundError = new ElementNotFoundError(`No elements found for selector: ${selector} (waited ${timeout}ms)`, {
+                selector,
+                platform: getPlatform(driver),
                 timeout,
-                timeoutMsg: `No elements found for selector: ${elementSelector}`
-            }
-        );
-        return driver.$$(elementSelector);
+                cause: error
+            });
+            throw notFoundError.withDiagnostics(await captureDiagnostics(driver, selector));
+        }
+        return driver.$$(selector);
     }
     return elements;
 }
@@ -48,7 +162,7 @@ async function findElements(driver, elementSelector, timeout = MAX_ELEMENT_WAIT_
 /**
  * Tap on an element
  * @param {Object} driver - WebdriverIO driver
- * @param {string} elementSelector - Element selector
+ * @param {string|Locator} elementSelector - Element selector or locator
  * @param {number} timeout - Timeout in ms
  * @returns {Promise} Click operation result
  */
@@ -62,7 +176,7 @@ async function tapElement(driver, elementSelector, timeout = MAX_ELEMENT_WAIT_TH
 /**
  * Set value on an element
  * @param {Object} driver - WebdriverIO driver
- * @param {string} elementSelector - Element selector
+ * @param {string|Locator} elementSelector - Element selector or locator
  * @param {string} value - Value to set
  * @param {number} timeout - Timeout in ms
  * @returns {Promise} Set value operation result
@@ -76,7 +190,7 @@ async function setValueOnElement(driver, elementSelector, value, timeout = MAX_E
 /**
  * Clear and set value on an element
  * @param {Object} driver - WebdriverIO driver
- * @param {string} elementSelector - Element selector
+ * @param {string|Locator} elementSelector - Element selector or locator
  * @param {string} value - Value to set
  * @param {number} timeout - Timeout in ms
  */
@@ -90,7 +204,7 @@ async function clearAndSetValue(driver, elementSelector, value, timeout = MAX_EL
 /**
  * Long press on an element
  * @param {Object} driver - WebdriverIO driver
- * @param {string} elementSelector - Element selector
+ * @param {string|Locator} elementSelector - Element selector or locator
  * @param {number} duration - Duration in ms
  * @param {number} timeout - Timeout in ms
  */
@@ -98,27 +212,15 @@ async function longPressElement(driver, elementSelector, duration = 2000, timeou
     const element = await findElement(driver, elementSelector, timeout);
     await element.waitForDisplayed({ timeout });
     
-    // Get element location
-    const location = await element.getLocation();
-    const size = await element.getSize();
-    
-    // Calculate center point
-    const centerX = location.x + (size.width / 2);
-    const centerY = location.y + (size.height / 2);
-    
-    // Perform long press
-    await driver.touchAction([
-        { action: 'press', x: centerX, y: centerY },
-        { action: 'wait', ms: duration },
-        { action: 'release' }
-    ]);
+    const center = await getElementCenter(element);
+    await performGesture(driver, longPress(center, duration));
 }
 
 /**
  * Swipe from one element to another
  * @param {Object} driver - WebdriverIO driver
- * @param {string} startElementSelector - Starting element selector
- * @param {string} endElementSelector - Ending element selector
+ * @param {string|Locator} startElementSelector - Starting element selector or locator
+ * @param {string|Locator} endElementSelector - Ending element selector or locator
  * @param {number} duration - Swipe duration in ms
  * @param {number} timeout - Timeout in ms
  */
@@ -132,22 +234,10 @@ async function swipeBetweenElements(
     const startElement = await findElement(driver, startElementSelector, timeout);
     const endElement = await findElement(driver, endElementSelector, timeout);
     
-    const startLocation = await startElement.getLocation();
-    const startSize = await startElement.getSize();
-    const endLocation = await endElement.getLocation();
-    const endSize = await endElement.getSize();
-    
-    const startX = startLocation.x + (startSize.width / 2);
-    const startY = startLocation.y + (startSize.height / 2);
-    const endX = endLocation.x + (endSize.width / 2);
-    const endY = endLocation.y + (endSize.height / 2);
+    const start = await getElementCenter(startElement);
+    const end = await getElementCenter(endElement);
     
-    await driver.touchAction([
-        { action: 'press', x: startX, y: startY },
-        { action: 'wait', ms: duration },
-        { action: 'moveTo', x: endX, y: endY },
-        { action: 'release' }
-    ]);
+    await performGesture(driver, swipe(start, end, duration));
 }
 
 /**
@@ -192,33 +282,140 @@ async function swipeOnScreen(driver, direction, percentage = 0.5, duration = 800
             endY = height * 0.5;
             break;
         default:
-            throw new Error(`Invalid swipe direction: ${direction}`);
+            throw new GestureError(`Invalid swipe direction: ${direction}`, { direction });
     }
     
     // Execute swipe
-    await driver.touchAction([
-        { action: 'press', x: startX, y: startY },
-        { action: 'wait', ms: duration },
-        { action: 'moveTo', x: endX, y: endY },
-        { action: 'release' }
-    ]);
+    await performGesture(driver, swipe({ x: startX, y: startY }, { x: endX, y: endY }, duration));
+}
+
+/**
+ * Get the pinch start and end radius for a scale factor within an area
+ * @param {number} maxRadius - Largest radius that fits inside the area
+ * @param {number} scale - Scale factor (< 1 pinches in and zooms out, > 1 pinches out and zooms in)
+ * @returns {{startRadius: number, endRadius: number}} Finger distances from the center
+ */
+function getPinchRadii(maxRadius, scale) {
+    if (!(scale > 0) || scale === 1) {
+        throw new GestureError(`Invalid pinch scale: ${scale}`, { scale });
+    }
+    
+    return scale < 1
+        ? { startRadius: maxRadius, endRadius: maxRadius * scale }
+        : { startRadius: maxRadius / scale, endRadius: maxRadius };
+}
+
+/**
+ * Get the center and usable radius of an element for multi-touch gestures
+ * @param {Object} driver - WebdriverIO driver
+ * @param {string|Locator} elementSelector - Element selector or locator
+ * @param {number} timeout - Timeout in ms
+ * @returns {{center: {x: number, y: number}, maxRadius: number}} Gesture area
+ */
+async function getElementGestureArea(driver, elementSelector, timeout) {
+    const element = await findElement(driver, elementSelector, timeout);
+    await element.waitForDisplayed({ timeout });
+    
+    const size = await element.getSize();
+    return {
+        center: await getElementCenter(element),
+        maxRadius: Math.min(size.width, size.height) * MULTI_TOUCH_AREA_RATIO
+    };
+}
+
+/**
+ * Get the center and usable radius of the screen for multi-touch gestures
+ * @param {Object} driver - WebdriverIO driver
+ * @returns {{center: {x: number, y: number}, maxRadius: number}} Gesture area
+ */
+async function getScreenGestureArea(driver) {
+    const { width, height } = await driver.getWindowSize();
+    return {
+        center: { x: width / 2, y: height / 2 },
+        maxRadius: Math.min(width, height) * MULTI_TOUCH_AREA_RATIO
+    };
+}
+
+/**
+ * Pinch on the screen
+ * @param {Object} driver - WebdriverIO driver
+ * @param {number} scale - Scale factor (< 1 pinches in and zooms out, > 1 pinches out and zooms in)
+ * @param {number} duration - Gesture duration in ms
+ */
+async function pinchOnScreen(driver, scale = 0.5, duration = 500) {
+    const { center, maxRadius } = await getScreenGestureArea(driver);
+    const { startRadius, endRadius } = getPinchRadii(maxRadius, scale);
+    
+    await performGesture(driver, pinch(center, startRadius, endRadius, duration));
+}
+
+/**
+ * Pinch on an element
+ * @param {Object} driver - WebdriverIO driver
+ * @param {string|Locator} elementSelector - Element selector or locator
+ * @param {number} scale - Scale factor (< 1 pinches in and zooms out, > 1 pinches out and zooms in)
+ * @param {number} duration - Gesture duration in ms
+ * @param {number} timeout - Timeout in ms
+ */
+async function pinchElement(
+    driver,
+    elementSelector,
+    scale = 0.5,
+    duration = 500,
+    timeout = MAX_ELEMENT_WAIT_THRESHOLD_MS
+) {
+    const { center, maxRadius } = await getElementGestureArea(driver, elementSelector, timeout);
+    const { startRadius, endRadius } = getPinchRadii(maxRadius, scale);
+    
+    await performGesture(driver, pinch(center, startRadius, endRadius, duration));
+}
+
+/**
+ * Rotate with two fingers on the screen
+ * @param {Object} driver - WebdriverIO driver
+ * @param {number} angle - Rotation in degrees (positive is clockwise)
+ * @param {number} duration - Gesture duration in ms
+ */
+async function rotateOnScreen(driver, angle = 90, duration = 800) {
+    const { center, maxRadius } = await getScreenGestureArea(driver);
+    await performGesture(driver, rotate(center, maxRadius, angle, duration));
+}
+
+/**
+ * Rotate with two fingers on an element
+ * @param {Object} driver - WebdriverIO driver
+ * @param {string|Locator} elementSelector - Element selector or locator
+ * @param {number} angle - Rotation in degrees (positive is clockwise)
+ * @param {number} duration - Gesture duration in ms
+ * @param {number} timeout - Timeout in ms
+ */
+async function rotateElement(
+    driver,
+    elementSelector,
+    angle = 90,
+    duration = 800,
+    timeout = MAX_ELEMENT_WAIT_THRESHOLD_MS
+) {
+    const { center, maxRadius } = await getElementGestureArea(driver, elementSelector, timeout);
+    await performGesture(driver, rotate(center, maxRadius, angle, duration));
 }
 
 /**
  * Scroll to find an element (scrolls until element is found or max scrolls reached)
  * @param {Object} driver - WebdriverIO driver
- * @param {string} elementSelector - Element to find
+ * @param {string|Locator} elementSelector - Element to find
  * @param {string} direction - Direction to scroll: 'up', 'down', 'left', 'right'
  * @param {number} maxScrolls - Maximum number of scroll attempts
  * @returns {Object} Found element or null
  */
 async function scrollToFindElement(driver, elementSelector, direction = 'down', maxScrolls = 10) {
+    const selector = resolveElementSelector(driver, elementSelector);
     let isVisible = false;
     let scrolls = 0;
     
     // Check if element is already visible
     try {
-        const element = await driver.$(elementSelector);
+        const element = await driver.$(selector);
         isVisible = await element.isDisplayed();
         if (isVisible) return element;
     } catch (e) {
@@ -231,7 +428,7 @@ async function scrollToFindElement(driver, elementSelector, direction = 'down',
         scrolls++;
         
         try {
-            const element = await driver.$(elementSelector);
+            const element = await driver.$(selector);
             isVisible = await element.isDisplayed();
             if (isVisible) return element;
         } catch (e) {
@@ -240,10 +437,16 @@ async function scrollToFindElement(driver, elementSelector, direction = 'down',
     }
     
     if (!isVisible) {
-        throw new Error(`Element ${elementSelector} not found after ${maxScrolls} scrolls`);
+        const notFoundError = new ElementNotFoundError(`Element ${selector} not found after ${maxScrolls} scrolls`, {
+            selector,
+            platform: getPlatform(driver),
+            direction,
+            scrolls
+        });
+        throw notFoundError.withDiagnostics(await captureDiagnostics(driver, selector));
     }
     
-    return driver.$(elementSelector);
+    return driver.$(selector);
 }
 
 /**
@@ -253,20 +456,18 @@ async function scrollToFindElement(driver, elementSelector, direction = 'down',
  * @param {number} y - Y coordinate
  */
 async function tapByCoordinates(driver, x, y) {
-    await driver.touchAction([
-        { action: 'tap', x, y }
-    ]);
+    await performGesture(driver, tap({ x, y }));
 }
 
 /**
  * Wait for an element to be visible with timeout
  * @param {Object} driver - WebdriverIO driver
- * @param {string} elementSelector - Element selector
+ * @param {string|Locator} elementSelector - Element selector or locator
  * @param {number} timeout - Timeout in ms
  * @returns {Object} WebdriverIO element
  */
 async function waitForElementVisible(driver, elementSelector, timeout = MAX_ELEMENT_WAIT_THRESHOLD_MS) {
-    const element = await driver.$(elementSelector);
+    const element = await driver.$(resolveElementSelector(driver, elementSelector));
     await element.waitForDisplayed({ timeout });
     return element;
 }
@@ -274,13 +475,14 @@ async function waitForElementVisible(driver, elementSelector, timeout = MAX_ELEM
 /**
  * Wait for an element to disappear
  * @param {Object} driver - WebdriverIO driver
- * @param {string} elementSelector - Element selector
+ * @param {string|Locator} elementSelector - Element selector or locator
  * @param {number} timeout - Timeout in ms
  * @returns {boolean} True if element disappears within timeout
  */
 async function waitForElementNotVisible(driver, elementSelector, timeout = MAX_ELEMENT_WAIT_THRESHOLD_MS) {
+    const selector = resolveElementSelector(driver, elementSelector);
     try {
-        const element = await driver.$(elementSelector);
+        const element = await driver.$(selector);
         
         // If element doesn't exist, return immediately
         if (!(await element.isExisting())) {
@@ -316,7 +518,7 @@ async function waitForCondition(
         });
         return true;
     } catch (e) {
-        throw new Error(`${errorMessage}: ${e.message}`);
+        throw new ConditionTimeoutError(`${errorMessage}: ${e.message}`, { timeout, cause: e });
     }
 }
 
@@ -341,7 +543,7 @@ async function handleAlert(driver, accept = true, text = null) {
 /**
  * Check if an element has a specific text
  * @param {Object} driver - WebdriverIO driver
- * @param {string} elementSelector - Element selector
+ * @param {string|Locator} elementSelector - Element selector or locator
  * @param {string} expectedText - Expected text
  * @param {boolean} exactMatch - Whether to require exact match
  * @param {number} timeout - Timeout in ms
@@ -368,31 +570,47 @@ async function elementHasText(
  * Take a screenshot with a custom name
  * @param {Object} driver - WebdriverIO driver
  * @param {string} name - Screenshot name
- * @returns {string} Path to saved screenshot
+ * @param {string} dir - Directory to save the screenshot in (created if missing)
+ * @returns {string} File name of the saved screenshot
  */
-async function takeScreenshot(driver, name) {
+async function takeScreenshot(driver, name, dir = './screenshots') {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const screenshotName = `${name}_${timestamp}.png`;
     
-    await driver.saveScreenshot(`./screenshots/${screenshotName}`);
+    fs.mkdirSync(dir, { recursive: true });
+    await driver.saveScreenshot(path.join(dir, screenshotName));
     return screenshotName;
 }
 
+// Lookups and reads run under the retry policy; internal calls are not retried separately.
+// Gestures, typing, scrolling, alerts and screenshots are exported as they are, since
+// repeating an action that partly went through would act twice.
+const retryableFindElement = retryPolicy.wrap(findElement);
+const retryableFindElements = retryPolicy.wrap(findElements);
+const retryableWaitForElementVisible = retryPolicy.wrap(waitForElementVisible);
+const retryableWaitForElementNotVisible = retryPolicy.wrap(waitForElementNotVisible);
+const retryableWaitForCondition = retryPolicy.wrap(waitForCondition);
+const retryableElementHasText = retryPolicy.wrap(elementHasText);
+
 export {
-    findElement,
-    findElements,
+    retryableFindElement as findElement,
+    retryableFindElements as findElements,
     tapElement,
     setValueOnElement,
     clearAndSetValue,
     longPressElement,
     swipeBetweenElements,
     swipeOnScreen,
+    pinchOnScreen,
+    pinchElement,
+    rotateOnScreen,
+    rotateElement,
     scrollToFindElement,
     tapByCoordinates,
-    waitForElementVisible,
-    waitForElementNotVisible,
-    waitForCondition,
+    retryableWaitForElementVisible as waitForElementVisible,
+    retryableWaitForElementNotVisible as waitForElementNotVisible,
+    retryableWaitForCondition as waitForCondition,
     handleAlert,
-    elementHasText,
+    retryableElementHasText as elementHasText,
     takeScreenshot
 };
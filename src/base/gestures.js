@@ -0,0 +1,293 @@
+/**
+ * W3C pointer action gesture engine for mobile automation
+ *
+ * Gestures are built from composable primitives and converted to a W3C Actions
+ * payload, so a gesture can be inspected (and unit tested) without a device.
+ */
+import { GestureError } from '../utils/errors.js';
+
+// Pointer defaults
+const POINTER_TYPE = 'touch';
+const DEFAULT_PRESS_PAUSE_MS = 100;
+const DEFAULT_TAP_PAUSE_MS = 50;
+const DEFAULT_ROTATION_STEPS = 12;
+
+/**
+ * A single touch pointer and its ordered list of actions
+ */
+class Finger {
+    /**
+     * @param {string} id - Pointer id used in the W3C payload
+     */
+    constructor(id) {
+        this.id = id;
+        this.actions = [];
+    }
+
+    /**
+     * Move the pointer to viewport coordinates
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} duration - Duration of the move in ms
+     * @returns {Finger} This finger for chaining
+     */
+    move(x, y, duration = 0) {
+        this.actions.push({
+            type: 'pointerMove',
+            duration: Math.round(duration),
+            origin: 'viewport',
+            x: Math.round(x),
+            y: Math.round(y)
+        });
+        return this;
+    }
+
+    /**
+     * Put the pointer down
+     * @returns {Finger} This finger for chaining
+     */
+    press() {
+        this.actions.push({ type: 'pointerDown', button: 0 });
+        return this;
+    }
+
+    /**
+     * Keep the pointer in its current state
+     * @param {number} duration - Pause duration in ms
+     * @returns {Finger} This finger for chaining
+     */
+    pause(duration) {
+        this.actions.push({ type: 'pause', duration: Math.round(duration) });
+        return this;
+    }
+
+    /**
+     * Lift the pointer
+     * @returns {Finger} This finger for chaining
+     */
+    release() {
+        this.actions.push({ type: 'pointerUp', button: 0 });
+        return this;
+    }
+
+    /**
+     * Convert the finger to a W3C pointer input source
+     * @returns {Object} W3C input source
+     */
+    toAction() {
+        return {
+            type: 'pointer',
+            id: this.id,
+            parameters: { pointerType: POINTER_TYPE },
+            actions: [...this.actions]
+        };
+    }
+}
+
+/**
+ * A gesture made of one or more fingers performed simultaneously
+ */
+class Gesture {
+    constructor() {
+        this.fingers = [];
+    }
+
+    /**
+     * Add a finger to the gesture
+     * @returns {Finger} The new finger
+     */
+    finger() {
+        const finger = new Finger(`finger${this.fingers.length + 1}`);
+        this.fingers.push(finger);
+        return finger;
+    }
+
+    /**
+     * Build the W3C Actions payload for this gesture
+     * @returns {Array<Object>} Actions accepted by driver.performActions
+     */
+    toActions() {
+        return this.fingers.map(finger => finger.toAction());
+    }
+
+    /**
+     * Perform the gesture on a device
+     * @param {Object} driver - WebdriverIO driver
+     */
+    async perform(driver) {
+        await performGesture(driver, this);
+    }
+}
+
+/**
+ * Perform a gesture and release all pointers afterwards
+ * @param {Object} driver - WebdriverIO driver
+ * @param {Gesture} gesture - Gesture to perform
+ */
+async function performGesture(driver, gesture) {
+    try {
+        await driver.performActions(gesture.toActions());
+    } catch (error) {
+        throw new GestureError(`Failed to perform gesture: ${error.message}`, {
+            fingers: gesture.fingers.length,
+            cause: error
+        });
+    } finally {
+        await driver.releaseActions();
+    }
+}
+
+/**
+ * Build a tap gesture
+ * @param {{x: number, y: number}} point - Point to tap
+ * @returns {Gesture} Tap gesture
+ */
+function tap(point) {
+    const gesture = new Gesture();
+    gesture.finger()
+        .move(point.x, point.y)
+        .press()
+        .pause(DEFAULT_TAP_PAUSE_MS)
+        .release();
+    return gesture;
+}
+
+/**
+ * Build a long press gesture
+ * @param {{x: number, y: number}} point - Point to press
+ * @param {number} duration - Press duration in ms
+ * @returns {Gesture} Long press gesture
+ */
+function longPress(point, duration = 2000) {
+    const gesture = new Gesture();
+    gesture.finger()
+        .move(point.x, point.y)
+        .press()
+        .pause(duration)
+        .release();
+    return gesture;
+}
+
+/**
+ * Build a swipe (press, move, release) gesture
+ * @param {{x: number, y: number}} start - Start point
+ * @param {{x: number, y: number}} end - End point
+ * @param {number} duration - Duration of the move in ms
+ * @param {number} holdDuration - Time to hold before moving in ms
+ * @returns {Gesture} Swipe gesture
+ */
+function swipe(start, end, duration = 800, holdDuration = DEFAULT_PRESS_PAUSE_MS) {
+    const gesture = new Gesture();
+    gesture.finger()
+        .move(start.x, start.y)
+        .press()
+        .pause(holdDuration)
+        .move(end.x, end.y, duration)
+        .release();
+    return gesture;
+}
+
+/**
+ * Get a point at a distance and angle from a center point
+ * @param {{x: number, y: number}} center - Center point
+ * @param {number} radius - Distance from the center
+ * @param {number} angle - Angle in degrees (0 points right, clockwise)
+ * @returns {{x: number, y: number}} Point on the circle
+ */
+function pointOnCircle(center, radius, angle) {
+    const radians = angle * Math.PI / 180;
+    return {
+        x: center.x + radius * Math.cos(radians),
+        y: center.y + radius * Math.sin(radians)
+    };
+}
+
+/**
+ * Build a two-finger pinch gesture moving both fingers along one axis
+ * @param {{x: number, y: number}} center - Center of the pinch
+ * @param {number} startRadius - Distance of each finger from the center at the start
+ * @param {number} endRadius - Distance of each finger from the center at the end
+ * @param {number} duration - Duration of the move in ms
+ * @param {number} angle - Axis of the pinch in degrees (0 is horizontal)
+ * @returns {Gesture} Pinch gesture
+ */
+function pinch(center, startRadius, endRadius, duration = 500, angle = 0) {
+    const gesture = new Gesture();
+
+    for (const fingerAngle of [angle, angle + 180]) {
+        const start = pointOnCircle(center, startRadius, fingerAngle);
+        const end = pointOnCircle(center, endRadius, fingerAngle);
+
+        gesture.finger()
+            .move(start.x, start.y)
+            .press()
+            .pause(DEFAULT_PRESS_PAUSE_MS)
+            .move(end.x, end.y, duration)
+            .release();
+    }
+
+    return gesture;
+}
+
+/**
+ * Build a two-finger rotate gesture moving both fingers along a circle
+ * @param {{x: number, y: number}} center - Center of the rotation
+ * @param {number} radius - Distance of each finger from the center
+ * @param {number} rotation - Rotation in degrees (positive is clockwise)
+ * @param {number} duration - Duration of the rotation in ms
+ * @param {number} steps - Number of moves used to approximate the arc
+ * @returns {Gesture} Rotate gesture
+ * @throws {GestureError} If steps is not a positive integer
+ */
+function rotate(center, radius, rotation = 90, duration = 800, steps = DEFAULT_ROTATION_STEPS) {
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new GestureError(`Rotation steps must be a positive integer, got: ${steps}`, { steps });
+    }
+
+    const gesture = new Gesture();
+    const stepDuration = duration / steps;
+
+    for (const startAngle of [0, 180]) {
+        const start = pointOnCircle(center, radius, startAngle);
+        const finger = gesture.finger()
+            .move(start.x, start.y)
+            .press()
+            .pause(DEFAULT_PRESS_PAUSE_MS);
+
+        for (let step = 1; step <= steps; step++) {
+            const point = pointOnCircle(center, radius, startAngle + (rotation * step / steps));
+            finger.move(point.x, point.y, stepDuration);
+        }
+
+        finger.release();
+    }
+
+    return gesture;
+}
+
+/**
+ * Get the center point of an element
+ * @param {Object} element - WebdriverIO element
+ * @returns {{x: number, y: number}} Center point
+ */
+async function getElementCenter(element) {
+    const location = await element.getLocation();
+    const size = await element.getSize();
+
+    return {
+        x: location.x + (size.width / 2),
+        y: location.y + (size.height / 2)
+    };
+}
+
+export {
+    Finger,
+    Gesture,
+    performGesture,
+    tap,
+    longPress,
+    swipe,
+    pinch,
+    rotate,
+    getElementCenter
+};
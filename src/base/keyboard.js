@@ -0,0 +1,172 @@
+/**
+ * Soft keyboard helpers for text input flows
+ *
+ * The keyboard often covers the next field after typing, so these helpers detect it,
+ * hide it with per-platform fallbacks, press IME action keys and type text one
+ * character at a time for inputs with masks.
+ */
+import { findElement } from './elementAction.js';
+import { KeyboardError } from '../utils/errors.js';
+
+// Time to wait for the keyboard to close after each hide attempt
+const HIDE_TIMEOUT_MS = 2000;
+
+// Delay between characters when typing one character at a time
+const DEFAULT_TYPING_DELAY_MS = 100;
+
+// Android key code of the back key, which closes the keyboard when it is shown
+const ANDROID_KEYCODE_BACK = 4;
+
+// iOS keyboard keys that close the keyboard, in order of preference
+const IOS_HIDE_KEYS = ['Done', 'Return', 'Go', 'Search', 'Send'];
+
+// IME actions and the iOS key label for each
+const KEYBOARD_ACTIONS = {
+    done: 'Done',
+    go: 'Go',
+    next: 'Next',
+    previous: 'Previous',
+    search: 'Search',
+    send: 'Send'
+};
+
+/**
+ * Get the platform a driver is running on
+ * @param {Object} driver - WebdriverIO driver
+ * @returns {string} 'android' or 'ios'
+ */
+function getPlatform(driver) {
+    return driver.isIOS ? 'ios' : 'android';
+}
+
+/**
+ * Check whether the soft keyboard is shown
+ * @param {Object} driver - WebdriverIO driver
+ * @returns {boolean} True if the keyboard is shown
+ */
+async function isKeyboardShown(driver) {
+    try {
+        return Boolean(await driver.isKeyboardShown());
+    } catch (error) {
+        throw new KeyboardError(`Keyboard state query failed on ${getPlatform(driver)}: ${error.message}`, {
+            platform: getPlatform(driver),
+            cause: error
+        });
+    }
+}
+
+/**
+ * Hide the soft keyboard, trying platform-specific fallbacks until it is gone
+ * Android falls back to the back key, which only closes the keyboard while it is shown.
+ * iOS falls back to the keyboard's Done/Return keys.
+ * @param {Object} driver - WebdriverIO driver
+ * @param {Object} options - Hide options
+ * @param {number} [options.timeout] - Time to wait for the keyboard to close after each attempt in ms
+ */
+async function hideKeyboard(driver, { timeout = HIDE_TIMEOUT_MS } = {}) {
+    if (!(await isKeyboardShown(driver))) return;
+
+    const platform = getPlatform(driver);
+    const attempts = platform === 'ios'
+        ? [
+            ['hideKeyboard', () => driver.hideKeyboard()],
+            ['keyboard keys', () => driver.execute('mobile: hideKeyboard', { keys: IOS_HIDE_KEYS })]
+        ]
+        : [
+            ['hideKeyboard', () => driver.hideKeyboard()],
+            ['back key', () => driver.execute('mobile: pressKey', { keycode: ANDROID_KEYCODE_BACK })]
+        ];
+
+    const failures = [];
+    for (const [method, attempt] of attempts) {
+        try {
+            await attempt();
+            if (await waitForKeyboardHidden(driver, timeout)) return;
+            failures.push(`${method}: keyboard still shown`);
+        } catch (error) {
+            failures.push(`${method}: ${error.message}`);
+        }
+    }
+
+    throw new KeyboardError(`Keyboard could not be hidden on ${platform} (${failures.join('; ')})`, {
+        platform,
+        timeout,
+        attempts: attempts.length
+    });
+}
+
+/**
+ * Press an IME action key (e.g. 'done' to submit, 'next' to move to the next field)
+ * @param {Object} driver - WebdriverIO driver
+ * @param {string} action - 'done', 'go', 'next', 'previous', 'search' or 'send'
+ */
+async function pressKeyboardAction(driver, action) {
+    const platform = getPlatform(driver);
+    if (!KEYBOARD_ACTIONS[action]) {
+        throw new KeyboardError(`Unknown keyboard action "${action}" (expected one of: ${Object.keys(KEYBOARD_ACTIONS).join(', ')})`, {
+            platform
+        });
+    }
+
+    try {
+        if (platform === 'ios') {
+            const label = KEYBOARD_ACTIONS[action];
+            const key = await driver.$(`-ios class chain:**/XCUIElementTypeKeyboard/**/XCUIElementTypeButton[\`name ==[c] "${label}"\`]`);
+            await key.click();
+        } else {
+            await driver.execute('mobile: performEditorAction', { action });
+        }
+    } catch (error) {
+        throw new KeyboardError(`Keyboard action "${action}" failed on ${platform}: ${error.message}`, {
+            platform,
+            cause: error
+        });
+    }
+}
+
+/**
+ * Type text into an element one character at a time
+ * Inputs with masks (phone numbers, card numbers, dates) often reformat the text on every
+ * change and drop characters sent all at once.
+ * @param {Object} driver - WebdriverIO driver
+ * @param {string|Locator} elementSelector - Element selector or locator
+ * @param {string} text - Text to type
+ * @param {Object} options - Typing options
+ * @param {number} [options.delay] - Delay between characters in ms (default: 100)
+ * @param {boolean} [options.clear] - Clear the element first (default: false)
+ */
+async function typeCharacters(driver, elementSelector, text, { delay = DEFAULT_TYPING_DELAY_MS, clear = false } = {}) {
+    const element = await findElement(driver, elementSelector);
+    await element.waitForEnabled();
+    if (clear) {
+        await element.clearValue();
+    }
+
+    // Not retried as a whole: a retry would type the characters already sent again
+    for (const character of String(text)) {
+        await element.addValue(character);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+/**
+ * Wait for the keyboard to close
+ * @param {Object} driver - WebdriverIO driver
+ * @param {number} timeout - Timeout in ms
+ * @returns {boolean} True if the keyboard closed in time
+ */
+async function waitForKeyboardHidden(driver, timeout) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        if (!(await isKeyboardShown(driver))) return true;
+        if (Date.now() >= deadline) return false;
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+}
+
+export {
+    isKeyboardShown,
+    hideKeyboard,
+    pressKeyboardAction,
+    typeCharacters
+};
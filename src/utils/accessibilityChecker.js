@@ -0,0 +1,427 @@
+/**
+ * Accessibility Checker for the current screen
+ * Audits the page source for missing labels, small touch targets, duplicate labels and
+ * unlabeled images, and writes JSON and HTML reports.
+ */
+import fs from 'fs';
+import path from 'path';
+import { parsePageSource, getNodeBounds, getNodeIdentifiers, isNodeVisible } from './pageSource.js';
+import { AccessibilityError } from './errors.js';
+
+// Severity levels from least to most severe
+const SEVERITIES = ['info', 'warning', 'error'];
+
+// Default severity of each rule
+const RULES = {
+    'missing-label': 'error',
+    'touch-target-too-small': 'warning',
+    'duplicate-label': 'warning',
+    'unlabeled-image': 'warning'
+};
+
+// Minimum touch target size: 48dp (Material Design) and 44pt (Apple HIG)
+const MIN_TOUCH_TARGET = { android: 48, ios: 44 };
+
+const IOS_INTERACTIVE_TYPES = [
+    'XCUIElementTypeButton',
+    'XCUIElementTypeLink',
+    'XCUIElementTypeTextField',
+    'XCUIElementTypeSecureTextField',
+    'XCUIElementTypeSearchField',
+    'XCUIElementTypeTextView',
+    'XCUIElementTypeSwitch',
+    'XCUIElementTypeSlider',
+    'XCUIElementTypeStepper',
+    'XCUIElementTypeSegmentedControl',
+    'XCUIElementTypePickerWheel'
+];
+
+const IMAGE_TYPES = ['android.widget.ImageView', 'XCUIElementTypeImage'];
+
+// Android reports bounds in pixels; 160 dpi is 1px per dp
+const BASELINE_DENSITY = 160;
+
+class AccessibilityChecker {
+    constructor(options = {}) {
+        this.options = {
+            reportDir: path.resolve(process.cwd(), 'reports', 'accessibility'),
+            severities: RULES,
+            minTouchTarget: MIN_TOUCH_TARGET,
+            allowlist: loadAllowlist(process.env.ACCESSIBILITY_ALLOWLIST),
+            failOn: process.env.ACCESSIBILITY_FAIL_ON || null,
+            ...options
+        };
+    }
+
+    /**
+     * Update checker options
+     * @param {Object} options - Options to merge (reportDir, severities, minTouchTarget, allowlist, failOn)
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Audit the current screen and write the reports
+     * @param {Object} driver - WebdriverIO driver
+     * @param {string} name - Screen name used in the report
+     * @param {Object} options - Options for this audit (severities, minTouchTarget, allowlist, failOn)
+     * @returns {Object} Audit result with issues and report paths
+     */
+    async audit(driver, name, options = {}) {
+        const platform = driver.isIOS ? 'ios' : 'android';
+        const pageSource = await driver.getPageSource();
+        const scale = platform === 'android' ? await getAndroidScale(driver) : 1;
+
+        const result = {
+            name,
+            platform,
+            timestamp: new Date().toISOString(),
+            ...this.auditPageSource(pageSource, { platform, scale, ...options })
+        };
+
+        Object.assign(result, this._writeReports(result));
+        console.log(`[Accessibility] ${name}: ${formatSummary(result.summary)}. Report: ${result.htmlPath}`);
+
+        const failOn = options.failOn !== undefined ? options.failOn : this.options.failOn;
+        if (failOn) {
+            if (!SEVERITIES.includes(failOn)) {
+                throw new Error(`Invalid failOn severity "${failOn}" (expected one of: ${SEVERITIES.join(', ')})`);
+            }
+
+            const failing = result.issues.filter(issue => severityRank(issue.severity) >= severityRank(failOn));
+            if (failing.length > 0) {
+                throw new AccessibilityError(
+                    `${failing.length} accessibility issue(s) of severity ${failOn} or higher on ${name}: ` +
+                    failing.map(issue => issue.message).join('; '),
+                    { platform, pageName: name, issues: failing, reportPath: result.htmlPath }
+                );
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Audit a page source
+     * @param {string} pageSource - Page source XML
+     * @param {Object} options - Audit options
+     * @param {string} options.platform - 'android' or 'ios'
+     * @param {number} [options.scale] - Bounds units per dp (Android) or pt (iOS)
+     * @returns {{issues: Array<Object>, allowed: Array<Object>, summary: Object}} Audit findings
+     */
+    auditPageSource(pageSource, { platform, scale = 1, ...options }) {
+        const { severities, minTouchTarget, allowlist } = {
+            ...this.options,
+            ...options,
+            severities: { ...this.options.severities, ...options.severities }
+        };
+
+        const nodes = parsePageSource(pageSource)
+            .filter(isNodeVisible)
+            .map(node => ({ node, bounds: getNodeBounds(node), identifiers: getNodeIdentifiers(node) }))
+            .filter(({ bounds }) => !bounds || (bounds.width > 0 && bounds.height > 0));
+
+        const findings = [];
+        const report = (rule, entry, message) => findings.push({
+            rule,
+            severity: severities[rule],
+            message,
+            element: describeElement(entry)
+        });
+
+        const interactive = nodes.filter(({ node }) => isInteractive(node, platform));
+
+        const labels = new Map();
+        for (const entry of nodes) {
+            const isImage = IMAGE_TYPES.includes(entry.node.tag);
+
+            if (interactive.includes(entry)) {
+                const name = getAccessibleName(entry, nodes);
+                if (!name) {
+                    report('missing-label', entry, `${describeName(entry)} has no accessibility label`);
+                } else {
+                    const key = name.trim().toLowerCase();
+                    const group = labels.get(key) || { label: name.trim(), entries: [] };
+                    group.entries.push(entry);
+                    labels.set(key, group);
+                }
+
+                if (entry.bounds) {
+                    const width = Math.round(entry.bounds.width / scale);
+                    const height = Math.round(entry.bounds.height / scale);
+                    const minimum = minTouchTarget[platform];
+                    if (width < minimum || height < minimum) {
+                        const unit = platform === 'ios' ? 'pt' : 'dp';
+                        report('touch-target-too-small', entry,
+                            `${describeName(entry)} is ${width}x${height}${unit}, below the ${minimum}x${minimum}${unit} minimum`);
+                    }
+                }
+            } else if (isImage && !entry.identifiers.label && !entry.identifiers.text
+                // Icons inside a control are announced with the control's label
+                && !interactive.some(control => isInside(entry, control))) {
+                report('unlabeled-image', entry, `${describeName(entry)} has no accessibility label`);
+            }
+        }
+
+        for (const { label, entries } of labels.values()) {
+            if (entries.length < 2) continue;
+            for (const entry of entries) {
+                report('duplicate-label', entry,
+                    `${entries.length} interactive elements share the label "${label}"`);
+            }
+        }
+
+        const issues = findings.filter(issue => severities[issue.rule] !== 'off' && !isAllowed(issue, allowlist));
+        const allowed = findings.filter(issue => severities[issue.rule] !== 'off' && isAllowed(issue, allowlist));
+
+        const summary = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+        for (const issue of issues) {
+            summary[issue.severity]++;
+        }
+
+        return { issues, allowed, summary };
+    }
+
+    /**
+     * Write the JSON and HTML reports for an audit
+     * @private
+     * @param {Object} result - Audit result
+     * @returns {{jsonPath: string, htmlPath: string}} Report paths
+     */
+    _writeReports(result) {
+        const baseName = `${sanitize(result.name)}_${result.platform}_${result.timestamp.replace(/[:.]/g, '-')}`;
+        const jsonPath = path.join(this.options.reportDir, `${baseName}.json`);
+        const htmlPath = path.join(this.options.reportDir, `${baseName}.html`);
+
+        fs.mkdirSync(this.options.reportDir, { recursive: true });
+        fs.writeFileSync(jsonPath, JSON.stringify(result, null, 2));
+        fs.writeFileSync(htmlPath, renderHtml(result));
+
+        return { jsonPath, htmlPath };
+    }
+}
+
+/**
+ * Check whether a node can be interacted with
+ * @param {Object} node - Parsed node
+ * @param {string} platform - 'android' or 'ios'
+ * @returns {boolean} True if the node is interactive
+ */
+function isInteractive(node, platform) {
+    if (platform === 'ios') {
+        return IOS_INTERACTIVE_TYPES.includes(node.tag);
+    }
+
+    const { attributes } = node;
+    return attributes.clickable === 'true'
+        || attributes['long-clickable'] === 'true'
+        || attributes.checkable === 'true'
+        || node.tag === 'android.widget.EditText';
+}
+
+/**
+ * Get the name a screen reader announces for an element
+ * Containers without their own label are announced with the text of the elements inside them.
+ * @param {Object} entry - Audited node
+ * @param {Array<Object>} nodes - All audited nodes
+ * @returns {string} Accessible name (empty if none)
+ */
+function getAccessibleName(entry, nodes) {
+    const { label, text } = entry.identifiers;
+    const hint = entry.node.attributes.hint || entry.node.attributes.placeholderValue || '';
+    if (label || text || hint) {
+        return label || text || hint;
+    }
+
+    if (!entry.bounds) return '';
+
+    const index = nodes.indexOf(entry);
+    for (const other of nodes.slice(index + 1)) {
+        if (isInside(other, entry) && (other.identifiers.label || other.identifiers.text)) {
+            return other.identifiers.label || other.identifiers.text;
+        }
+    }
+    return '';
+}
+
+/**
+ * Check whether a node lies inside another node on screen
+ * @param {Object} entry - Audited node
+ * @param {Object} container - Possible container node
+ * @returns {boolean} True if entry is inside container
+ */
+function isInside(entry, container) {
+    return Boolean(entry.bounds && container.bounds) && contains(container.bounds, entry.bounds);
+}
+
+/**
+ * Check whether one rectangle lies inside another
+ * @param {Object} outer - Outer bounds
+ * @param {Object} inner - Inner bounds
+ * @returns {boolean} True if inner is inside outer
+ */
+function contains(outer, inner) {
+    return inner.x >= outer.x
+        && inner.y >= outer.y
+        && inner.x + inner.width <= outer.x + outer.width
+        && inner.y + inner.height <= outer.y + outer.height;
+}
+
+/**
+ * Check whether an issue matches an allowlist entry
+ * Entries match on rule and any of resourceId, label or text; omitted fields match everything.
+ * @param {Object} issue - Accessibility issue
+ * @param {Array<Object>} allowlist - Entries like { rule, resourceId, label, text, reason }
+ * @returns {boolean} True if the issue is allowed
+ */
+function isAllowed(issue, allowlist) {
+    return allowlist.some(entry => ['rule', 'resourceId', 'label', 'text'].every(key => {
+        if (entry[key] === undefined) return true;
+        const actual = key === 'rule' ? issue.rule : issue.element[key];
+        return actual === entry[key];
+    }));
+}
+
+/**
+ * Load an allowlist from a JSON file
+ * @param {string} filePath - Path to the allowlist file
+ * @returns {Array<Object>} Allowlist entries
+ */
+function loadAllowlist(filePath) {
+    if (!filePath) return [];
+    return JSON.parse(fs.readFileSync(path.resolve(process.cwd(), filePath), 'utf8'));
+}
+
+/**
+ * Get the Android scale from pixels to dp
+ * @param {Object} driver - WebdriverIO driver
+ * @returns {number} Pixels per dp
+ */
+async function getAndroidScale(driver) {
+    try {
+        return (await driver.getDisplayDensity()) / BASELINE_DENSITY;
+    } catch (error) {
+        console.warn(`[Accessibility] Failed to get display density, touch targets are measured in pixels: ${error.message}`);
+        return 1;
+    }
+}
+
+/**
+ * Describe an element for a report
+ * @param {Object} entry - Audited node
+ * @returns {Object} Element tag, identifiers and bounds
+ */
+function describeElement({ node, bounds, identifiers }) {
+    return { tag: node.tag, ...identifiers, bounds };
+}
+
+/**
+ * Get a short readable name for an element in messages
+ * @param {Object} entry - Audited node
+ * @returns {string} Element name
+ */
+function describeName(entry) {
+    const { label, text, resourceId } = entry.identifiers;
+    const name = label || text || resourceId;
+    return name ? `${shortTag(entry.node.tag)} "${name}"` : shortTag(entry.node.tag);
+}
+
+/**
+ * Strip the package or XCUIElementType prefix from a tag
+ * @param {string} tag - Node tag
+ * @returns {string} Short tag
+ */
+function shortTag(tag) {
+    return tag.replace(/^XCUIElementType/, '').split('.').pop();
+}
+
+/**
+ * Get the rank of a severity level
+ * @param {string} severity - Severity level
+ * @returns {number} Rank (higher is more severe)
+ */
+function severityRank(severity) {
+    return SEVERITIES.indexOf(severity);
+}
+
+/**
+ * Format issue counts for logs
+ * @param {Object} summary - Issue counts by severity
+ * @returns {string} Summary text
+ */
+function formatSummary(summary) {
+    return SEVERITIES.slice().reverse().map(severity => `${summary[severity]} ${severity}`).join(', ');
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an audit result as an HTML page
+ * @param {Object} result - Audit result
+ * @returns {string} HTML report
+ */
+function renderHtml(result) {
+    const rows = result.issues.map(issue => `
+            <tr class="${issue.severity}">
+                <td>${escapeHtml(issue.severity)}</td>
+                <td>${escapeHtml(issue.rule)}</td>
+                <td>${escapeHtml(issue.message)}</td>
+                <td>${escapeHtml(issue.element.tag)}</td>
+                <td>${escapeHtml(issue.element.resourceId || issue.element.label || issue.element.text || '')}</td>
+                <td>${issue.element.bounds ? escapeHtml(Object.values(issue.element.bounds).join(', ')) : ''}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Accessibility audit: ${escapeHtml(result.name)}</title>
+    <style>
+        body { font-family: sans-serif; margin: 2em; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #ccc; padding: 6px; text-align: left; }
+        tr.error td:first-child { color: #c00; font-weight: bold; }
+        tr.warning td:first-child { color: #c80; }
+        tr.info td:first-child { color: #06c; }
+    </style>
+</head>
+<body>
+    <h1>Accessibility audit: ${escapeHtml(result.name)}</h1>
+    <p>Platform: ${escapeHtml(result.platform)} | ${escapeHtml(result.timestamp)}</p>
+    <p>${escapeHtml(formatSummary(result.summary))} (${result.allowed.length} allowed)</p>
+    <table>
+        <thead>
+            <tr><th>Severity</th><th>Rule</th><th>Message</th><th>Element</th><th>Identifier</th><th>Bounds (x, y, width, height)</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Make a name safe to use as a file name
+ * @param {string} name - Name
+ * @returns {string} Sanitized name
+ */
+function sanitize(name) {
+    return name.replace(/[^\w.-]+/g, '_');
+}
+
+// Create singleton instance
+const accessibilityChecker = new AccessibilityChecker();
+export default accessibilityChecker;
@@ -0,0 +1,166 @@
+/**
+ * App lifecycle control: background, terminate, activate, relaunch, clear data,
+ * reinstall, deep links and app state, using the app ID and path of the current
+ * platform from the ConfigurationManager.
+ */
+import { config } from './config.js';
+import { AppLifecycleError } from './errors.js';
+
+// App states returned by queryAppState
+export const APP_STATES = {
+    0: 'not-installed',
+    1: 'not-running',
+    2: 'background-suspended',
+    3: 'background',
+    4: 'foreground'
+};
+
+export class AppLifecycle {
+    /**
+     * @param {Object} driver - WebdriverIO driver
+     * @param {string} appId - Package name (Android) or bundle ID (iOS); defaults to the configured app
+     */
+    constructor(driver, appId = null) {
+        this.driver = driver;
+        this.platform = driver.isIOS ? 'ios' : 'android';
+        this.appId = appId;
+    }
+
+    /**
+     * Get the app ID used by default
+     * @returns {string} Package name (Android) or bundle ID (iOS)
+     */
+    getAppId() {
+        if (this.appId) return this.appId;
+
+        const platformConfig = config.getPlatformConfig(this.platform) || {};
+        const appId = this.platform === 'ios' ? platformConfig['appium:bundleId'] : platformConfig['appium:packageName'];
+        if (!appId) {
+            const variable = this.platform === 'ios' ? 'IOS_BUNDLE_ID' : 'ANDROID_APP_PACKAGE';
+            throw new AppLifecycleError(`No app ID configured for ${this.platform} (set ${variable})`, {
+                platform: this.platform
+            });
+        }
+        return appId;
+    }
+
+    /**
+     * Get the path of the app binary
+     * @returns {string} Path to the .apk, .app or .ipa
+     */
+    getAppPath() {
+        const platformConfig = config.getPlatformConfig(this.platform) || {};
+        if (!platformConfig['appium:app']) {
+            throw new AppLifecycleError(`No app path configured for ${this.platform} (set appium:app in the platform config)`, {
+                platform: this.platform
+            });
+        }
+        return platformConfig['appium:app'];
+    }
+
+    /**
+     * Send the app to the background
+     * @param {number} seconds - Seconds to stay in the background, or -1 to stay there
+     */
+    async background(seconds = 5) {
+        await this._execute('background', 'mobile: backgroundApp', { seconds });
+    }
+
+    /**
+     * Stop the app
+     * @param {string} appId - App ID (default: configured app)
+     * @returns {boolean} True if the app was running and has been stopped
+     */
+    async terminate(appId = this.getAppId()) {
+        return this._execute('terminate', 'mobile: terminateApp', this._appArgs(appId), appId);
+    }
+
+    /**
+     * Start the app or bring it to the foreground
+     * @param {string} appId - App ID (default: configured app)
+     */
+    async activate(appId = this.getAppId()) {
+        await this._execute('activate', 'mobile: activateApp', this._appArgs(appId), appId);
+    }
+
+    /**
+     * Stop and start the app, keeping its data
+     * @param {string} appId - App ID (default: configured app)
+     */
+    async relaunch(appId = this.getAppId()) {
+        await this.terminate(appId);
+        await this.activate(appId);
+    }
+
+    /**
+     * Delete the app's data and stop it (iOS: simulators only)
+     * @param {string} appId - App ID (default: configured app)
+     */
+    async clearData(appId = this.getAppId()) {
+        await this._execute('clear data', 'mobile: clearApp', this._appArgs(appId), appId);
+    }
+
+    /**
+     * Uninstall the app, install it again from its binary and start it
+     * @param {string} appPath - Path to the app binary (default: configured app)
+     */
+    async reinstall(appPath = this.getAppPath()) {
+        const appId = this.getAppId();
+        await this._execute('uninstall', 'mobile: removeApp', this._appArgs(appId), appId);
+        await this._execute('install', 'mobile: installApp', { appPath }, appId);
+        await this.activate(appId);
+    }
+
+    /**
+     * Open a deep link in the app
+     * @param {string} url - Deep link URL (e.g. 'myapp://orders/42')
+     * @param {string} appId - App ID that should handle the link (default: configured app)
+     */
+    async openDeepLink(url, appId = this.getAppId()) {
+        const args = this.platform === 'ios' ? { url, bundleId: appId } : { url, package: appId };
+        await this._execute('deep link', 'mobile: deepLink', args, appId);
+    }
+
+    /**
+     * Get the state of the app
+     * @param {string} appId - App ID (default: configured app)
+     * @returns {string} 'not-installed', 'not-running', 'background-suspended', 'background' or 'foreground'
+     */
+    async queryState(appId = this.getAppId()) {
+        const state = await this._execute('state query', 'mobile: queryAppState', this._appArgs(appId), appId);
+        return APP_STATES[state] || 'unknown';
+    }
+
+    /**
+     * Build the app argument of a mobile command
+     * @private
+     * @param {string} appId - App ID
+     * @returns {Object} Command arguments
+     */
+    _appArgs(appId) {
+        return this.platform === 'ios' ? { bundleId: appId } : { appId };
+    }
+
+    /**
+     * Run a mobile command, wrapping driver errors
+     * @private
+     * @param {string} operation - Operation name for errors
+     * @param {string} command - Mobile command
+     * @param {Object} args - Command arguments
+     * @param {string} appId - App ID involved
+     * @returns {any} Command result
+     */
+    async _execute(operation, command, args, appId = null) {
+        try {
+            return await this.driver.execute(command, args);
+        } catch (error) {
+            const target = appId ? ` for ${appId}` : '';
+            throw new AppLifecycleError(`App ${operation} failed${target} on ${this.platform}: ${error.message}`, {
+                platform: this.platform,
+                appId,
+                operation,
+                cause: error
+            });
+        }
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Context management for hybrid apps: list contexts, wait for a WebView context,
+ * switch between the native app and WebViews, and run code inside a WebView.
+ */
+import { AppLifecycle } from './appLifecycle.js';
+import { ContextError } from './errors.js';
+
+export const NATIVE_CONTEXT = 'NATIVE_APP';
+
+// Time to wait for a WebView context to appear
+const DEFAULT_WEBVIEW_TIMEOUT = 10000;
+
+// Delay between context lookups while waiting
+const POLL_INTERVAL = 500;
+
+export class ContextManager {
+    /**
+     * @param {Object} driver - WebdriverIO driver
+     */
+    constructor(driver) {
+        this.driver = driver;
+        this.platform = driver.isIOS ? 'ios' : 'android';
+    }
+
+    /**
+     * Get the available contexts
+     * @returns {Array<string>} Context names (e.g. ['NATIVE_APP', 'WEBVIEW_com.sample_app'])
+     */
+    async getContexts() {
+        const contexts = await this._run('list', () => this.driver.getContexts());
+        return contexts.map(getContextName);
+    }
+
+    /**
+     * Get the current context
+     * @returns {string} Context name
+     */
+    async getCurrentContext() {
+        return getContextName(await this._run('get', () => this.driver.getContext()));
+    }
+
+    /**
+     * Check whether the native app context is active
+     * @returns {boolean} True in the native context
+     */
+    async isNative() {
+        return (await this.getCurrentContext()) === NATIVE_CONTEXT;
+    }
+
+    /**
+     * Wait for a WebView context to appear
+     * Without `match`, a WebView of the app under test is preferred, then the most recent one.
+     * @param {Object} options - Wait options
+     * @param {string|RegExp} [options.match] - Context name substring or pattern (e.g. 'WEBVIEW_com.sample_app')
+     * @param {number} [options.timeout] - Timeout in ms (default: 10000)
+     * @returns {string} WebView context name
+     */
+    async waitForWebView({ match = null, timeout = DEFAULT_WEBVIEW_TIMEOUT } = {}) {
+        const deadline = Date.now() + timeout;
+        let contexts = [];
+
+        for (;;) {
+            contexts = await this.getContexts();
+            const webview = this._pickWebView(contexts, match);
+            if (webview) return webview;
+
+            if (Date.now() >= deadline) {
+                const expected = match ? ` matching ${String(match)}` : '';
+                throw new ContextError(`No WebView context${expected} appeared within ${timeout}ms (contexts: ${contexts.join(', ')})`, {
+                    platform: this.platform,
+                    timeout,
+                    match: match ? String(match) : undefined,
+                    contexts
+                });
+            }
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+        }
+    }
+
+    /**
+     * Switch to a WebView context, waiting for it to appear
+     * @param {Object} options - match and timeout, see waitForWebView()
+     * @returns {string} WebView context name
+     */
+    async switchToWebView(options = {}) {
+        const webview = await this.waitForWebView(options);
+        await this.switchTo(webview);
+        return webview;
+    }
+
+    /**
+     * Switch to the native app context
+     */
+    async switchToNative() {
+        await this.switchTo(NATIVE_CONTEXT);
+    }
+
+    /**
+     * Switch to a context by name
+     * @param {string} context - Context name
+     */
+    async switchTo(context) {
+        await this._run('switch', () => this.driver.switchContext(context), context);
+    }
+
+    /**
+     * Run a function inside a WebView and switch back to the previous context afterwards
+     * @param {Function} fn - Async function to run in the WebView
+     * @param {Object} options - match and timeout, see waitForWebView()
+     * @returns {any} Result of the function
+     */
+    async withinWebView(fn, options = {}) {
+        const previous = await this.getCurrentContext();
+        await this.switchToWebView(options);
+        try {
+            return await fn();
+        } finally {
+            await this.switchTo(previous);
+        }
+    }
+
+    /**
+     * Run a function in the native context and switch back to the previous context afterwards
+     * @param {Function} fn - Async function to run in the native context
+     * @returns {any} Result of the function
+     */
+    async withinNative(fn) {
+        const previous = await this.getCurrentContext();
+        if (previous === NATIVE_CONTEXT) return fn();
+
+        await this.switchToNative();
+        try {
+            return await fn();
+        } finally {
+            await this.switchTo(previous);
+        }
+    }
+
+    /**
+     * Switch to a context declared by a page object, unless it is already active
+     * @param {string|Object} context - 'native', 'webview' or { type: 'webview', match, timeout }
+     */
+    async ensure(context) {
+        const { type, ...options } = typeof context === 'string' ? { type: context } : context;
+        const current = await this.getCurrentContext();
+
+        if (type === 'native') {
+            if (current !== NATIVE_CONTEXT) await this.switchToNative();
+            return;
+        }
+        if (type !== 'webview') {
+            throw new ContextError(`Invalid context "${type}" (expected 'native' or 'webview')`, {
+                platform: this.platform
+            });
+        }
+
+        if (current === NATIVE_CONTEXT || !matchesContext(current, options.match)) {
+            await this.switchToWebView(options);
+        }
+    }
+
+    /**
+     * Pick the WebView to use from a list of contexts
+     * @private
+     * @param {Array<string>} contexts - Context names
+     * @param {string|RegExp|null} match - Context name substring or pattern
+     * @returns {string|null} WebView context name or null if none matches
+     */
+    _pickWebView(contexts, match) {
+        const webviews = contexts.filter(context => matchesContext(context, match));
+        if (webviews.length <= 1 || match) return webviews[0] || null;
+
+        // Several WebViews (e.g. the app and Chrome custom tabs): prefer the app's own
+        let appId = null;
+        try {
+            appId = new AppLifecycle(this.driver).getAppId();
+        } catch (error) {
+            // No app ID configured; fall back to the most recent WebView
+        }
+        return webviews.find(context => appId && context.includes(appId)) || webviews[webviews.length - 1];
+    }
+
+    /**
+     * Run a driver call, wrapping driver errors
+     * @private
+     * @param {string} operation - Operation name for errors
+     * @param {Function} call - Async driver call
+     * @param {string} context - Context involved
+     * @returns {any} Call result
+     */
+    async _run(operation, call, context = null) {
+        try {
+            return await call();
+        } catch (error) {
+            const target = context ? ` to ${context}` : '';
+            throw new ContextError(`Context ${operation}${target} failed on ${this.platform}: ${error.message}`, {
+                platform: this.platform,
+                context,
+                cause: error
+            });
+        }
+    }
+}
+
+/**
+ * Get the name of a context returned by the driver
+ * @param {string|Object} context - Context name, or detailed context with an id
+ * @returns {string} Context name
+ */
+function getContextName(context) {
+    return typeof context === 'string' ? context : context.id;
+}
+
+/**
+ * Check whether a WebView context matches a substring or pattern
+ * @param {string} context - Context name
+ * @param {string|RegExp|null} match - Substring or pattern; any WebView matches when null
+ * @returns {boolean} True if the context matches
+ */
+function matchesContext(context, match) {
+    if (!context.startsWith('WEBVIEW') && !context.startsWith('CHROMIUM')) return false;
+    if (!match) return true;
+    return match instanceof RegExp ? match.test(context) : context.includes(match);
+}
@@ -0,0 +1,284 @@
+/**
+ * Device state control: network conditions, GPS location and routes, orientation,
+ * locale and time zone. Every change remembers the state it replaced, so restore()
+ * puts the device back the way the test found it.
+ */
+import { DeviceControlError } from './errors.js';
+
+// One instance per driver, so page objects and tests share the state to restore
+const instances = new WeakMap();
+
+export class DeviceControl {
+    /**
+     * @param {Object} driver - WebdriverIO driver
+     */
+    constructor(driver) {
+        this.driver = driver;
+        this.platform = driver.isIOS ? 'ios' : 'android';
+
+        // State before the first change of each kind, cleared by restore()
+        this.saved = {};
+    }
+
+    /**
+     * Get the shared instance for a driver
+     * @param {Object} driver - WebdriverIO driver, or a page's context-aware driver
+     * @returns {DeviceControl} Device control of the driver
+     */
+    static forDriver(driver) {
+        const target = driver.unwrappedDriver || driver;
+        if (!instances.has(target)) {
+            instances.set(target, new DeviceControl(target));
+        }
+        return instances.get(target);
+    }
+
+    /**
+     * Get the capabilities that start a session with a locale and time zone
+     * @param {string} platform - 'android' or 'ios'
+     * @param {Object} locale - Locale settings
+     * @param {string} [locale.language] - Language code (e.g. 'fr')
+     * @param {string} [locale.country] - Country code (e.g. 'FR')
+     * @param {string} [locale.timezone] - Time zone of the app (iOS only, e.g. 'Europe/Paris')
+     * @returns {Object} Locale capabilities
+     */
+    static getLocaleCapabilities(platform, { language, country, timezone } = {}) {
+        if (timezone && platform !== 'ios') {
+            throw new DeviceControlError('The time zone can only be set through capabilities on iOS (appium:appTimeZone)', {
+                platform,
+                operation: 'locale'
+            });
+        }
+
+        const capabilities = {};
+        if (language) capabilities['appium:language'] = language;
+        if (country) {
+            // iOS expects a full locale identifier, Android only the country
+            capabilities['appium:locale'] = platform === 'ios' ? `${language || 'en'}_${country}` : country;
+        }
+        if (timezone) capabilities['appium:appTimeZone'] = timezone;
+        return capabilities;
+    }
+
+    /**
+     * Set airplane mode, Wi-Fi and mobile data (Android only)
+     * @param {Object} state - States to change; omitted ones are left as they are
+     * @param {boolean} [state.airplaneMode] - Airplane mode on or off
+     * @param {boolean} [state.wifi] - Wi-Fi on or off
+     * @param {boolean} [state.data] - Mobile data on or off
+     */
+    async setNetwork(state) {
+        this._requireAndroid('network');
+
+        if (!this.saved.network) {
+            this.saved.network = await this._execute('network', 'mobile: getConnectivity', {});
+        }
+        await this._execute('network', 'mobile: setConnectivity', state);
+    }
+
+    /**
+     * Get the airplane mode, Wi-Fi and mobile data states (Android only)
+     * @returns {{airplaneMode: boolean, wifi: boolean, data: boolean}} Network state
+     */
+    async getNetwork() {
+        this._requireAndroid('network');
+        return this._execute('network', 'mobile: getConnectivity', {});
+    }
+
+    /**
+     * Turn Wi-Fi and mobile data off (Android only)
+     */
+    async goOffline() {
+        await this.setNetwork({ wifi: false, data: false });
+    }
+
+    /**
+     * Turn Wi-Fi and mobile data on and airplane mode off (Android only)
+     */
+    async goOnline() {
+        await this.setNetwork({ airplaneMode: false, wifi: true, data: true });
+    }
+
+    /**
+     * Mock the GPS location (iOS: simulators, or real devices with Xcode 14+)
+     * @param {Object} location - Location to report
+     * @param {number} location.latitude - Latitude
+     * @param {number} location.longitude - Longitude
+     * @param {number} [location.altitude] - Altitude in meters (Android only)
+     */
+    async setLocation({ latitude, longitude, altitude }) {
+        this.saved.location = true;
+
+        if (this.platform === 'ios') {
+            await this._execute('location', 'mobile: setSimulatedLocation', { latitude, longitude });
+        } else {
+            await this._execute('location', 'mobile: setGeolocation', { latitude, longitude, altitude });
+        }
+    }
+
+    /**
+     * Get the location the device reports
+     * @returns {{latitude: number, longitude: number}} Current location
+     */
+    async getLocation() {
+        const command = this.platform === 'ios' ? 'mobile: getSimulatedLocation' : 'mobile: getGeolocation';
+        return this._execute('location', command, {});
+    }
+
+    /**
+     * Move the mocked GPS location along a route
+     * @param {Array<{latitude: number, longitude: number}>} points - Route points in order
+     * @param {Object} options - Playback options
+     * @param {number} [options.interval] - Time spent at each point in ms (default: 1000)
+     */
+    async playRoute(points, { interval = 1000 } = {}) {
+        if (!Array.isArray(points) || points.length === 0) {
+            throw new DeviceControlError('A route needs at least one point', { platform: this.platform, operation: 'location' });
+        }
+
+        for (let i = 0; i < points.length; i++) {
+            await this.setLocation(points[i]);
+            if (i < points.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, interval));
+            }
+        }
+    }
+
+    /**
+     * Rotate the device
+     * @param {string} orientation - 'PORTRAIT' or 'LANDSCAPE'
+     */
+    async setOrientation(orientation) {
+        const value = orientation.toUpperCase();
+        if (value !== 'PORTRAIT' && value !== 'LANDSCAPE') {
+            throw new DeviceControlError(`Invalid orientation "${orientation}" (expected PORTRAIT or LANDSCAPE)`, {
+                platform: this.platform,
+                operation: 'orientation'
+            });
+        }
+
+        if (!this.saved.orientation) {
+            this.saved.orientation = await this.getOrientation();
+        }
+        await this._run('orientation', () => this.driver.setOrientation(value));
+    }
+
+    /**
+     * Get the device orientation
+     * @returns {string} 'PORTRAIT' or 'LANDSCAPE'
+     */
+    async getOrientation() {
+        return this._run('orientation', () => this.driver.getOrientation());
+    }
+
+    /**
+     * Restart the session with a locale and time zone
+     * The app is relaunched in the new session, so call this before navigating.
+     * @param {Object} locale - Language, country and time zone (iOS only), see getLocaleCapabilities()
+     */
+    async setLocale(locale) {
+        const capabilities = DeviceControl.getLocaleCapabilities(this.platform, locale);
+
+        if (!this.saved.capabilities) {
+            // The locale can outlive the session on the device, so restore it explicitly
+            const original = { ...this.driver.requestedCapabilities };
+            this.saved.capabilities = { ...original, ...(await this._getDeviceLocaleCapabilities()) };
+        }
+        await this._run('locale', () => this.driver.reloadSession({ ...this.saved.capabilities, ...capabilities }));
+    }
+
+    /**
+     * Undo every change made since the last restore
+     * Failures are logged so that one failing restore does not hide the test result.
+     */
+    async restore() {
+        const { network, location, orientation, capabilities } = this.saved;
+        this.saved = {};
+
+        const steps = [];
+        if (capabilities) {
+            // A new session starts from the original settings, so it goes first
+            steps.push(['locale', () => this.driver.reloadSession(capabilities)]);
+        }
+        if (network) {
+            steps.push(['network', () => this.driver.execute('mobile: setConnectivity', network)]);
+        }
+        if (location) {
+            const command = this.platform === 'ios' ? 'mobile: resetSimulatedLocation' : 'mobile: resetGeolocation';
+            steps.push(['location', () => this.driver.execute(command, {})]);
+        }
+        if (orientation) {
+            steps.push(['orientation', () => this.driver.setOrientation(orientation)]);
+        }
+
+        for (const [operation, step] of steps) {
+            try {
+                await step();
+            } catch (error) {
+                console.warn(`[Device Control] Failed to restore ${operation}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Get the locale capabilities matching the device's current locale
+     * @private
+     * @returns {Object} Language and locale capabilities, or none if the locale is unknown
+     */
+    async _getDeviceLocaleCapabilities() {
+        const command = this.platform === 'ios' ? 'mobile: deviceInfo' : 'mobile: getDeviceInfo';
+        try {
+            const { locale } = await this.driver.execute(command, {});
+            const [language, country] = String(locale).split(/[_-]/);
+            return DeviceControl.getLocaleCapabilities(this.platform, { language, country });
+        } catch (error) {
+            console.warn(`[Device Control] Failed to read the device locale, it will not be restored: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Fail on iOS for operations only Android supports
+     * @private
+     * @param {string} operation - Operation name for errors
+     */
+    _requireAndroid(operation) {
+        if (this.platform !== 'android') {
+            throw new DeviceControlError(`Changing the ${operation} state is only supported on Android`, {
+                platform: this.platform,
+                operation
+            });
+        }
+    }
+
+    /**
+     * Run a mobile command, wrapping driver errors
+     * @private
+     * @param {string} operation - Operation name for errors
+     * @param {string} command - Mobile command
+     * @param {Object} args - Command arguments
+     * @returns {any} Command result
+     */
+    async _execute(operation, command, args) {
+        return this._run(operation, () => this.driver.execute(command, args));
+    }
+
+    /**
+     * Run a driver call, wrapping driver errors
+     * @private
+     * @param {string} operation - Operation name for errors
+     * @param {Function} call - Async driver call
+     * @returns {any} Call result
+     */
+    async _run(operation, call) {
+        try {
+            return await call();
+        } catch (error) {
+            throw new DeviceControlError(`Device ${operation} control failed on ${this.platform}: ${error.message}`, {
+                platform: this.platform,
+                operation,
+                cause: error
+            });
+        }
+    }
+}
@@ -1,15 +1,24 @@
 /**
  * Device Farm Manager for integrating with Appium Device Farm
  * This allows using an external device farm service for test execution
+ * When the farm has no free device, requests wait in a fair queue shared by the workers
+ * (device-farm-queue.json) and are retried until one is allocated or the queue timeout passes.
+ * Tests with device requirements get the best matching farm device.
  */
 import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { DeviceAllocationError } from './errors.js';
+import { WaitQueue } from './waitQueue.js';
+import { hasRequirements, rankDevices, pickDevice, describeRequirements, formatRejections } from './deviceMatcher.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// HTTP statuses with which the farm reports that no device is free
+const BUSY_STATUSES = [409, 429, 503];
+
 class DeviceFarmManager {
     constructor() {
         this.config = {
@@ -17,10 +26,16 @@ class DeviceFarmManager {
             apiKey: process.env.DEVICE_FARM_API_KEY,
             username: process.env.DEVICE_FARM_USERNAME,
             password: process.env.DEVICE_FARM_PASSWORD,
+            // Time a test waits for a free device; 0 fails immediately
+            queueTimeout: process.env.DEVICE_QUEUE_TIMEOUT_MS ? parseInt(process.env.DEVICE_QUEUE_TIMEOUT_MS, 10) : 300000,
+            queuePollInterval: 5000,
         };
         
         // Map to track device allocations
         this.allocations = new Map();
+        
+        // Queue of tests waiting for a device, shared by the workers
+        this.queue = new WaitQueue(path.resolve(process.cwd(), 'device-farm-queue.json'));
     }
 
     /**
@@ -47,73 +62,99 @@ class DeviceFarmManager {
      * @returns {Array} List of available devices
      */
     async getAvailableDevices(platform) {
-        try {
-            // Make request to device farm API to get available devices
-            const endpoint = '/devices';
-            const response = await this._makeRequest('GET', endpoint, {
-                platformName: platform
-            });
-            
-            if (response.status === 200 && response.data.devices) {
-                const devices = response.data.devices.filter(device => !device.busy);
-                console.log(`Found ${devices.length} available ${platform} devices`);
-                return devices;
-            }
-            
-            return [];
-        } catch (error) {
-            console.error(`Failed to get available ${platform} devices:`, error.message);
-            return [];
-        }
+        const devices = await this._getDevices(platform);
+        if (!devices) return [];
+        
+        const available = devices.filter(device => !device.busy);
+        console.log(`Found ${available.length} available ${platform} devices`);
+        return available;
     }
 
     /**
-     * Request a device from the device farm
+     * Request a device from the device farm, waiting in the queue while the farm has none free
+     * Without requirements, only the first waiter of a platform asks the farm, so devices are handed
+     * out in queue order. With requirements, the best matching free device is requested, unless
+     * waiters ahead of the test need it.
      * @param {string} platform - 'android' or 'ios'
      * @param {Object} capabilities - WebdriverIO capabilities
      * @param {string} testId - Unique identifier for the test
+     * @param {Object} options - Request options
+     * @param {string} [options.priority] - 'high', 'normal' or 'low' (default: 'normal')
+     * @param {number} [options.timeout] - Time to wait for a device in ms (default: DEVICE_QUEUE_TIMEOUT_MS or 300000)
+     * @param {Object} [options.requirements] - Device requirements (platformVersion, formFactor, tags, attributes),
+     *   see deviceMatcher.checkDevice()
      * @returns {Object} Device information and session details
+     * @throws {DeviceAllocationError} If the device farm cannot allocate a device or none of its devices matches
      */
-    async requestDevice(platform, capabilities, testId) {
+    async requestDevice(platform, capabilities, testId, { priority = 'normal', timeout = this.config.queueTimeout, requirements = {} } = {}) {
+        // Check if this test already has an allocated device
+        if (this.allocations.has(testId)) {
+            console.log(`Test ${testId} already has an allocated device`);
+            return this.allocations.get(testId);
+        }
+        
+        const deadline = Date.now() + timeout;
         try {
-            // Check if this test already has an allocated device
-            if (this.allocations.has(testId)) {
-                console.log(`Test ${testId} already has an allocated device`);
-                return this.allocations.get(testId);
-            }
-            
-            // Request device allocation from device farm
-            const endpoint = '/device';
-            const response = await this._makeRequest('POST', endpoint, {
-                platformName: platform,
-                capabilities,
-                testId,
-                reserveTimeout: 300 // Reserve device for 5 minutes (adjust as needed)
-            });
-            
-            if (response.status === 200 && response.data.device) {
-                const allocation = {
-                    device: response.data.device,
-                    sessionId: response.data.sessionId,
-                    endpoint: response.data.endpoint,
-                    allocated: true,
-                    timestamp: new Date().toISOString()
-                };
+            for (;;) {
+                const { position, length, ahead } = await this.queue.join(testId, platform, priority, { requirements });
+                let allocation = null;
+                if (!hasRequirements(requirements)) {
+                    if (position === 0) {
+                        allocation = await this._requestAllocation(platform, capabilities, testId);
+                    }
+                } else {
+                    const device = await this._findDevice(platform, testId, requirements, ahead);
+                    if (device) {
+                        allocation = await this._requestAllocation(platform, {
+                            ...capabilities,
+                            'appium:udid': device.udid || device.id
+                        }, testId);
+                    }
+                }
                 
-                // Store allocation
-                this.allocations.set(testId, allocation);
+                if (allocation) {
+                    const waitedMs = await this.queue.leave(testId, 'allocated');
+                    if (waitedMs >= this.config.queuePollInterval) {
+                        console.log(`[Device Queue] Test ${testId} waited ${(waitedMs / 1000).toFixed(1)}s for an ${platform} device`);
+                    }
+                    return allocation;
+                }
                 
-                console.log(`Allocated device ${allocation.device.id} for test ${testId}`);
-                return allocation;
+                if (Date.now() >= deadline) {
+                    const waitedMs = await this.queue.leave(testId, 'timeout');
+                    throw new DeviceAllocationError(`No ${platform} device became available on the device farm for test ${testId} within ${timeout}ms (position ${position + 1} of ${length} in queue)`, {
+                        platform,
+                        testId,
+                        requirements,
+                        priority,
+                        waitedMs,
+                        position: position + 1,
+                        queueLength: length
+                    });
+                }
+                await new Promise(resolve => setTimeout(resolve, this.config.queuePollInterval));
             }
-            
-            throw new Error(`Failed to allocate device: ${response.data.message || 'Unknown error'}`);
-        } catch (error) {
-            console.error(`Failed to request ${platform} device:`, error.message);
-            return null;
+        } finally {
+            // Leave the queue on any failure, so waiters behind this test are not blocked
+            await this.queue.leave(testId);
         }
     }
 
+    /**
+     * Remove all waiters and wait metrics from the queue (before a run starts)
+     */
+    async resetQueue() {
+        await this.queue.reset();
+    }
+
+    /**
+     * Get the time tests spent waiting for a device
+     * @returns {Object} Metrics by platform { requests, timedOut, totalWaitMs, maxWaitMs, averageWaitMs }
+     */
+    getQueueMetrics() {
+        return this.queue.getMetrics();
+    }
+
     /**
      * Release a device back to the device farm
      * @param {string} testId - Unique identifier for the test
@@ -170,7 +211,7 @@ class DeviceFarmManager {
         return {
             protocol: protocol || 'http',
             hostname: host || 'localhost',
-            port: parseInt(port || '4723'),
+            port: parseInt(port || '4723', 10),
             path: '/wd/hub',
             capabilities: {
                 ...allocation.device.capabilities,
@@ -179,6 +220,116 @@ class DeviceFarmManager {
         };
     }
 
+    /**
+     * Get all devices of a platform from the device farm, busy or not
+     * @private
+     * @param {string} platform - 'android' or 'ios'
+     * @returns {Array|null} Devices, or null if the farm could not be queried
+     */
+    async _getDevices(platform) {
+        try {
+            // Make request to device farm API to get the devices
+            const endpoint = '/devices';
+            const response = await this._makeRequest('GET', endpoint, {
+                platformName: platform
+            });
+            
+            if (response.status === 200 && response.data.devices) {
+                return response.data.devices;
+            }
+            
+            return [];
+        } catch (error) {
+            console.error(`Failed to get ${platform} devices:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Find the best matching free farm device for a test
+     * @private
+     * @param {string} platform - 'android' or 'ios'
+     * @param {string} testId - Unique identifier for the test
+     * @param {Object} requirements - Device requirements
+     * @param {Array<Object>} ahead - Queue entries of the waiters served before the test
+     * @returns {Object|null} Device, or null if the test has to keep waiting
+     * @throws {DeviceAllocationError} If none of the farm's devices matches
+     */
+    async _findDevice(platform, testId, requirements, ahead) {
+        // The farm may be unreachable or still registering devices; keep waiting
+        const devices = await this._getDevices(platform);
+        if (!devices || devices.length === 0) return null;
+        
+        const { matches, rejections } = rankDevices(devices, requirements);
+        if (matches.length === 0) {
+            throw new DeviceAllocationError(`No ${platform} device on the device farm matches the requirements of test ${testId} (${describeRequirements(requirements)}): ${formatRejections(rejections)}`, {
+                platform,
+                testId,
+                poolSize: devices.length,
+                requirements,
+                rejections
+            });
+        }
+        
+        return pickDevice(
+            matches.filter(device => !device.busy),
+            requirements,
+            ahead.map(entry => (entry.data && entry.data.requirements) || {})
+        );
+    }
+
+    /**
+     * Ask the device farm for a device once
+     * @private
+     * @param {string} platform - 'android' or 'ios'
+     * @param {Object} capabilities - WebdriverIO capabilities
+     * @param {string} testId - Unique identifier for the test
+     * @returns {Object|null} Allocation, or null if the farm has no free device
+     * @throws {DeviceAllocationError} If the request fails for another reason
+     */
+    async _requestAllocation(platform, capabilities, testId) {
+        try {
+            // Request device allocation from device farm
+            const endpoint = '/device';
+            const response = await this._makeRequest('POST', endpoint, {
+                platformName: platform,
+                capabilities,
+                testId,
+                reserveTimeout: 300 // Reserve device for 5 minutes (adjust as needed)
+            });
+            
+            if (response.status === 200 && response.data.device) {
+                const allocation = {
+                    device: response.data.device,
+                    sessionId: response.data.sessionId,
+                    endpoint: response.data.endpoint,
+                    allocated: true,
+                    timestamp: new Date().toISOString()
+                };
+                
+                // Store allocation
+                this.allocations.set(testId, allocation);
+                
+                console.log(`Allocated device ${allocation.device.id} for test ${testId}`);
+                return allocation;
+            }
+            
+            // No device in the response: none is free yet
+            return null;
+        } catch (error) {
+            if (error.response && BUSY_STATUSES.includes(error.response.status)) {
+                return null;
+            }
+            
+            console.error(`Failed to request ${platform} device:`, error.message);
+            throw new DeviceAllocationError(`Failed to request ${platform} device for test ${testId}: ${error.message}`, {
+                platform,
+                testId,
+                cause: error
+            });
+        }
+    }
+
     /**
      * Make a request to the device farm API
      * @private
@@ -0,0 +1,233 @@
+/**
+ * Device inventory files for local parallel execution
+ *
+ * The devices of each environment or lab are listed in config/devices/<name>.json or
+ * .yaml, so lab changes do not require code changes. Inventories are validated against
+ * a schema, and every problem is reported with the path of the offending field.
+ */
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { DeviceInventoryError } from './errors.js';
+
+const INVENTORY_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const PLATFORMS = ['android', 'ios'];
+
+// Fields of a device entry; `requiredOn` lists the platforms that need the field
+const DEVICE_SCHEMA = {
+    id: { type: 'string', requiredOn: ['android'], description: 'adb serial' },
+    udid: { type: 'string', requiredOn: ['ios'], description: 'device UDID' },
+    deviceName: { type: 'string', requiredOn: ['android', 'ios'] },
+    platformVersion: { type: 'string', hint: 'quote versions in YAML, e.g. "12.0"' },
+    formFactor: { type: 'string', values: ['phone', 'tablet'] },
+    tags: { type: 'array', items: 'string' },
+    enabled: { type: 'boolean' },
+    capabilities: { type: 'object' },
+    proxyClient: { type: 'string', hint: 'X-Proxy-Client header value or address the device reaches the network proxy from' },
+    attributes: { type: 'object', hint: 'custom properties for device requirements, e.g. { manufacturer: Samsung }' }
+};
+
+/**
+ * Find the inventory file to load
+ * Without a name, the inventory of the app environment (APP_ENV) is used, then 'local'.
+ * @param {string} name - Inventory name in config/devices (e.g. 'lab-berlin') or file path
+ *   (default: DEVICE_INVENTORY)
+ * @returns {string} Absolute path of the inventory file
+ * @throws {DeviceInventoryError} If no inventory file exists
+ */
+function resolveInventoryPath(name = process.env.DEVICE_INVENTORY) {
+    const devicesDir = path.resolve(process.cwd(), 'config', 'devices');
+    const candidates = [];
+
+    if (name && (path.extname(name) || name.includes('/') || name.includes(path.sep))) {
+        candidates.push(path.resolve(process.cwd(), name));
+    } else {
+        const names = name ? [name] : [process.env.APP_ENV || 'qa', 'local'];
+        for (const inventoryName of names) {
+            candidates.push(...INVENTORY_EXTENSIONS.map(extension => path.join(devicesDir, `${inventoryName}${extension}`)));
+        }
+    }
+
+    const found = candidates.find(candidate => fs.existsSync(candidate));
+    if (!found) {
+        throw new DeviceInventoryError(`No device inventory found (looked for ${candidates.map(candidate => path.relative(process.cwd(), candidate)).join(', ')})`, {
+            candidates
+        });
+    }
+    return found;
+}
+
+/**
+ * Load and validate a device inventory
+ * @param {string} name - Inventory name or file path, see resolveInventoryPath()
+ * @returns {{android: Array<Object>, ios: Array<Object>}} Enabled devices by platform
+ * @throws {DeviceInventoryError} If the inventory is missing, unreadable or invalid
+ */
+function loadDeviceInventory(name) {
+    const source = resolveInventoryPath(name);
+
+    let data;
+    try {
+        const content = fs.readFileSync(source, 'utf8');
+        data = path.extname(source) === '.json' ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+        throw new DeviceInventoryError(`Device inventory ${path.relative(process.cwd(), source)} could not be read: ${error.message}`, {
+            source,
+            cause: error
+        });
+    }
+
+    return normalizeInventory(data, path.relative(process.cwd(), source));
+}
+
+/**
+ * Validate an inventory and keep its enabled devices
+ * @param {Object} data - Inventory { android: [...], ios: [...] }
+ * @param {string} source - Inventory file or caller, for error messages
+ * @returns {{android: Array<Object>, ios: Array<Object>}} Enabled devices by platform, with their
+ *   attributes as device properties
+ * @throws {DeviceInventoryError} If the inventory is invalid; all problems are listed
+ */
+function normalizeInventory(data, source) {
+    const errors = validateInventory(data);
+    if (errors.length > 0) {
+        throw new DeviceInventoryError(`Invalid device inventory ${source}:\n  - ${errors.join('\n  - ')}`, {
+            source,
+            errors
+        });
+    }
+
+    const inventory = {};
+    for (const platform of PLATFORMS) {
+        inventory[platform] = [];
+        for (const { enabled = true, attributes = {}, tags = [], capabilities = {}, ...device } of data[platform] || []) {
+            if (!enabled) {
+                console.log(`[Device Inventory] Skipping disabled ${platform} device ${device.id || device.udid}`);
+                continue;
+            }
+            inventory[platform].push({ ...attributes, ...device, tags, capabilities });
+        }
+    }
+    return inventory;
+}
+
+/**
+ * Check an inventory against the schema
+ * @param {any} data - Parsed inventory
+ * @returns {Array<string>} Problems, each prefixed with the path of the field (e.g. 'android[1].deviceName')
+ */
+function validateInventory(data) {
+    if (!isPlainObject(data)) {
+        return [`expected an object with ${PLATFORMS.join(' and ')} device lists, got ${describeType(data)}`];
+    }
+
+    const errors = Object.keys(data)
+        .filter(key => !PLATFORMS.includes(key))
+        .map(key => `${key}: unknown platform (expected ${PLATFORMS.join(' or ')})`);
+
+    const seenIds = new Map();
+    for (const platform of PLATFORMS) {
+        if (data[platform] === undefined) continue;
+        if (!Array.isArray(data[platform])) {
+            errors.push(`${platform}: expected a list of devices, got ${describeType(data[platform])}`);
+            continue;
+        }
+
+        data[platform].forEach((device, index) => {
+            const devicePath = `${platform}[${index}]`;
+            if (!isPlainObject(device)) {
+                errors.push(`${devicePath}: expected a device object, got ${describeType(device)}`);
+                return;
+            }
+            errors.push(...validateDevice(device, platform, devicePath));
+
+            const deviceId = platform === 'android' ? device.id : device.udid;
+            if (typeof deviceId === 'string') {
+                if (seenIds.has(deviceId)) {
+                    errors.push(`${devicePath}: duplicate device ${deviceId} (also ${seenIds.get(deviceId)})`);
+                } else {
+                    seenIds.set(deviceId, devicePath);
+                }
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Check a device entry against the schema
+ * @param {Object} device - Device entry
+ * @param {string} platform - 'android' or 'ios'
+ * @param {string} devicePath - Path of the entry for messages
+ * @returns {Array<string>} Problems
+ */
+function validateDevice(device, platform, devicePath) {
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(DEVICE_SCHEMA)) {
+        const value = device[field];
+        const fieldPath = `${devicePath}.${field}`;
+
+        if (value === undefined) {
+            if (rule.requiredOn && rule.requiredOn.includes(platform)) {
+                errors.push(`${fieldPath}: required on ${platform}${rule.description ? ` (${rule.description})` : ''}`);
+            }
+            continue;
+        }
+
+        if (!matchesType(value, rule.type)) {
+            const hint = rule.hint ? `; ${rule.hint}` : '';
+            errors.push(`${fieldPath}: expected ${rule.type}, got ${describeType(value)}${hint}`);
+        } else if (rule.values && !rule.values.includes(value)) {
+            errors.push(`${fieldPath}: "${value}" is not one of ${rule.values.join(', ')}`);
+        } else if (rule.items && value.some(item => !matchesType(item, rule.items))) {
+            errors.push(`${fieldPath}: expected a list of ${rule.items}s`);
+        }
+    }
+
+    for (const field of Object.keys(device).filter(key => !DEVICE_SCHEMA[key])) {
+        errors.push(`${devicePath}.${field}: unknown field (custom properties go under attributes, Appium capabilities under capabilities)`);
+    }
+    return errors;
+}
+
+/**
+ * Check the type of a value
+ * @param {any} value - Value
+ * @param {string} type - 'string', 'boolean', 'array' or 'object'
+ * @returns {boolean} True if the value has the type
+ */
+function matchesType(value, type) {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return isPlainObject(value);
+    return typeof value === type;
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {any} value - Value
+ * @returns {boolean} True for objects that are not arrays or null
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Describe the type of a value for messages
+ * @param {any} value - Value
+ * @returns {string} Type (e.g. 'number 12', 'array', 'null')
+ */
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' || typeof value === 'boolean') return `${typeof value} ${value}`;
+    return typeof value;
+}
+
+export {
+    resolveInventoryPath,
+    loadDeviceInventory,
+    normalizeInventory,
+    validateInventory
+};
@@ -0,0 +1,84 @@
+/**
+ * Command line tool for the device locks shared by parallel workers
+ *
+ * Usage:
+ *   npm run device-locks -- list                 List locks and whether they are abandoned
+ *   npm run device-locks -- reap                 Reclaim the devices of abandoned locks
+ *   npm run device-locks -- release <id>         Remove the locks of a test ID or device ID
+ *   npm run device-locks -- release --all        Remove all locks
+ *   npm run device-locks -- queue                List tests waiting for a device and wait metrics
+ */
+import deviceManager from './deviceManager.js';
+
+const USAGE = 'Usage: device-locks <list | reap | release <testId|deviceId> | release --all | queue>';
+
+/**
+ * Print locks, one per line
+ * @param {Array<Object>} locks - Locks from the device manager
+ */
+function printLocks(locks) {
+    for (const lock of locks) {
+        const status = lock.abandoned ? `ABANDONED (${lock.abandoned})` : 'active';
+        console.log(`${lock.testId}  ${lock.platform}:${lock.deviceId}  pid ${lock.pid} on ${lock.host || 'unknown host'}  heartbeat ${lock.heartbeat || lock.timestamp}  ${status}`);
+    }
+}
+
+/**
+ * Run a command
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function run([command, target]) {
+    switch (command) {
+        case 'list': {
+            const locks = deviceManager.listLocks();
+            if (locks.length === 0) {
+                console.log('No device locks');
+            }
+            printLocks(locks);
+            return 0;
+        }
+        case 'reap': {
+            const removed = await deviceManager.reapStaleLocks();
+            console.log(`Reclaimed ${removed.length} abandoned device lock(s)`);
+            return 0;
+        }
+        case 'queue': {
+            const waiters = deviceManager.getQueue();
+            if (waiters.length === 0) {
+                console.log('No tests waiting for a device');
+            }
+            for (const waiter of waiters) {
+                console.log(`${waiter.id}  ${waiter.group}  ${waiter.priority}  pid ${waiter.pid} on ${waiter.host}  waiting since ${waiter.enqueuedAt}`);
+            }
+            for (const [platform, metrics] of Object.entries(deviceManager.getQueueMetrics())) {
+                console.log(`${platform}: ${metrics.requests} requests, ${metrics.timedOut} timed out, average wait ${metrics.averageWaitMs}ms, max wait ${metrics.maxWaitMs}ms`);
+            }
+            return 0;
+        }
+        case 'release': {
+            if (!target) break;
+
+            if (target === '--all') {
+                const count = deviceManager.listLocks().length;
+                await deviceManager.resetLocks();
+                console.log(`Released ${count} device lock(s)`);
+                return 0;
+            }
+
+            const removed = await deviceManager.forceRelease(target);
+            if (removed.length === 0) {
+                console.error(`No device lock found for test or device: ${target}`);
+                return 1;
+            }
+            printLocks(removed.map(lock => ({ ...lock, abandoned: null })));
+            console.log(`Released ${removed.length} device lock(s)`);
+            return 0;
+        }
+    }
+
+    console.error(USAGE);
+    return 1;
+}
+
+process.exitCode = await run(process.argv.slice(2));
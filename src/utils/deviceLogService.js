@@ -0,0 +1,457 @@
+/**
+ * Device Log Service for per-test logcat (Android) and syslog (iOS) capture
+ * Polls the device log while a test runs, so tests can assert on log output and app
+ * crashes are detected automatically.
+ */
+import { AppLifecycle } from './appLifecycle.js';
+import { AppCrashError, LogAssertionError } from './errors.js';
+
+// Log lines that mean the app crashed or stopped responding
+const DEFAULT_CRASH_SIGNATURES = {
+    android: [/FATAL EXCEPTION/, /ANR in \S+/, /Fatal signal \d+/],
+    ios: [/Terminating app due to uncaught exception/, /EXC_BAD_ACCESS/, /EXC_CRASH/]
+};
+
+// Logcat threadtime format: "10-19 06:41:03.955  1234  1250 E Tag: message"
+const LOGCAT_PATTERN = /^\S+\s+\S+\s+(\d+)\s+\d+\s+[VDIWEF]\s+(.*?)\s*:\s/;
+
+// Lines that report the process id of an Android app, e.g. "Process: com.app, PID: 1234"
+// (logged right after FATAL EXCEPTION) and "Start proc 1234:com.app/u0a123"
+const APP_PID_PATTERNS = [
+    appId => new RegExp(`Process: ${escapeRegExp(appId)}, PID: (\\d+)`),
+    appId => new RegExp(`Start proc (\\d+):${escapeRegExp(appId)}[/\\s]`)
+];
+
+// Syslog format: "Oct 19 06:41:03 iPhone Process(Subsystem)[1234] <Notice>: message"
+const SYSLOG_PATTERN = /^\w+\s+\d+\s+[\d:]+\s+\S+\s+([^\[(\s]+)(?:\(([^)]*)\))?\[(\d+)\]/;
+
+class DeviceLogService {
+    constructor(options = {}) {
+        this.options = {
+            enabled: process.env.DEVICE_LOGS !== 'false',
+            pollInterval: process.env.DEVICE_LOG_POLL_MS ? parseInt(process.env.DEVICE_LOG_POLL_MS, 10) : 1000,
+            crashDetection: process.env.DEVICE_LOG_CRASH_DETECTION !== 'false',
+            crashSignatures: DEFAULT_CRASH_SIGNATURES,
+            maxEntries: 50000,
+            ...options
+        };
+
+        // Map of test ID to { driver, platform, appId, entries, timer, queue, pids }
+        this.sessions = new Map();
+
+        // Map of test ID to the AppCrashError found when its log was stopped
+        this.crashErrors = new Map();
+    }
+
+    /**
+     * Update service options
+     * @param {Object} options - Options to merge (enabled, pollInterval, crashDetection, crashSignatures, maxEntries)
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Check whether a test's device log is being captured
+     * @param {string} testId - Unique identifier for the test
+     * @returns {boolean} True if the log is captured
+     */
+    isActive(testId) {
+        return this.sessions.has(testId);
+    }
+
+    /**
+     * Start capturing the device log for a test
+     * @param {Object} driver - WebdriverIO driver
+     * @param {string} testId - Unique identifier for the test
+     */
+    async start(driver, testId) {
+        if (!this.options.enabled || this.sessions.has(testId)) return;
+
+        const session = {
+            driver,
+            platform: driver.isIOS ? 'ios' : 'android',
+            appId: getAppId(driver),
+            entries: [],
+            timer: null,
+            queue: Promise.resolve(),
+            pids: new Map()
+        };
+
+        try {
+            // The driver returns entries since the previous call, so drop earlier output
+            await driver.getLogs(getLogType(session.platform));
+        } catch (error) {
+            console.warn(`[Device Log] Failed to start device log capture for test ${testId}: ${error.message}`);
+            return;
+        }
+
+        if (this.options.crashDetection) {
+            await this._resolveAppPids(session);
+        }
+
+        session.timer = setInterval(() => {
+            session.queue = session.queue
+                .then(() => this._poll(session))
+                .catch(error => console.warn(`[Device Log] Failed to read device log for test ${testId}: ${error.message}`));
+        }, this.options.pollInterval);
+        session.timer.unref();
+
+        this.sessions.set(testId, session);
+    }
+
+    /**
+     * Stop capturing the device log for a test
+     * @param {string} testId - Unique identifier for the test
+     * @returns {{entries: Array<Object>|null, crashes: Array<Object>, crashError: AppCrashError|null}} Captured entries (null if not captured) and detected crashes
+     */
+    async stop(testId) {
+        const session = this.sessions.get(testId);
+        if (!session) return { entries: null, crashes: [], crashError: null };
+
+        clearInterval(session.timer);
+        try {
+            await this._flush(session);
+        } catch (error) {
+            console.warn(`[Device Log] Failed to read device log for test ${testId}: ${error.message}`);
+        }
+        this.sessions.delete(testId);
+
+        const crashes = this.options.crashDetection
+            ? this.findCrashes(session.entries, session.platform, session.appId, session.pids.get(session.appId))
+            : [];
+        const crashError = crashes.length > 0
+            ? new AppCrashError(`App crash detected in the device log: ${crashes[0].message}`, {
+                platform: session.platform,
+                testId,
+                crashes: crashes.map(formatEntry)
+            })
+            : null;
+
+        if (crashError) {
+            console.error(`[Device Log] ${crashError.message}`);
+            this.crashErrors.set(testId, crashError);
+        }
+
+        return { entries: session.entries, crashes, crashError };
+    }
+
+    /**
+     * Take the crash found when a test's device log was stopped, so the test can be failed
+     * where it is stopped from a hook that cannot fail it (WebdriverIO afterTest)
+     * @param {string} testId - Unique identifier for the test
+     * @returns {AppCrashError|null} Crash error, or null if the app did not crash
+     */
+    takeCrashError(testId) {
+        const crashError = this.crashErrors.get(testId) || null;
+        this.crashErrors.delete(testId);
+        return crashError;
+    }
+
+    /**
+     * Get the log entries captured so far for a test
+     * @param {string} testId - Unique identifier for the test
+     * @param {Object} filters - Entry filters
+     * @param {string|RegExp|Array} [filters.tag] - Log tag (Android) or process/subsystem (iOS)
+     * @param {string|Array<string>} [filters.package] - App package or bundle identifier
+     * @param {string|RegExp} [filters.pattern] - Text or pattern in the message
+     * @returns {Array<Object>} Matching entries { timestamp, level, tag, pid, message }
+     */
+    async getEntries(testId, filters = {}) {
+        const session = this._getSession(testId);
+        await this._resolvePackages(session, filters.package);
+        await this._flush(session);
+        return session.entries.filter(entry => matchesFilters(entry, filters, session.pids));
+    }
+
+    /**
+     * Wait until a matching line appears in the device log
+     * @param {string} testId - Unique identifier for the test
+     * @param {string|RegExp} pattern - Text or pattern to look for
+     * @param {Object} options - Filters (tag, package) and timeout in ms
+     * @returns {Object} First matching entry
+     */
+    async expectLog(testId, pattern, { timeout = 5000, ...filters } = {}) {
+        const session = this._getSession(testId);
+        const deadline = Date.now() + timeout;
+        for (;;) {
+            const [match] = await this.getEntries(testId, { ...filters, pattern });
+            if (match) return match;
+
+            if (Date.now() >= deadline) {
+                throw new LogAssertionError(`Expected device log to contain ${describePattern(pattern)} within ${timeout}ms`, {
+                    platform: session.platform,
+                    testId,
+                    pattern: String(pattern),
+                    timeout
+                });
+            }
+            await new Promise(resolve => setTimeout(resolve, this.options.pollInterval));
+        }
+    }
+
+    /**
+     * Assert that no matching line has appeared in the device log
+     * @param {string} testId - Unique identifier for the test
+     * @param {string|RegExp} pattern - Text or pattern that must not appear
+     * @param {Object} filters - Filters (tag, package)
+     */
+    async expectNoLog(testId, pattern, filters = {}) {
+        const session = this._getSession(testId);
+        const matches = await this.getEntries(testId, { ...filters, pattern });
+        if (matches.length > 0) {
+            throw new LogAssertionError(
+                `Expected device log not to contain ${describePattern(pattern)}, found ${matches.length} line(s): ${matches[0].message}`,
+                {
+                    platform: session.platform,
+                    testId,
+                    pattern: String(pattern),
+                    matches: matches.map(formatEntry)
+                }
+            );
+        }
+    }
+
+    /**
+     * Find entries matching a crash signature
+     * With an app ID, only crashes of the app under test count: lines that name the app or
+     * come from one of its processes. Other apps and system services crash on busy devices too.
+     * @param {Array<Object>} entries - Log entries
+     * @param {string} platform - 'android' or 'ios'
+     * @param {string} appId - Package name or bundle ID of the app under test (null for any process)
+     * @param {Array<string>} appPids - Known process ids of the app
+     * @returns {Array<Object>} Crash entries
+     */
+    findCrashes(entries, platform, appId = null, appPids = []) {
+        const signatures = this.options.crashSignatures[platform] || [];
+        const crashes = entries.filter(entry => signatures.some(signature => matchesText(entry.message, signature)));
+        if (!appId) return crashes;
+
+        const pids = new Set([...appPids, ...findLoggedPids(entries, appId)]);
+        return crashes.filter(entry => entry.message.includes(appId) || pids.has(entry.pid));
+    }
+
+    /**
+     * Get the active session of a test
+     * @private
+     * @param {string} testId - Unique identifier for the test
+     * @returns {Object} Log session
+     */
+    _getSession(testId) {
+        const session = this.sessions.get(testId);
+        if (!session) {
+            throw new Error(`Device log is not being captured for test ${testId} (start() was not called or DEVICE_LOGS=false)`);
+        }
+        return session;
+    }
+
+    /**
+     * Read new entries now, after any poll in progress
+     * @private
+     * @param {Object} session - Log session
+     */
+    async _flush(session) {
+        session.queue = session.queue.catch(() => {}).then(() => this._poll(session));
+        await session.queue;
+    }
+
+    /**
+     * Read new entries from the driver
+     * @private
+     * @param {Object} session - Log session
+     */
+    async _poll(session) {
+        const logs = await session.driver.getLogs(getLogType(session.platform));
+        session.entries.push(...logs.map(log => parseEntry(log, session.platform)));
+
+        if (session.entries.length > this.options.maxEntries) {
+            session.entries.splice(0, session.entries.length - this.options.maxEntries);
+        }
+    }
+
+    /**
+     * Look up the process ids of the app under test so its crashes can be told apart
+     * @private
+     * @param {Object} session - Log session
+     */
+    async _resolveAppPids(session) {
+        if (!session.appId) return;
+
+        if (session.platform === 'android') {
+            await this._resolvePackages(session, session.appId);
+            return;
+        }
+
+        try {
+            const info = await session.driver.execute('mobile: activeAppInfo');
+            if (info && info.bundleId === session.appId && info.pid) {
+                session.pids.set(session.appId, [String(info.pid)]);
+            }
+        } catch (error) {
+            // Crashes are then matched by bundle ID only
+        }
+    }
+
+    /**
+     * Look up the process ids of Android packages so their log lines can be matched
+     * @private
+     * @param {Object} session - Log session
+     * @param {string|Array<string>} packages - Package names
+     */
+    async _resolvePackages(session, packages) {
+        if (session.platform !== 'android' || !packages) return;
+
+        for (const packageName of toArray(packages)) {
+            if (session.pids.has(packageName)) continue;
+            try {
+                const output = await session.driver.execute('mobile: shell', { command: 'pidof', args: [packageName] });
+                session.pids.set(packageName, String(output).trim().split(/\s+/).filter(Boolean));
+            } catch (error) {
+                // Needs the adb_shell insecure feature; fall back to matching the package name in the line
+                session.pids.set(packageName, []);
+            }
+        }
+    }
+}
+
+/**
+ * Get the app under test of a driver
+ * @param {Object} driver - WebdriverIO driver
+ * @returns {string|null} Package name or bundle ID, or null if none is configured
+ */
+function getAppId(driver) {
+    try {
+        return new AppLifecycle(driver).getAppId();
+    } catch (error) {
+        // No app ID configured; crashes of any process count
+        return null;
+    }
+}
+
+/**
+ * Get the process ids the log reports for an app
+ * @param {Array<Object>} entries - Log entries
+ * @param {string} appId - Package name
+ * @returns {Array<string>} Process ids
+ */
+function findLoggedPids(entries, appId) {
+    const patterns = APP_PID_PATTERNS.map(build => build(appId));
+    const pids = [];
+    for (const entry of entries) {
+        for (const pattern of patterns) {
+            const match = pattern.exec(entry.message);
+            if (match) pids.push(match[1]);
+        }
+    }
+    return pids;
+}
+
+/**
+ * Get the driver log type for a platform
+ * @param {string} platform - 'android' or 'ios'
+ * @returns {string} 'logcat' or 'syslog'
+ */
+function getLogType(platform) {
+    return platform === 'ios' ? 'syslog' : 'logcat';
+}
+
+/**
+ * Parse a driver log entry
+ * @param {Object} log - Entry from driver.getLogs() { timestamp, level, message }
+ * @param {string} platform - 'android' or 'ios'
+ * @returns {Object} Entry { timestamp, level, tag, process, pid, message }
+ */
+function parseEntry(log, platform) {
+    const entry = { timestamp: log.timestamp, level: log.level, tag: '', process: '', pid: '', message: log.message };
+
+    if (platform === 'ios') {
+        const match = log.message.match(SYSLOG_PATTERN);
+        if (match) {
+            const [, processName, subsystem, pid] = match;
+            Object.assign(entry, { tag: subsystem || processName, process: processName, pid });
+        }
+    } else {
+        const match = log.message.match(LOGCAT_PATTERN);
+        if (match) {
+            const [, pid, tag] = match;
+            Object.assign(entry, { tag, pid });
+        }
+    }
+
+    return entry;
+}
+
+/**
+ * Check whether an entry matches filters
+ * @param {Object} entry - Parsed entry
+ * @param {Object} filters - Filters (tag, package, pattern)
+ * @param {Map} pids - Known process ids by package
+ * @returns {boolean} True if the entry matches every filter
+ */
+function matchesFilters(entry, { tag, package: packages, pattern }, pids) {
+    if (tag && !toArray(tag).some(expected => matchesText(entry.tag, expected) || matchesText(entry.process, expected))) {
+        return false;
+    }
+
+    if (packages && !toArray(packages).some(packageName =>
+        (pids.get(packageName) || []).includes(entry.pid) || entry.message.includes(packageName))) {
+        return false;
+    }
+
+    return !pattern || matchesText(entry.message, pattern);
+}
+
+/**
+ * Match text against a string (substring) or regular expression
+ * @param {string} text - Text to check
+ * @param {string|RegExp} expected - Expected substring or pattern
+ * @returns {boolean} True if the text matches
+ */
+function matchesText(text, expected) {
+    if (expected instanceof RegExp) {
+        // Global and sticky patterns keep their position between test() calls
+        expected.lastIndex = 0;
+        return expected.test(text);
+    }
+    return text.includes(expected);
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Wrap a value in an array
+ * @param {any|Array} value - Value or array
+ * @returns {Array} Array of values
+ */
+function toArray(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Describe a pattern for messages
+ * @param {string|RegExp} pattern - Text or pattern
+ * @returns {string} Description
+ */
+function describePattern(pattern) {
+    return pattern instanceof RegExp ? String(pattern) : `"${pattern}"`;
+}
+
+/**
+ * Format an entry as a log line
+ * @param {Object} entry - Parsed entry
+ * @returns {string} Log line with timestamp
+ */
+function formatEntry(entry) {
+    return `${new Date(entry.timestamp).toISOString()} ${entry.level} ${entry.message}`;
+}
+
+// Create singleton instance
+const deviceLogService = new DeviceLogService();
+export default deviceLogService;
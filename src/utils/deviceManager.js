@@ -1,144 +1,450 @@
 /**
  * Device Manager for handling dynamic device allocation during parallel test execution
+ * Every WebdriverIO worker is a separate process, so allocations are coordinated through
+ * device-locks.json: it is re-read and updated under a file lock on every allocation
+ * and release. Workers renew their locks with a heartbeat; locks of crashed or hung
+ * workers are reclaimed when their process is gone or their TTL has passed.
+ * Tests can require specific devices (OS version, phone or tablet, tags) and get the best
+ * match. Tests that find no free device wait in a fair queue (device-queue.json) until one
+ * is released or the queue timeout passes.
  */
-import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { DeviceAllocationError } from './errors.js';
+import { withFileLock, readJson, writeJsonAtomic, isProcessAlive } from './fileLock.js';
+import { WaitQueue } from './waitQueue.js';
+import { rankDevices, pickDevice, describeRequirements, formatRejections } from './deviceMatcher.js';
+import { loadDeviceInventory, normalizeInventory } from './deviceInventory.js';
 
 class DeviceManager {
-    constructor() {
+    constructor(options = {}) {
+        this.options = {
+            // A lock without a heartbeat for this long is abandoned
+            lockTtl: process.env.DEVICE_LOCK_TTL_MS ? parseInt(process.env.DEVICE_LOCK_TTL_MS, 10) : 120000,
+            heartbeatInterval: process.env.DEVICE_LOCK_HEARTBEAT_MS ? parseInt(process.env.DEVICE_LOCK_HEARTBEAT_MS, 10) : 30000,
+            // Time a test waits for a free device; 0 fails immediately
+            queueTimeout: process.env.DEVICE_QUEUE_TIMEOUT_MS ? parseInt(process.env.DEVICE_QUEUE_TIMEOUT_MS, 10) : 300000,
+            queuePollInterval: 1000,
+            ...options
+        };
+
         this.devices = {
             android: [],
             ios: []
         };
+        // Locks held by this process, by test ID
         this.locks = new Map();
         this.lockFilePath = path.resolve(process.cwd(), 'device-locks.json');
+        this.mutexPath = `${this.lockFilePath}.lock`;
+        this.heartbeatTimer = null;
+        this.queue = new WaitQueue(path.resolve(process.cwd(), 'device-queue.json'), {
+            entryTtl: this.options.lockTtl
+        });
     }
 
     /**
-     * Initialize device pool from device configurations
-     * @param {Object} androidDevices - List of Android devices
-     * @param {Object} iosDevices - List of iOS devices
+     * Update lock and queue options
+     * @param {Object} options - Options to merge (lockTtl, heartbeatInterval, queueTimeout, queuePollInterval)
      */
-    initializeDevicePool(androidDevices = [], iosDevices = []) {
-        this.devices.android = androidDevices.map(device => ({
+    configure(options) {
+        this.options = { ...this.options, ...options };
+        this.queue.configure({ entryTtl: this.options.lockTtl });
+    }
+
+    /**
+     * Initialize device pool from a device inventory or device configurations
+     * Devices are validated like inventory files, and disabled devices are left out.
+     * @param {Array<Object>|string} androidDevices - List of Android devices, or the name or path of a device
+     *   inventory (default: DEVICE_INVENTORY, then config/devices/<APP_ENV>, then config/devices/local)
+     * @param {Array<Object>} iosDevices - List of iOS devices, when Android devices are given as a list
+     * @throws {DeviceInventoryError} If the inventory is missing or invalid
+     */
+    initializeDevicePool(androidDevices, iosDevices = []) {
+        const inventory = Array.isArray(androidDevices)
+            ? normalizeInventory({ android: androidDevices, ios: iosDevices }, 'passed to initializeDevicePool')
+            : loadDeviceInventory(androidDevices);
+
+        this.devices.android = inventory.android.map(device => ({
             ...device,
             inUse: false
         }));
         
-        this.devices.ios = iosDevices.map(device => ({
+        this.devices.ios = inventory.ios.map(device => ({
             ...device,
             inUse: false
         }));
 
-        // Try to restore locks from disk (useful for distributed execution)
-        this._restoreLocks();
+        // Pick up devices already allocated by other workers
+        this._syncDevices(this._readLocks());
     }
 
     /**
-     * Allocate an available device for a test
+     * Allocate the best matching device for a test, waiting in the queue while all matching devices are in use
      * @param {string} platform - 'android' or 'ios'
      * @param {string} testId - Unique identifier for the test
-     * @returns {Object|null} Device configuration or null if no device is available
+     * @param {Object} options - Allocation options
+     * @param {string} [options.priority] - 'high', 'normal' or 'low' (default: 'normal')
+     * @param {number} [options.timeout] - Time to wait for a device in ms (default: DEVICE_QUEUE_TIMEOUT_MS or 300000)
+     * @param {Object} [options.requirements] - Device requirements (platformVersion, formFactor, tags, attributes),
+     *   see deviceMatcher.checkDevice()
+     * @returns {Object} Device configuration
+     * @throws {DeviceAllocationError} If no device in the pool matches or none became available in time
      */
-    allocateDevice(platform, testId) {
-        const availableDevices = this.devices[platform].filter(device => !device.inUse);
-        
-        if (availableDevices.length === 0) {
-            console.warn(`No available ${platform} devices for test: ${testId}`);
-            return null;
-        }
+    async allocateDevice(platform, testId, { priority = 'normal', timeout = this.options.queueTimeout, requirements = {} } = {}) {
+        const deadline = Date.now() + timeout;
 
-        // Allocate the first available device
-        const device = availableDevices[0];
-        device.inUse = true;
-        
-        // Record the lock
-        this.locks.set(testId, {
-            platform,
-            deviceId: device.id || device.udid,
-            timestamp: new Date().toISOString()
-        });
-        
-        // Persist the lock information
-        this._persistLocks();
-        
-        return device;
+        try {
+            for (;;) {
+                const { device, position, length, matching } = await this._tryAllocate(platform, testId, priority, requirements);
+                if (device) return device;
+
+                if (Date.now() >= deadline) {
+                    const waitedMs = await this.queue.leave(testId, 'timeout');
+                    const poolSize = this.devices[platform].length;
+                    throw new DeviceAllocationError(`No ${platform} device became available for test: ${testId} within ${timeout}ms (all ${matching} matching devices in use, position ${position + 1} of ${length} in queue)`, {
+                        platform,
+                        testId,
+                        poolSize,
+                        requirements,
+                        priority,
+                        waitedMs,
+                        position: position + 1,
+                        queueLength: length
+                    });
+                }
+                await new Promise(resolve => setTimeout(resolve, this.options.queuePollInterval));
+            }
+        } finally {
+            // Leave the queue on any failure, so waiters behind this test are not blocked
+            await this.queue.leave(testId);
+        }
     }
 
     /**
      * Release a device after test completion
+     * Devices can be released by any worker, not only the one that allocated them.
      * @param {string} testId - Unique identifier for the test
      */
-    releaseDevice(testId) {
-        const lock = this.locks.get(testId);
-        if (!lock) {
-            console.warn(`No device lock found for test: ${testId}`);
-            return;
-        }
+    async releaseDevice(testId) {
+        await withFileLock(this.mutexPath, () => {
+            const lockData = this._readLocks();
+            this.locks.delete(testId);
+            if (this.locks.size === 0) {
+                this._stopHeartbeat();
+            }
 
-        const { platform, deviceId } = lock;
-        const device = this.devices[platform].find(d => 
-            (d.id === deviceId) || (d.udid === deviceId)
-        );
+            if (!lockData[testId]) {
+                console.warn(`No device lock found for test: ${testId}`);
+                return;
+            }
 
-        if (device) {
-            device.inUse = false;
-            this.locks.delete(testId);
-            this._persistLocks();
+            delete lockData[testId];
+            writeJsonAtomic(this.lockFilePath, lockData);
+            this._syncDevices(lockData);
+        });
+    }
+
+    /**
+     * Release every device allocated by this process (e.g. when a worker ends)
+     */
+    async releaseAllDevices() {
+        for (const testId of Array.from(this.locks.keys())) {
+            await this.releaseDevice(testId);
         }
     }
 
     /**
-     * Persist locks to disk for cross-process coordination
+     * Remove all device locks (before a run starts, so locks from an aborted run do not block devices)
+     */
+    async resetLocks() {
+        await withFileLock(this.mutexPath, () => {
+            writeJsonAtomic(this.lockFilePath, {});
+            this.locks.clear();
+            this._stopHeartbeat();
+            this._syncDevices({});
+        });
+    }
+
+    /**
+     * Remove all waiters and wait metrics from the queue (before a run starts)
+     */
+    async resetQueue() {
+        await this.queue.reset();
+    }
+
+    /**
+     * Get the tests waiting for a device, in the order they are served
+     * @returns {Array<Object>} Waiters { id, group (platform), priority, pid, host, enqueuedAt, seenAt }
+     */
+    getQueue() {
+        return this.queue.getEntries();
+    }
+
+    /**
+     * Get the time tests spent waiting for a device
+     * @returns {Object} Metrics by platform { requests, timedOut, totalWaitMs, maxWaitMs, averageWaitMs }
+     */
+    getQueueMetrics() {
+        return this.queue.getMetrics();
+    }
+
+    /**
+     * List the shared device locks
+     * @returns {Array<Object>} Locks { testId, platform, deviceId, pid, host, timestamp, heartbeat, ttl, abandoned }
+     *   where `abandoned` is the reason the lock would be reclaimed, or null
+     */
+    listLocks() {
+        const now = Date.now();
+        return Object.entries(this._readLocks()).map(([testId, lock]) => ({
+            testId,
+            ...lock,
+            abandoned: this._getAbandonReason(lock, now)
+        }));
+    }
+
+    /**
+     * Reclaim the devices of abandoned locks
+     * @returns {Promise<Array<Object>>} Removed locks
+     */
+    async reapStaleLocks() {
+        return withFileLock(this.mutexPath, () => {
+            const lockData = this._readLocks();
+            const remaining = this._reapLocks(lockData);
+            this._syncDevices(remaining);
+            return Object.entries(lockData)
+                .filter(([testId]) => !remaining[testId])
+                .map(([testId, lock]) => ({ testId, ...lock }));
+        });
+    }
+
+    /**
+     * Remove locks regardless of their owner (e.g. from the command line)
+     * @param {string} target - Test ID or device ID whose locks are removed
+     * @returns {Promise<Array<Object>>} Removed locks
+     */
+    async forceRelease(target) {
+        return withFileLock(this.mutexPath, () => {
+            const lockData = this._readLocks();
+            const removed = Object.entries(lockData)
+                .filter(([testId, lock]) => testId === target || lock.deviceId === target)
+                .map(([testId, lock]) => ({ testId, ...lock }));
+
+            for (const { testId } of removed) {
+                delete lockData[testId];
+                this.locks.delete(testId);
+            }
+            if (removed.length > 0) {
+                writeJsonAtomic(this.lockFilePath, lockData);
+            }
+            this._syncDevices(lockData);
+            return removed;
+        });
+    }
+
+    /**
+     * Allocate a device if one is free and it is this test's turn
      * @private
+     * @param {string} platform - 'android' or 'ios'
+     * @param {string} testId - Unique identifier for the test
+     * @param {string} priority - Queue priority
+     * @param {Object} requirements - Device requirements
+     * @returns {Promise<{device: Object|null, position: number, length: number, matching: number}>} Allocated
+     *   device, or the test's position (0 is next), the number of waiters and the number of matching devices
+     * @throws {DeviceAllocationError} If no device in the pool matches
      */
-    _persistLocks() {
-        try {
-            const lockData = Array.from(this.locks.entries())
-                .reduce((obj, [key, value]) => {
-                    obj[key] = value;
-                    return obj;
-                }, {});
+    async _tryAllocate(platform, testId, priority, requirements) {
+        return withFileLock(this.mutexPath, async () => {
+            // Other workers may have allocated or released devices since the last call,
+            // and devices of crashed workers can be reclaimed
+            const lockData = this._reapLocks(this._readLocks());
+            this._syncDevices(lockData);
+
+            const platformDevices = this.devices[platform] || [];
+            if (platformDevices.length === 0) {
+                throw new DeviceAllocationError(`No available ${platform} devices for test: ${testId} (no devices in pool)`, {
+                    platform,
+                    testId,
+                    poolSize: 0
+                });
+            }
+
+            // Devices that can never match fail right away instead of waiting in the queue
+            const { matches, rejections } = rankDevices(platformDevices, requirements);
+            if (matches.length === 0) {
+                throw new DeviceAllocationError(`No ${platform} device matches the requirements of test: ${testId} (${describeRequirements(requirements)}): ${formatRejections(rejections)}`, {
+                    platform,
+                    testId,
+                    poolSize: platformDevices.length,
+                    requirements,
+                    rejections
+                });
+            }
+
+            // Waiters ahead of this test get the free devices they can use first
+            const { position, length, ahead } = await this.queue.join(testId, platform, priority, { requirements });
+            const device = pickDevice(
+                matches.filter(candidate => !candidate.inUse),
+                requirements,
+                ahead.map(entry => (entry.data && entry.data.requirements) || {})
+            );
+            if (!device) {
+                return { device: null, position, length, matching: matches.length };
+            }
+
+            // Allocate the best matching device
+            device.inUse = true;
             
-            fs.writeFileSync(this.lockFilePath, JSON.stringify(lockData, null, 2));
+            // Record the lock
+            const now = new Date().toISOString();
+            const lock = {
+                platform,
+                deviceId: getDeviceId(device),
+                pid: process.pid,
+                host: os.hostname(),
+                timestamp: now,
+                heartbeat: now,
+                ttl: this.options.lockTtl
+            };
+            this.locks.set(testId, lock);
+            
+            // Persist the lock information before anyone else can read the file
+            writeJsonAtomic(this.lockFilePath, { ...lockData, [testId]: lock });
+            this._startHeartbeat();
+
+            const waitedMs = await this.queue.leave(testId, 'allocated');
+            if (waitedMs >= this.options.queuePollInterval) {
+                console.log(`[Device Queue] Test ${testId} waited ${(waitedMs / 1000).toFixed(1)}s for ${platform} device ${lock.deviceId}`);
+            }
+            return { device, position, length, matching: matches.length };
+        });
+    }
+
+    /**
+     * Read the shared locks from disk
+     * @private
+     * @returns {Object} Locks by test ID
+     */
+    _readLocks() {
+        try {
+            return readJson(this.lockFilePath, {});
         } catch (error) {
-            console.error('Failed to persist device locks:', error);
+            console.error('Failed to read device locks:', error);
+            return {};
         }
     }
 
     /**
-     * Restore locks from disk
+     * Remove abandoned locks from the shared locks and write the result
+     * Must be called while holding the file lock.
      * @private
+     * @param {Object} lockData - Locks by test ID
+     * @returns {Object} Remaining locks by test ID
      */
-    _restoreLocks() {
-        try {
-            if (fs.existsSync(this.lockFilePath)) {
-                const lockData = JSON.parse(fs.readFileSync(this.lockFilePath, 'utf8'));
-                
-                // Clear existing locks
-                this.locks.clear();
-                
-                // Restore locks from file
-                Object.entries(lockData).forEach(([testId, lock]) => {
-                    this.locks.set(testId, lock);
-                    
-                    // Mark corresponding device as in use
-                    const { platform, deviceId } = lock;
-                    const device = this.devices[platform].find(d => 
-                        (d.id === deviceId) || (d.udid === deviceId)
-                    );
-                    
-                    if (device) {
-                        device.inUse = true;
-                    }
-                });
+    _reapLocks(lockData) {
+        const now = Date.now();
+        const remaining = {};
+        let reaped = 0;
+
+        for (const [testId, lock] of Object.entries(lockData)) {
+            const reason = this._getAbandonReason(lock, now);
+            if (reason) {
+                console.warn(`[Device Lock] Reclaimed ${lock.platform} device ${lock.deviceId} from test ${testId}: ${reason}`);
+                reaped++;
+            } else {
+                remaining[testId] = lock;
+            }
+        }
+
+        if (reaped > 0) {
+            writeJsonAtomic(this.lockFilePath, remaining);
+        }
+        return remaining;
+    }
+
+    /**
+     * Get the reason a lock is abandoned
+     * @private
+     * @param {Object} lock - Lock entry
+     * @param {number} now - Current time in ms
+     * @returns {string|null} Reason, or null if the lock is still held
+     */
+    _getAbandonReason(lock, now) {
+        // The process can only be checked on the machine that owns it
+        if (lock.pid && lock.host === os.hostname() && !isProcessAlive(lock.pid)) {
+            return `process ${lock.pid} is no longer running`;
+        }
+
+        const ttl = lock.ttl || this.options.lockTtl;
+        const lastSeen = Date.parse(lock.heartbeat || lock.timestamp);
+        if (now - lastSeen > ttl) {
+            return `no heartbeat for ${Math.round((now - lastSeen) / 1000)}s (TTL ${Math.round(ttl / 1000)}s)`;
+        }
+        return null;
+    }
+
+    /**
+     * Renew the heartbeat of the locks held by this process
+     * @private
+     */
+    async _renewLocks() {
+        await withFileLock(this.mutexPath, () => {
+            const lockData = this._readLocks();
+            const heartbeat = new Date().toISOString();
+            let renewed = 0;
+
+            for (const testId of this.locks.keys()) {
+                if (lockData[testId] && lockData[testId].pid === process.pid) {
+                    lockData[testId].heartbeat = heartbeat;
+                    renewed++;
+                } else {
+                    // Reclaimed or force-released by someone else
+                    console.warn(`[Device Lock] Lock of test ${testId} is gone; the device may be in use by another test`);
+                    this.locks.delete(testId);
+                }
+            }
+
+            if (renewed > 0) {
+                writeJsonAtomic(this.lockFilePath, lockData);
+            }
+        });
+    }
+
+    /**
+     * Start renewing this process's locks
+     * @private
+     */
+    _startHeartbeat() {
+        if (this.heartbeatTimer) return;
+
+        this.heartbeatTimer = setInterval(() => {
+            this._renewLocks().catch(error => console.error('Failed to renew device locks:', error));
+        }, this.options.heartbeatInterval);
+        // Do not keep the worker alive just for the heartbeat
+        this.heartbeatTimer.unref();
+    }
+
+    /**
+     * Stop renewing locks
+     * @private
+     */
+    _stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Mark devices as in use according to the shared locks
+     * @private
+     * @param {Object} lockData - Locks by test ID
+     */
+    _syncDevices(lockData) {
+        const lockedIds = new Set(Object.values(lockData)
+            .map(({ platform, deviceId }) => `${platform}:${deviceId}`));
+
+        for (const platform of Object.keys(this.devices)) {
+            for (const device of this.devices[platform]) {
+                device.inUse = lockedIds.has(`${platform}:${getDeviceId(device)}`);
             }
-        } catch (error) {
-            console.error('Failed to restore device locks:', error);
         }
     }
 
@@ -147,6 +453,7 @@ class DeviceManager {
      * @returns {Object} Available devices by platform
      */
     getAvailableDevices() {
+        this._syncDevices(this._readLocks());
         return {
             android: this.devices.android.filter(device => !device.inUse),
             ios: this.devices.ios.filter(device => !device.inUse)
@@ -154,6 +461,15 @@ class DeviceManager {
     }
 }
 
+/**
+ * Get the identifier of a device
+ * @param {Object} device - Device configuration
+ * @returns {string} Android serial (id) or iOS UDID
+ */
+function getDeviceId(device) {
+    return device.id || device.udid;
+}
+
 // Create singleton instance
 const deviceManager = new DeviceManager();
 export default deviceManager;
\ No newline at end of file
@@ -0,0 +1,272 @@
+/**
+ * Device matching for allocation
+ *
+ * Tests declare the device they need (OS version range, phone or tablet, tags such as
+ * 'biometrics', other device properties) and devices are checked against it. Every
+ * rejected device gets the reasons it does not match, so allocation errors can explain
+ * why no device was suitable.
+ */
+import { DeviceAllocationError } from './errors.js';
+
+const FORM_FACTORS = ['phone', 'tablet'];
+
+// Version comparators of a range, e.g. '>=14' or '<16.4'
+const COMPARATOR_PATTERN = /^(>=|<=|>|<|=)?v?(\d+(?:\.\d+)*)(?:\.x)?$/;
+
+/**
+ * Get the requirements declared in a test title, on top of DEVICE_REQUIREMENTS
+ * Tags: `@os:<range>` (e.g. `@os:>=14`, `@os:13-15`), `@phone`, `@tablet`,
+ * `@requires:<tag>` (e.g. `@requires:biometrics`) and `@requires:<property>=<value>`.
+ * @param {string} title - Full test title
+ * @param {Object} base - Requirements of every test (default: DEVICE_REQUIREMENTS as JSON)
+ * @returns {Object} Requirements { platformVersion, formFactor, tags, attributes }
+ */
+function getDeviceRequirements(title = '', base = parseEnvRequirements()) {
+    const requirements = normalizeRequirements(base);
+
+    const os = /@os:(\S+)/.exec(title);
+    if (os) requirements.platformVersion = os[1];
+
+    const formFactor = /@(phone|tablet)\b/.exec(title);
+    if (formFactor) requirements.formFactor = formFactor[1];
+
+    for (const [, requirement] of title.matchAll(/@requires:(\S+)/g)) {
+        const [key, value] = requirement.split('=');
+        if (value === undefined) {
+            requirements.tags.push(key);
+        } else {
+            requirements.attributes[key] = value;
+        }
+    }
+    return requirements;
+}
+
+/**
+ * Check whether any requirement is set
+ * @param {Object} requirements - Device requirements
+ * @returns {boolean} True if the requirements restrict the devices
+ */
+function hasRequirements(requirements = {}) {
+    const { platformVersion, formFactor, tags, attributes } = normalizeRequirements(requirements);
+    return Boolean(platformVersion || formFactor || tags.length > 0 || Object.keys(attributes).length > 0);
+}
+
+/**
+ * Check a device against requirements
+ * @param {Object} device - Device configuration
+ * @param {Object} requirements - Device requirements
+ * @param {string} [requirements.platformVersion] - Version range (e.g. '>=14 <16', '13-15', '15.x')
+ * @param {string} [requirements.formFactor] - 'phone' or 'tablet'
+ * @param {Array<string>} [requirements.tags] - Tags the device must have (e.g. ['biometrics'])
+ * @param {Object} [requirements.attributes] - Device properties and the value, or list of values, they must have
+ * @returns {Array<string>} Reasons the device is rejected; empty if it matches
+ */
+function checkDevice(device, requirements = {}) {
+    const { platformVersion, formFactor, tags, attributes } = normalizeRequirements(requirements);
+    const reasons = [];
+
+    if (platformVersion) {
+        const version = getDeviceProperty(device, 'platformVersion');
+        if (version === undefined) {
+            reasons.push(`platformVersion unknown, needs ${platformVersion}`);
+        } else if (!satisfiesVersion(String(version), platformVersion)) {
+            reasons.push(`platformVersion ${version} is not ${platformVersion}`);
+        }
+    }
+
+    if (formFactor) {
+        const deviceFormFactor = getDeviceProperty(device, 'formFactor') || 'phone';
+        if (deviceFormFactor !== formFactor) {
+            reasons.push(`${deviceFormFactor} is not a ${formFactor}`);
+        }
+    }
+
+    const missingTags = tags.filter(tag => !(device.tags || []).includes(tag));
+    if (missingTags.length > 0) {
+        reasons.push(`missing tags ${missingTags.join(', ')}`);
+    }
+
+    for (const [key, expected] of Object.entries(attributes)) {
+        const allowed = (Array.isArray(expected) ? expected : [expected]).map(String);
+        const actual = getDeviceProperty(device, key);
+        if (actual === undefined || !allowed.includes(String(actual))) {
+            reasons.push(`${key} ${actual === undefined ? 'unknown' : actual} is not ${allowed.join(' or ')}`);
+        }
+    }
+    return reasons;
+}
+
+/**
+ * Split devices into matching ones, best first, and rejected ones with their reasons
+ * Devices with fewer tags the test did not ask for come first, so specialised devices
+ * stay free for the tests that need them. Otherwise the pool order is kept.
+ * @param {Array<Object>} devices - Device configurations
+ * @param {Object} requirements - Device requirements, see checkDevice()
+ * @returns {{matches: Array<Object>, rejections: Array<{deviceId: string, reasons: Array<string>}>}} Matching and rejected devices
+ */
+function rankDevices(devices, requirements = {}) {
+    const { tags } = normalizeRequirements(requirements);
+    const matches = [];
+    const rejections = [];
+
+    for (const device of devices) {
+        const reasons = checkDevice(device, requirements);
+        if (reasons.length === 0) {
+            matches.push(device);
+        } else {
+            rejections.push({ deviceId: getDeviceLabel(device), reasons });
+        }
+    }
+
+    const extraTags = device => (device.tags || []).filter(tag => !tags.includes(tag)).length;
+    matches.sort((a, b) => extraTags(a) - extraTags(b));
+    return { matches, rejections };
+}
+
+/**
+ * Pick the best free device for a test, leaving enough free devices for the waiters ahead
+ * of it that could use them
+ * @param {Array<Object>} freeDevices - Devices that are not in use
+ * @param {Object} requirements - Device requirements of the test
+ * @param {Array<Object>} waitersAhead - Device requirements of the waiters served before the test
+ * @returns {Object|null} Device, or null if the test has to keep waiting
+ */
+function pickDevice(freeDevices, requirements, waitersAhead = []) {
+    const { matches } = rankDevices(freeDevices, requirements);
+    const competitors = waitersAhead.filter(ahead => matches.some(device => checkDevice(device, ahead).length === 0));
+    return competitors.length < matches.length ? matches[0] : null;
+}
+
+/**
+ * Describe requirements for messages
+ * @param {Object} requirements - Device requirements
+ * @returns {string} Description (e.g. 'platformVersion >=14, tablet, tags biometrics')
+ */
+function describeRequirements(requirements = {}) {
+    const { platformVersion, formFactor, tags, attributes } = normalizeRequirements(requirements);
+    const parts = [];
+    if (platformVersion) parts.push(`platformVersion ${platformVersion}`);
+    if (formFactor) parts.push(formFactor);
+    if (tags.length > 0) parts.push(`tags ${tags.join(', ')}`);
+    for (const [key, value] of Object.entries(attributes)) {
+        parts.push(`${key} ${[].concat(value).join(' or ')}`);
+    }
+    return parts.length > 0 ? parts.join(', ') : 'any device';
+}
+
+/**
+ * Describe rejected devices for messages
+ * @param {Array<{deviceId: string, reasons: Array<string>}>} rejections - Rejected devices
+ * @returns {string} One clause per device (e.g. 'emulator-5554: platformVersion 12.0 is not >=14')
+ */
+function formatRejections(rejections) {
+    return rejections.map(({ deviceId, reasons }) => `${deviceId}: ${reasons.join(', ')}`).join('; ');
+}
+
+/**
+ * Check whether a version is within a range
+ * A version in a range covers all its sub-versions, so '>=14' includes 14.2 and '<=16' includes 16.4.
+ * @param {string} version - Version (e.g. '14.5')
+ * @param {string} range - Comparators separated by spaces (e.g. '>=14 <16'), a hyphen range
+ *   (e.g. '13-15') or a version (e.g. '15', '15.x')
+ * @returns {boolean} True if the version is within the range
+ * @throws {DeviceAllocationError} If the range is invalid
+ */
+function satisfiesVersion(version, range) {
+    const hyphen = /^\s*([\d.x]+)\s*-\s*([\d.x]+)\s*$/.exec(range);
+    const comparators = hyphen ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`] : range.trim().split(/\s+/);
+
+    return comparators.every(comparator => {
+        const match = COMPARATOR_PATTERN.exec(comparator);
+        if (!match) {
+            throw new DeviceAllocationError(`Invalid platformVersion range "${range}" (e.g. '>=14 <16', '13-15' or '15.x')`, {
+                requirements: { platformVersion: range }
+            });
+        }
+
+        const [, operator = '=', bound] = match;
+        const result = compareVersions(version, bound);
+        switch (operator) {
+            case '>=': return result >= 0;
+            case '<=': return result <= 0;
+            case '>': return result > 0;
+            case '<': return result < 0;
+            default: return result === 0;
+        }
+    });
+}
+
+/**
+ * Compare a version with a bound, up to the number of parts of the bound
+ * @param {string} version - Version (e.g. '14.5.1')
+ * @param {string} bound - Bound (e.g. '14')
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(version, bound) {
+    const versionParts = version.split('.').map(part => parseInt(part, 10) || 0);
+    const boundParts = bound.split('.').map(part => parseInt(part, 10) || 0);
+
+    for (let i = 0; i < boundParts.length; i++) {
+        const difference = (versionParts[i] || 0) - boundParts[i];
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Fill in missing requirement fields and check the form factor
+ * @param {Object} requirements - Device requirements
+ * @returns {Object} Requirements { platformVersion, formFactor, tags, attributes }
+ */
+function normalizeRequirements({ platformVersion = null, formFactor = null, tags = [], attributes = {} } = {}) {
+    if (formFactor && !FORM_FACTORS.includes(formFactor)) {
+        throw new DeviceAllocationError(`Invalid formFactor "${formFactor}" (expected one of: ${FORM_FACTORS.join(', ')})`, {
+            requirements: { formFactor }
+        });
+    }
+    return { platformVersion, formFactor, tags: [...tags], attributes: { ...attributes } };
+}
+
+/**
+ * Read the requirements of every test from DEVICE_REQUIREMENTS
+ * @returns {Object} Device requirements
+ */
+function parseEnvRequirements() {
+    if (!process.env.DEVICE_REQUIREMENTS) return {};
+    try {
+        return JSON.parse(process.env.DEVICE_REQUIREMENTS);
+    } catch (error) {
+        throw new DeviceAllocationError(`DEVICE_REQUIREMENTS is not valid JSON: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Get a device property, from the device or its Appium capabilities (device farm devices)
+ * @param {Object} device - Device configuration
+ * @param {string} key - Property name
+ * @returns {any} Property value, or undefined if the device does not have it
+ */
+function getDeviceProperty(device, key) {
+    const capabilities = device.capabilities || {};
+    return device[key] ?? capabilities[`appium:${key}`] ?? capabilities[key];
+}
+
+/**
+ * Get the name of a device for messages
+ * @param {Object} device - Device configuration
+ * @returns {string} Device ID, UDID or name
+ */
+function getDeviceLabel(device) {
+    return device.id || device.udid || device.name || device.deviceName;
+}
+
+export {
+    getDeviceRequirements,
+    hasRequirements,
+    checkDevice,
+    rankDevices,
+    pickDevice,
+    describeRequirements,
+    formatRejections,
+    satisfiesVersion
+};
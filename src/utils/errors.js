@@ -0,0 +1,142 @@
+/**
+ * Error classes for framework failures
+ * Each error carries structured diagnostics so failures can be triaged and classified
+ * without parsing messages.
+ */
+
+/**
+ * Base class for all framework errors
+ */
+export class FrameworkError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Diagnostics attached to the error
+     * @param {string} [details.selector] - Selector involved in the failure
+     * @param {string} [details.platform] - 'android' or 'ios'
+     * @param {string} [details.pageName] - Page object or page registry name
+     * @param {number} [details.timeout] - Timeout in ms
+     * @param {number} [details.attempts] - Number of attempts made
+     * @param {string} [details.pageSourcePath] - Path to the saved page source
+     * @param {string} [details.screenshotPath] - Path to the saved screenshot
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(message, details = {}) {
+        super(message, details.cause ? { cause: details.cause } : undefined);
+        this.name = this.constructor.name;
+
+        const { cause, ...diagnostics } = details;
+        Object.assign(this, diagnostics);
+    }
+
+    /**
+     * Attach saved diagnostics to the error
+     * @param {Object} diagnostics - Paths to artifacts
+     * @param {string} [diagnostics.pageSourcePath] - Path to the saved page source
+     * @param {string} [diagnostics.screenshotPath] - Path to the saved screenshot
+     * @returns {FrameworkError} This error
+     */
+    withDiagnostics({ pageSourcePath, screenshotPath } = {}) {
+        if (pageSourcePath) this.pageSourcePath = pageSourcePath;
+        if (screenshotPath) this.screenshotPath = screenshotPath;
+        return this;
+    }
+
+    /**
+     * Serialize the error for reports
+     * @returns {Object} Error name, message and diagnostics
+     */
+    toJSON() {
+        const { name, message, stack, ...diagnostics } = this;
+        return {
+            name: this.name,
+            message: this.message,
+            ...diagnostics,
+            cause: this.cause ? this.cause.message : undefined
+        };
+    }
+}
+
+/**
+ * An element could not be found
+ */
+export class ElementNotFoundError extends FrameworkError {}
+
+/**
+ * A locator cannot be resolved (e.g. no variant for the current platform)
+ */
+export class LocatorError extends FrameworkError {}
+
+/**
+ * A gesture could not be built or performed
+ */
+export class GestureError extends FrameworkError {}
+
+/**
+ * A wait condition was not met in time
+ */
+export class ConditionTimeoutError extends FrameworkError {}
+
+/**
+ * A page or app is not registered in the page registry
+ */
+export class PageNotRegisteredError extends FrameworkError {}
+
+/**
+ * No device could be allocated for a test
+ */
+export class DeviceAllocationError extends FrameworkError {}
+
+/**
+ * A device inventory file is missing, unreadable or invalid
+ */
+export class DeviceInventoryError extends FrameworkError {}
+
+/**
+ * The network proxy cannot record or mock the traffic of a test
+ */
+export class NetworkProxyError extends FrameworkError {}
+
+/**
+ * An app lifecycle operation (terminate, activate, deep link, ...) failed
+ */
+export class AppLifecycleError extends FrameworkError {}
+
+/**
+ * A system dialog (permission prompt, alert) could not be found or answered
+ */
+export class SystemDialogError extends FrameworkError {}
+
+/**
+ * A device state change (network, location, orientation, locale) failed
+ */
+export class DeviceControlError extends FrameworkError {}
+
+/**
+ * A context (native app or WebView) could not be found or switched to
+ */
+export class ContextError extends FrameworkError {}
+
+/**
+ * The soft keyboard could not be queried, hidden or used
+ */
+export class KeyboardError extends FrameworkError {}
+
+/**
+ * The app crashed or stopped responding during a test
+ */
+export class AppCrashError extends FrameworkError {}
+
+/**
+ * The device log did (or did not) contain an expected line
+ */
+export class LogAssertionError extends FrameworkError {}
+
+/**
+ * An accessibility audit found issues at or above the failing severity
+ */
+export class AccessibilityError extends FrameworkError {}
+
+/**
+ * A screenshot does not match its visual baseline
+ */
+export class VisualMismatchError extends FrameworkError {}
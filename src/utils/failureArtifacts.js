@@ -0,0 +1,179 @@
+/**
+ * Failure Artifact Collector
+ * Saves a screenshot, the page source and a device log excerpt when a test fails,
+ * organized per test ID and attached to Allure together with any screen recordings.
+ */
+import fs from 'fs';
+import path from 'path';
+import allureReporter from '@wdio/allure-reporter';
+
+class FailureArtifactCollector {
+    constructor(options = {}) {
+        this.options = {
+            outputDir: path.resolve(process.cwd(), 'reports', 'failures'),
+            ...options
+        };
+
+        // Map of test ID to { startTime, platform }
+        this.sessions = new Map();
+    }
+
+    /**
+     * Update collector options
+     * @param {Object} options - Options to merge (outputDir)
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Start tracking a test (call before the test runs)
+     * @param {Object} driver - WebdriverIO driver
+     * @param {string} testId - Unique identifier for the test
+     */
+    async start(driver, testId) {
+        this.sessions.set(testId, {
+            startTime: Date.now(),
+            platform: driver.isIOS ? 'ios' : 'android'
+        });
+    }
+
+    /**
+     * Finish tracking a test and save artifacts if it failed
+     * @param {Object} driver - WebdriverIO driver
+     * @param {string} testId - Unique identifier for the test
+     * @param {Object} result - Test result
+     * @param {boolean} result.failed - Whether the test failed
+     * @param {Error} [result.error] - Error that failed the test
+     * @param {Array<string>} [result.recordings] - Screen recordings kept for the test
+     * @param {Array<Object>} [result.deviceLog] - Log entries captured by the device log service
+     * @returns {Object|null} Paths of the saved artifacts, or null if the test passed
+     */
+    async collect(driver, testId, { failed, error = null, recordings = [], deviceLog = null }) {
+        const session = this.sessions.get(testId) || {
+            startTime: null,
+            platform: driver.isIOS ? 'ios' : 'android'
+        };
+        this.sessions.delete(testId);
+
+        if (!failed) {
+            return null;
+        }
+
+        const testDir = path.join(this.options.outputDir, sanitize(testId));
+        fs.mkdirSync(testDir, { recursive: true });
+
+        const artifacts = { dir: testDir };
+
+        artifacts.screenshot = await this._save(testId, 'screenshot', async () => {
+            const screenshotPath = path.join(testDir, 'screenshot.png');
+            await driver.saveScreenshot(screenshotPath);
+            this._attach('Screenshot', fs.readFileSync(screenshotPath), 'image/png');
+            return screenshotPath;
+        });
+
+        artifacts.pageSource = await this._save(testId, 'page source', async () => {
+            const pageSource = await driver.getPageSource();
+            const pageSourcePath = path.join(testDir, 'page-source.xml');
+            fs.writeFileSync(pageSourcePath, pageSource);
+            this._attach('Page source', pageSource, 'application/xml');
+            return pageSourcePath;
+        });
+
+        artifacts.deviceLog = await this._save(testId, 'device log', async () => {
+            const logLines = await this._getDeviceLog(driver, session, deviceLog);
+            const logPath = path.join(testDir, 'device.log');
+            fs.writeFileSync(logPath, logLines.join('\n'));
+            this._attach('Device log', logLines.join('\n'), 'text/plain');
+            return logPath;
+        });
+
+        artifacts.recordings = [];
+        for (const [index, recordingPath] of recordings.entries()) {
+            const attached = await this._save(testId, `screen recording ${index + 1}`, async () => {
+                this._attach(`Screen recording ${index + 1}`, fs.readFileSync(recordingPath), 'video/mp4');
+                return recordingPath;
+            });
+            if (attached) {
+                artifacts.recordings.push(attached);
+            }
+        }
+
+        if (error) {
+            await this._save(testId, 'error details', async () => {
+                const errorDetails = typeof error.toJSON === 'function'
+                    ? error.toJSON()
+                    : { name: error.name, message: error.message };
+                const errorPath = path.join(testDir, 'error.json');
+                fs.writeFileSync(errorPath, JSON.stringify({ ...errorDetails, stack: error.stack }, null, 2));
+                return errorPath;
+            });
+        }
+
+        console.log(`[Artifacts] Failure artifacts for test ${testId} saved to: ${testDir}`);
+        return artifacts;
+    }
+
+    /**
+     * Get device log lines written since the test started
+     * @private
+     * @param {Object} driver - WebdriverIO driver
+     * @param {Object} session - Test session
+     * @param {Array<Object>|null} capturedEntries - Entries already captured for the test, if any
+     * @returns {Array<string>} Formatted log lines
+     */
+    async _getDeviceLog(driver, session, capturedEntries) {
+        // The driver only returns entries not read before, so use the captured log when there is one
+        const logType = session.platform === 'ios' ? 'syslog' : 'logcat';
+        const entries = capturedEntries || await driver.getLogs(logType);
+
+        return entries
+            .filter(entry => !session.startTime || entry.timestamp >= session.startTime)
+            .map(entry => `${new Date(entry.timestamp).toISOString()} ${entry.level} ${entry.message}`);
+    }
+
+    /**
+     * Save one artifact, logging instead of throwing on failure
+     * @private
+     * @param {string} testId - Unique identifier for the test
+     * @param {string} name - Artifact name for logs
+     * @param {Function} save - Async function saving the artifact and returning its path
+     * @returns {string|null} Path of the saved artifact
+     */
+    async _save(testId, name, save) {
+        try {
+            return await save();
+        } catch (error) {
+            console.warn(`[Artifacts] Failed to save ${name} for test ${testId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Attach content to the Allure report
+     * @private
+     * @param {string} name - Attachment name
+     * @param {string|Buffer} content - Attachment content
+     * @param {string} type - MIME type
+     */
+    _attach(name, content, type) {
+        try {
+            allureReporter.addAttachment(name, content, type);
+        } catch (error) {
+            // Allure reporter is not active (e.g. outside the WebdriverIO runner)
+        }
+    }
+}
+
+/**
+ * Make a test ID safe to use as a directory name
+ * @param {string} testId - Unique identifier for the test
+ * @returns {string} Sanitized name
+ */
+function sanitize(testId) {
+    return testId.replace(/[^\w.-]+/g, '_');
+}
+
+// Create singleton instance
+const failureArtifactCollector = new FailureArtifactCollector();
+export default failureArtifactCollector;
@@ -0,0 +1,234 @@
+/**
+ * Cross-process file locking and atomic file writes
+ *
+ * A lock is a file created with O_EXCL, so only one process can hold it at a time.
+ * Locks left behind by a crashed process are taken over once they are older than
+ * the stale timeout. Shared state files are written to a temporary file and renamed,
+ * so readers never see a partially written file.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Time to wait for a lock before giving up
+const DEFAULT_LOCK_TIMEOUT_MS = 10000;
+
+// Age after which a lock is considered abandoned
+const DEFAULT_STALE_MS = 30000;
+
+// Delay between attempts to take a held lock
+const DEFAULT_RETRY_DELAY_MS = 25;
+
+/**
+ * Wait for a while without blocking the event loop (heartbeats, recordings and log polling keep running)
+ * @param {number} ms - Time to wait in ms
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Acquire a lock file, waiting until it is free
+ * @param {string} lockPath - Path of the lock file
+ * @param {Object} options - Lock options
+ * @param {number} [options.timeout] - Time to wait for the lock in ms (default: 10000)
+ * @param {number} [options.staleMs] - Age after which a held lock is taken over in ms (default: 30000)
+ * @param {number} [options.retryDelay] - Delay between attempts in ms (default: 25)
+ * @returns {Promise<Function>} Function that releases the lock
+ * @throws {Error} If the lock could not be acquired within the timeout
+ */
+async function acquireLock(lockPath, {
+    timeout = DEFAULT_LOCK_TIMEOUT_MS,
+    staleMs = DEFAULT_STALE_MS,
+    retryDelay = DEFAULT_RETRY_DELAY_MS
+} = {}) {
+    const deadline = Date.now() + timeout;
+    const owner = JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString() });
+
+    for (;;) {
+        try {
+            const fd = fs.openSync(lockPath, 'wx');
+            try {
+                fs.writeSync(fd, owner);
+            } finally {
+                fs.closeSync(fd);
+            }
+            return () => releaseLock(lockPath, owner);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+                continue;
+            }
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        if (removeStaleLock(lockPath, staleMs)) {
+            continue;
+        }
+
+        if (Date.now() >= deadline) {
+            const holder = readLockOwner(lockPath);
+            const heldBy = holder ? ` (held by pid ${holder.pid} on ${holder.host} since ${holder.acquiredAt})` : '';
+            throw new Error(`Timed out after ${timeout}ms waiting for lock ${lockPath}${heldBy}`);
+        }
+        await sleep(retryDelay);
+    }
+}
+
+/**
+ * Release a lock file
+ * @param {string} lockPath - Path of the lock file
+ * @param {string} owner - Owner recorded when the lock was acquired; a lock taken over by
+ *   another process is left alone
+ */
+function releaseLock(lockPath, owner = null) {
+    if (owner !== null) {
+        let current = null;
+        try {
+            current = fs.readFileSync(lockPath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        if (current !== owner) {
+            console.warn(`[File Lock] Lock ${lockPath} was taken over by another process before it was released`);
+            return;
+        }
+    }
+
+    try {
+        fs.unlinkSync(lockPath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+/**
+ * Run a function while holding a lock file
+ * @param {string} lockPath - Path of the lock file
+ * @param {Function} fn - Function to run, synchronous or async
+ * @param {Object} options - Lock options (timeout, staleMs, retryDelay), see acquireLock()
+ * @returns {Promise<any>} Result of the function
+ */
+async function withFileLock(lockPath, fn, options = {}) {
+    const release = await acquireLock(lockPath, options);
+    try {
+        return await fn();
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - Path of the file
+ * @param {any} fallback - Value returned when the file does not exist
+ * @returns {any} Parsed content or the fallback
+ */
+function readJson(filePath, fallback = null) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+/**
+ * Write a JSON file atomically (temporary file, then rename)
+ * @param {string} filePath - Path of the file
+ * @param {any} data - Data to write
+ */
+function writeJsonAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Check whether a process is running on this machine
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: the process exists but belongs to another user
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Remove a lock that is older than the stale timeout
+ * The lock is first renamed away, so only one waiting process can take it over.
+ * @param {string} lockPath - Path of the lock file
+ * @param {number} staleMs - Age after which the lock is stale in ms
+ * @returns {boolean} True if a stale lock was removed
+ */
+function removeStaleLock(lockPath, staleMs) {
+    let stats;
+    try {
+        stats = fs.statSync(lockPath);
+    } catch (error) {
+        // Released in the meantime
+        return error.code === 'ENOENT';
+    }
+    if (Date.now() - stats.mtimeMs < staleMs) {
+        return false;
+    }
+
+    const stalePath = `${lockPath}.${process.pid}.stale`;
+    try {
+        fs.renameSync(lockPath, stalePath);
+    } catch (error) {
+        // Another process took it over first
+        return false;
+    }
+
+    // The lock may have been replaced by a fresh one between the check and the rename
+    if (Date.now() - fs.statSync(stalePath).mtimeMs < staleMs) {
+        try {
+            fs.linkSync(stalePath, lockPath);
+        } catch (error) {
+            // A new lock exists already; it keeps precedence
+        }
+        fs.unlinkSync(stalePath);
+        return false;
+    }
+
+    const owner = readLockOwner(stalePath);
+    console.warn(`[File Lock] Took over stale lock ${lockPath} (${owner ? `pid ${owner.pid} on ${owner.host}` : 'unknown owner'})`);
+    fs.unlinkSync(stalePath);
+    return true;
+}
+
+/**
+ * Read the owner recorded in a lock file
+ * @param {string} lockPath - Path of the lock file
+ * @returns {Object|null} Owner { pid, host, acquiredAt } or null if unknown
+ */
+function readLockOwner(lockPath) {
+    try {
+        return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+export {
+    acquireLock,
+    releaseLock,
+    withFileLock,
+    readJson,
+    writeJsonAtomic,
+    isProcessAlive
+};
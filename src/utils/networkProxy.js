@@ -0,0 +1,655 @@
+/**
+ * Network Proxy for traffic capture and mocking
+ * Local HTTP proxy started from the wdio configs. It records traffic per test ID into HAR
+ * files and answers requests matching registered mocks. Tests control it through the
+ * /__proxy/ API (see networkProxyClient.js), since they run in separate worker processes.
+ *
+ * Two modes can be used together:
+ * - Forward proxy: the device's HTTP proxy points at this server. HTTPS is tunnelled
+ *   (CONNECT) and only recorded by host.
+ * - Reverse proxy: the app's base URL points at this server, and requests are forwarded
+ *   to NETWORK_PROXY_TARGET (e.g. a local stand-in backend), so HTTPS targets are fully recorded.
+ *
+ * Traffic is attributed to tests by client: the port a test got for itself, the X-Proxy-Client
+ * header of a request, or the address it comes from. A test bound to a client only sees that
+ * client's traffic; a test started without a client sees the traffic no bound test claims.
+ * Only one test can record per client at a time, since their traffic could not be told apart.
+ */
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const CONTROL_PREFIX = '/__proxy/';
+
+// Request header that identifies the device or app a request comes from
+const CLIENT_HEADER = 'x-proxy-client';
+
+// Headers that apply to a single connection and must not be forwarded
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
+
+class NetworkProxy {
+    constructor(options = {}) {
+        this.options = {
+            enabled: process.env.NETWORK_PROXY === 'true',
+            host: process.env.NETWORK_PROXY_HOST || '0.0.0.0',
+            port: process.env.NETWORK_PROXY_PORT ? parseInt(process.env.NETWORK_PROXY_PORT, 10) : 8888,
+            target: process.env.NETWORK_PROXY_TARGET || null,
+            harDir: path.resolve(process.cwd(), 'reports', 'network'),
+            maxBodySize: 1024 * 1024,
+            ...options
+        };
+
+        this.server = null;
+
+        // Map of test ID to { client, port, server, startTime, entries, mocks }
+        this.tests = new Map();
+        this.nextMockId = 1;
+    }
+
+    /**
+     * Update proxy options (takes effect on the next start)
+     * @param {Object} options - Options to merge (enabled, host, port, target, harDir, maxBodySize)
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Check whether the proxy should be started
+     * @returns {boolean} True if NETWORK_PROXY=true or enabled by configure()
+     */
+    isEnabled() {
+        return this.options.enabled;
+    }
+
+    /**
+     * Start the proxy server
+     * @returns {string} Proxy URL
+     */
+    async start() {
+        if (this.server) return this.getUrl();
+
+        this.server = await this._listen(this.options.port);
+        this.options.port = this.server.address().port;
+        const target = this.options.target ? `, forwarding to ${this.options.target}` : '';
+        console.log(`[Network] Proxy listening on ${this.getUrl()}${target}`);
+        return this.getUrl();
+    }
+
+    /**
+     * Stop the proxy server, writing HAR files of tests that are still recording
+     */
+    async stop() {
+        if (!this.server) return;
+
+        for (const testId of this.tests.keys()) {
+            this.stopTest(testId);
+        }
+
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+        console.log('[Network] Proxy stopped');
+    }
+
+    /**
+     * Get the URL of the proxy
+     * @returns {string} Proxy URL
+     */
+    getUrl() {
+        return `http://localhost:${this.options.port}`;
+    }
+
+    /**
+     * Start recording traffic for a test
+     * @param {string} testId - Unique identifier for the test
+     * @param {Object} options - Recording options
+     * @param {string} [options.client] - X-Proxy-Client header value or address of the device the
+     *   test runs on (default: none, the test gets the traffic of clients no other test is bound to)
+     * @param {boolean} [options.dedicatedPort] - Give the test a port of its own; all traffic
+     *   sent to that port belongs to the test (e.g. for device farm sessions)
+     * @returns {{testId: string, port: number|null}} Test ID and its dedicated port
+     * @throws {Error} If another test is already recording the same client
+     */
+    async startTest(testId, { client = null, dedicatedPort = false } = {}) {
+        this.stopTest(testId, { save: false });
+
+        if (dedicatedPort) {
+            const server = await this._listen(0);
+            const { port } = server.address();
+            this.tests.set(testId, { client: `port:${port}`, port, server, startTime: Date.now(), entries: [], mocks: [] });
+            return { testId, port };
+        }
+
+        const other = [...this.tests].find(([, test]) => test.client === client);
+        if (other) {
+            const target = client ? `client ${client}` : 'clients without a bound test';
+            throw controlError(409, `Network proxy is already recording test ${other[0]} for ${target}; `
+                + 'concurrent tests need their own client (X-Proxy-Client header, device address or dedicated port)');
+        }
+
+        this.tests.set(testId, { client, port: null, server: null, startTime: Date.now(), entries: [], mocks: [] });
+        return { testId, port: null };
+    }
+
+    /**
+     * Stop recording traffic for a test and write its HAR file
+     * @param {string} testId - Unique identifier for the test
+     * @param {Object} options - Stop options
+     * @param {boolean} [options.save] - Write the HAR file (default: true)
+     * @returns {{harPath: string, entries: number}|null} HAR file path and entry count, or null if not recording
+     */
+    stopTest(testId, { save = true } = {}) {
+        const test = this.tests.get(testId);
+        if (!test) return null;
+        this.tests.delete(testId);
+
+        if (test.server) {
+            test.server.closeAllConnections();
+            test.server.close();
+        }
+        if (!save) return null;
+
+        const harPath = path.join(this.options.harDir, `${testId.replace(/[^\w.-]+/g, '_')}.har`);
+        fs.mkdirSync(this.options.harDir, { recursive: true });
+        fs.writeFileSync(harPath, JSON.stringify(buildHar(test.entries), null, 2));
+
+        return { harPath, entries: test.entries.length };
+    }
+
+    /**
+     * Register a mock for a test
+     * @param {string} testId - Unique identifier for the test
+     * @param {Object} mock - Mock definition
+     * @param {string|Object} mock.url - URL substring, or { regex, flags }
+     * @param {string} [mock.method] - HTTP method (default: any)
+     * @param {number} [mock.status] - Response status (default: 200)
+     * @param {Object} [mock.headers] - Response headers
+     * @param {string|Object} [mock.body] - Response body; objects are sent as JSON
+     * @param {number} [mock.delay] - Delay before responding in ms
+     * @returns {number} Mock ID
+     */
+    addMock(testId, mock) {
+        const test = this._getTest(testId);
+        if (!mock || !mock.url) {
+            throw controlError(400, 'Network mock needs a url (substring or { regex, flags })');
+        }
+
+        const url = compileUrlPattern(mock.url);
+        const id = this.nextMockId++;
+        // Mocks registered later take precedence
+        test.mocks.unshift({ id, status: 200, headers: {}, body: '', delay: 0, ...mock, url });
+        return id;
+    }
+
+    /**
+     * Remove all mocks of a test
+     * @param {string} testId - Unique identifier for the test
+     */
+    clearMocks(testId) {
+        this._getTest(testId).mocks = [];
+    }
+
+    /**
+     * Get the traffic recorded so far for a test
+     * @param {string} testId - Unique identifier for the test
+     * @returns {Array<Object>} HAR entries
+     */
+    getEntries(testId) {
+        return this._getTest(testId).entries;
+    }
+
+    /**
+     * Get a recording test
+     * @private
+     * @param {string} testId - Unique identifier for the test
+     * @returns {Object} Test state
+     */
+    _getTest(testId) {
+        const test = this.tests.get(testId);
+        if (!test) {
+            throw controlError(404, `Network traffic is not being recorded for test ${testId}`);
+        }
+        return test;
+    }
+
+    /**
+     * Start an HTTP server that handles proxy and control requests
+     * @private
+     * @param {number} port - Port to listen on (0 for any free port)
+     * @returns {Promise<http.Server>} Listening server
+     */
+    async _listen(port) {
+        const server = http.createServer((req, res) => this._handleRequest(req, res));
+        server.on('connect', (req, socket, head) => this._handleConnect(req, socket, head));
+
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, this.options.host, resolve);
+        });
+        return server;
+    }
+
+    /**
+     * Handle an HTTP request to the proxy
+     * @private
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async _handleRequest(req, res) {
+        try {
+            if (req.url.startsWith(CONTROL_PREFIX)) {
+                await this._handleControl(req, res);
+            } else {
+                await this._handleTraffic(req, res);
+            }
+        } catch (error) {
+            if (!res.headersSent) {
+                sendJson(res, error.status || 500, { error: error.message });
+            } else {
+                res.destroy(error);
+            }
+        }
+    }
+
+    /**
+     * Handle a control API request
+     * @private
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async _handleControl(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const [resource, rawTestId, action] = pathname.slice(CONTROL_PREFIX.length).split('/');
+        const testId = rawTestId ? decodeURIComponent(rawTestId) : null;
+        const route = `${req.method} ${resource}${action ? `/${action}` : ''}`;
+
+        switch (route) {
+            case 'GET health':
+                return sendJson(res, 200, { status: 'ok', tests: [...this.tests.keys()] });
+            case 'POST tests/start': {
+                const { client, dedicatedPort } = JSON.parse((await readBody(req)).toString() || '{}');
+                return sendJson(res, 200, await this.startTest(testId, { client, dedicatedPort }));
+            }
+            case 'POST tests/stop':
+                return sendJson(res, 200, this.stopTest(testId) || {});
+            case 'POST tests/mocks': {
+                const mock = JSON.parse((await readBody(req)).toString() || '{}');
+                return sendJson(res, 200, { id: this.addMock(testId, mock) });
+            }
+            case 'DELETE tests/mocks':
+                this.clearMocks(testId);
+                return sendJson(res, 200, {});
+            case 'GET tests/entries':
+                return sendJson(res, 200, { entries: this.getEntries(testId) });
+            default:
+                return sendJson(res, 404, { error: `Unknown proxy control route: ${req.method} ${pathname}` });
+        }
+    }
+
+    /**
+     * Mock or forward an app request and record it
+     * @private
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async _handleTraffic(req, res) {
+        const startTime = Date.now();
+        const targetUrl = this._getTargetUrl(req);
+        const requestBody = await readBody(req);
+        const tests = this._getClientTests(req);
+
+        // Without a target, relative requests are matched and recorded by the URL they were sent to
+        const url = targetUrl || new URL(req.url, `http://${req.headers.host || 'localhost'}`).toString();
+        const request = { method: req.method, url, headers: req.headers, body: requestBody };
+        const mock = findMock(tests, request);
+
+        let response;
+        if (mock) {
+            if (mock.delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, mock.delay));
+            }
+            response = buildMockResponse(mock);
+        } else if (!targetUrl) {
+            response = errorResponse(502, 'No target: send absolute URLs (forward proxy) or set NETWORK_PROXY_TARGET');
+        } else {
+            try {
+                response = await forward(request);
+            } catch (error) {
+                response = errorResponse(502, `Upstream request failed: ${error.message}`);
+            }
+        }
+
+        res.writeHead(response.status, response.headers);
+        res.end(response.body);
+
+        this._record(tests, {
+            startTime,
+            request,
+            response,
+            mocked: Boolean(mock),
+            time: Date.now() - startTime
+        });
+    }
+
+    /**
+     * Tunnel an HTTPS (CONNECT) request without inspecting it
+     * @private
+     * @param {http.IncomingMessage} req - CONNECT request
+     * @param {net.Socket} clientSocket - Client connection
+     * @param {Buffer} head - First packet of the tunnelled stream
+     */
+    _handleConnect(req, clientSocket, head) {
+        const startTime = Date.now();
+        const [host, port] = req.url.split(':');
+
+        const upstream = net.connect(Number(port) || 443, host, () => {
+            clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            upstream.write(head);
+            upstream.pipe(clientSocket);
+            clientSocket.pipe(upstream);
+        });
+
+        const fail = () => {
+            clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+            upstream.destroy();
+        };
+        upstream.on('error', fail);
+        clientSocket.on('error', () => upstream.destroy());
+
+        this._record(this._getClientTests(req), {
+            startTime,
+            request: { method: 'CONNECT', url: `https://${req.url}`, headers: req.headers, body: Buffer.alloc(0) },
+            response: { status: 200, headers: {}, body: Buffer.alloc(0) },
+            mocked: false,
+            time: 0
+        });
+    }
+
+    /**
+     * Get the upstream URL of a request
+     * @private
+     * @param {http.IncomingMessage} req - Request
+     * @returns {string|null} Absolute URL, or null if there is no target
+     */
+    _getTargetUrl(req) {
+        if (/^https?:\/\//.test(req.url)) {
+            return req.url;
+        }
+        return this.options.target ? new URL(req.url, this.options.target).toString() : null;
+    }
+
+    /**
+     * Get the recording tests a request belongs to
+     * @private
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Array<Object>} The test owning the port the request was sent to, the tests bound to
+     *   the request's client, or else the tests without a client
+     */
+    _getClientTests(req) {
+        const tests = [...this.tests.values()];
+        const owner = tests.find(test => test.port !== null && test.port === req.socket.localPort);
+        if (owner) return [owner];
+
+        const client = getClient(req);
+        const bound = tests.filter(test => test.client === client);
+        return bound.length > 0 ? bound : tests.filter(test => test.client === null);
+    }
+
+    /**
+     * Add a HAR entry to the tests a request belongs to
+     * @private
+     * @param {Array<Object>} tests - Tests of the request's client
+     * @param {Object} exchange - Request, response and timing
+     */
+    _record(tests, exchange) {
+        if (tests.length === 0) return;
+
+        const entry = buildHarEntry(exchange, this.options.maxBodySize);
+        for (const test of tests) {
+            test.entries.push(entry);
+        }
+    }
+}
+
+/**
+ * Get the client a request comes from
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string} X-Proxy-Client header, or the remote address without its IPv4-mapped prefix
+ */
+function getClient(req) {
+    return req.headers[CLIENT_HEADER] || String(req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+/**
+ * Find the mock matching a request
+ * @param {Array<Object>} tests - Tests of the request's client
+ * @param {Object} request - Request { method, url }
+ * @returns {Object|null} Matching mock
+ */
+function findMock(tests, { method, url }) {
+    for (const test of tests) {
+        const mock = test.mocks.find(candidate =>
+            (!candidate.method || candidate.method.toUpperCase() === method)
+            && matchesUrl(url, candidate.url));
+        if (mock) return mock;
+    }
+    return null;
+}
+
+/**
+ * Compile the URL pattern of a mock
+ * @param {string|Object} pattern - URL substring, or { regex, flags }
+ * @returns {string|RegExp} Substring or regular expression
+ * @throws {Error} If the regular expression is invalid
+ */
+function compileUrlPattern(pattern) {
+    if (typeof pattern === 'string') {
+        return pattern;
+    }
+    try {
+        return new RegExp(pattern.regex, pattern.flags || '');
+    } catch (error) {
+        throw controlError(400, `Invalid network mock url pattern: ${error.message}`);
+    }
+}
+
+/**
+ * Check whether a URL matches a mock pattern
+ * @param {string} url - Request URL
+ * @param {string|RegExp} pattern - URL substring or regular expression
+ * @returns {boolean} True if the URL matches
+ */
+function matchesUrl(url, pattern) {
+    if (typeof pattern === 'string') {
+        return url.includes(pattern);
+    }
+    // Global and sticky patterns keep their position between test() calls
+    pattern.lastIndex = 0;
+    return pattern.test(url);
+}
+
+/**
+ * Create an error answered with a status by the control API
+ * @param {number} status - Response status
+ * @param {string} message - Error message
+ * @returns {Error} Error with the status
+ */
+function controlError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Forward a request upstream
+ * @param {Object} request - Request { method, url, headers, body }
+ * @returns {Object} Response { status, statusText, headers, body }
+ */
+function forward({ method, url, headers, body }) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const upstream = client.request(target, {
+            method,
+            headers: { ...stripHopByHop(headers), host: target.host }
+        }, upstreamResponse => {
+            readBody(upstreamResponse).then(responseBody => resolve({
+                status: upstreamResponse.statusCode,
+                statusText: upstreamResponse.statusMessage,
+                headers: { ...stripHopByHop(upstreamResponse.headers), 'content-length': responseBody.length },
+                body: responseBody
+            }), reject);
+        });
+
+        upstream.on('error', reject);
+        upstream.end(body);
+    });
+}
+
+/**
+ * Build the response of a mock
+ * @param {Object} mock - Mock definition
+ * @returns {Object} Response { status, headers, body }
+ */
+function buildMockResponse(mock) {
+    const isJson = mock.body !== null && typeof mock.body === 'object';
+    const body = Buffer.from(isJson ? JSON.stringify(mock.body) : String(mock.body));
+
+    return {
+        status: mock.status,
+        statusText: http.STATUS_CODES[mock.status] || '',
+        headers: {
+            'content-type': isJson ? 'application/json' : 'text/plain',
+            ...mock.headers,
+            'content-length': body.length
+        },
+        body
+    };
+}
+
+/**
+ * Build an error response sent by the proxy itself
+ * @param {number} status - Response status
+ * @param {string} message - Error message
+ * @returns {Object} Response { status, headers, body }
+ */
+function errorResponse(status, message) {
+    return buildMockResponse({ status, headers: {}, body: message });
+}
+
+/**
+ * Remove connection-specific headers
+ * @param {Object} headers - Headers
+ * @returns {Object} Headers safe to forward
+ */
+function stripHopByHop(headers) {
+    return Object.fromEntries(Object.entries(headers).filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name.toLowerCase())));
+}
+
+/**
+ * Read a request or response body
+ * @param {http.IncomingMessage} stream - Request or response
+ * @returns {Promise<Buffer>} Body
+ */
+function readBody(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {Object} data - Response data
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Convert headers to HAR name/value pairs
+ * @param {Object} headers - Headers
+ * @returns {Array<{name: string, value: string}>} HAR headers
+ */
+function toHarHeaders(headers) {
+    return Object.entries(headers).flatMap(([name, value]) =>
+        (Array.isArray(value) ? value : [value]).map(item => ({ name, value: String(item) })));
+}
+
+/**
+ * Build a HAR 1.2 entry
+ * @param {Object} exchange - Request, response and timing
+ * @param {number} maxBodySize - Largest body stored in the entry, in bytes
+ * @returns {Object} HAR entry
+ */
+function buildHarEntry({ startTime, request, response, mocked, time }, maxBodySize) {
+    const url = new URL(request.url);
+    const bodyText = body => (body.length <= maxBodySize ? body.toString('utf8') : `[${body.length} bytes not stored]`);
+    const contentType = headers => String(headers['content-type'] || '');
+
+    const entry = {
+        startedDateTime: new Date(startTime).toISOString(),
+        time,
+        request: {
+            method: request.method,
+            url: request.url,
+            httpVersion: 'HTTP/1.1',
+            headers: toHarHeaders(request.headers),
+            queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+            cookies: [],
+            headersSize: -1,
+            bodySize: request.body.length
+        },
+        response: {
+            status: response.status,
+            statusText: response.statusText || '',
+            httpVersion: 'HTTP/1.1',
+            headers: toHarHeaders(response.headers),
+            cookies: [],
+            content: {
+                size: response.body.length,
+                mimeType: contentType(response.headers),
+                text: bodyText(response.body)
+            },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: response.body.length
+        },
+        cache: {},
+        timings: { send: 0, wait: time, receive: 0 },
+        _mocked: mocked
+    };
+
+    if (request.body.length > 0) {
+        entry.request.postData = { mimeType: contentType(request.headers), text: bodyText(request.body) };
+    }
+
+    return entry;
+}
+
+/**
+ * Build a HAR 1.2 log
+ * @param {Array<Object>} entries - HAR entries
+ * @returns {Object} HAR document
+ */
+function buildHar(entries) {
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: 'mobile-automation-framework network proxy', version: '1.0.0' },
+            pages: [],
+            entries
+        }
+    };
+}
+
+// Create singleton instance
+const networkProxy = new NetworkProxy();
+export default networkProxy;
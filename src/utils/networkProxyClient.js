@@ -0,0 +1,121 @@
+/**
+ * Network Proxy Client used by tests to control the network proxy
+ * The proxy runs in the WebdriverIO launcher process; workers talk to it over its /__proxy/ API.
+ */
+import axios from 'axios';
+
+class NetworkProxyClient {
+    constructor(options = {}) {
+        this.options = {
+            enabled: process.env.NETWORK_PROXY === 'true',
+            baseUrl: process.env.NETWORK_PROXY_URL
+                || `http://localhost:${process.env.NETWORK_PROXY_PORT || 8888}`,
+            client: process.env.NETWORK_PROXY_CLIENT || null,
+            ...options
+        };
+    }
+
+    /**
+     * Update client options
+     * @param {Object} options - Options to merge (enabled, baseUrl, client)
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Check whether the network proxy is in use
+     * @returns {boolean} True if NETWORK_PROXY=true or enabled by configure()
+     */
+    isEnabled() {
+        return this.options.enabled;
+    }
+
+    /**
+     * Start recording traffic for a test
+     * @param {string} testId - Unique identifier for the test
+     * @param {Object} options - Recording options
+     * @param {string} [options.client] - X-Proxy-Client header value or address of the device the
+     *   test runs on (default: NETWORK_PROXY_CLIENT)
+     * @param {boolean} [options.dedicatedPort] - Give the test a proxy port of its own, for devices
+     *   that cannot be told apart by header or address (e.g. device farm sessions)
+     * @returns {{testId: string, port: number|null}} Test ID and its dedicated proxy port
+     */
+    async startTest(testId, { client = this.options.client, dedicatedPort = false } = {}) {
+        return this._request('POST', `/tests/${encodeURIComponent(testId)}/start`, { client, dedicatedPort });
+    }
+
+    /**
+     * Stop recording traffic for a test and write its HAR file
+     * @param {string} testId - Unique identifier for the test
+     * @returns {{harPath: string, entries: number}} HAR file path and entry count
+     */
+    async stopTest(testId) {
+        return this._request('POST', `/tests/${encodeURIComponent(testId)}/stop`);
+    }
+
+    /**
+     * Register a mock for a test
+     * @param {string} testId - Unique identifier for the test
+     * @param {Object} mock - Mock definition
+     * @param {string|RegExp} mock.url - URL substring or pattern
+     * @param {string} [mock.method] - HTTP method (default: any)
+     * @param {number} [mock.status] - Response status (default: 200)
+     * @param {Object} [mock.headers] - Response headers
+     * @param {string|Object} [mock.body] - Response body; objects are sent as JSON
+     * @param {number} [mock.delay] - Delay before responding in ms
+     * @returns {number} Mock ID
+     */
+    async mock(testId, mock) {
+        // Regular expressions do not survive JSON, so send their source and flags
+        const url = mock.url instanceof RegExp ? { regex: mock.url.source, flags: mock.url.flags } : mock.url;
+        const { id } = await this._request('POST', `/tests/${encodeURIComponent(testId)}/mocks`, { ...mock, url });
+        return id;
+    }
+
+    /**
+     * Remove all mocks of a test
+     * @param {string} testId - Unique identifier for the test
+     */
+    async clearMocks(testId) {
+        await this._request('DELETE', `/tests/${encodeURIComponent(testId)}/mocks`);
+    }
+
+    /**
+     * Get the traffic recorded so far for a test
+     * @param {string} testId - Unique identifier for the test
+     * @returns {Array<Object>} HAR entries
+     */
+    async getEntries(testId) {
+        const { entries } = await this._request('GET', `/tests/${encodeURIComponent(testId)}/entries`);
+        return entries;
+    }
+
+    /**
+     * Make a request to the proxy control API
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} endpoint - Control API endpoint
+     * @param {Object} data - Request body
+     * @returns {Object} Response data
+     */
+    async _request(method, endpoint, data = null) {
+        try {
+            const response = await axios({
+                method,
+                url: `${this.options.baseUrl}/__proxy${endpoint}`,
+                data,
+                // The proxy must not route its own control requests
+                proxy: false
+            });
+            return response.data;
+        } catch (error) {
+            const reason = error.response && error.response.data ? error.response.data.error : error.message;
+            throw new Error(`Network proxy request ${method} ${endpoint} failed: ${reason}`, { cause: error });
+        }
+    }
+}
+
+// Create singleton instance
+const networkProxyClient = new NetworkProxyClient();
+export default networkProxyClient;
@@ -0,0 +1,121 @@
+/**
+ * Page source parsing helpers for Appium XML hierarchies
+ */
+
+const ELEMENT_PATTERN = /<([A-Za-z_][\w.\-]*)((?:\s+[^\s=>\/]+\s*=\s*"[^"]*")*)\s*\/?>/g;
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*"([^"]*)"/g;
+const ANDROID_BOUNDS_PATTERN = /^\[(-?\d+),(-?\d+)\]\[(-?\d+),(-?\d+)\]$/;
+
+const XML_ENTITIES = {
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&apos;': "'",
+    '&amp;': '&'
+};
+
+/**
+ * Decode XML entities in an attribute value
+ * @param {string} value - Raw attribute value
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+    return value
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&(lt|gt|quot|apos|amp);/g, entity => XML_ENTITIES[entity]);
+}
+
+/**
+ * Parse a page source into a flat list of nodes
+ * @param {string} xml - Page source returned by driver.getPageSource()
+ * @returns {Array<{tag: string, attributes: Object}>} Nodes in document order
+ */
+function parsePageSource(xml) {
+    const nodes = [];
+
+    for (const match of xml.matchAll(ELEMENT_PATTERN)) {
+        const [, tag, rawAttributes] = match;
+        if (tag === 'hierarchy' || tag === 'AppiumAUT') {
+            continue;
+        }
+
+        const attributes = {};
+        for (const [, name, value] of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+            attributes[name] = decodeEntities(value);
+        }
+
+        nodes.push({ tag, attributes });
+    }
+
+    return nodes;
+}
+
+/**
+ * Get the on-screen bounds of a node
+ * @param {Object} node - Parsed node
+ * @returns {{x: number, y: number, width: number, height: number}|null} Bounds or null if unknown
+ */
+function getNodeBounds(node) {
+    const { attributes } = node;
+
+    // Android: bounds="[x1,y1][x2,y2]"
+    if (attributes.bounds) {
+        const match = attributes.bounds.match(ANDROID_BOUNDS_PATTERN);
+        if (!match) return null;
+        const [x1, y1, x2, y2] = match.slice(1).map(Number);
+        return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+    }
+
+    // iOS: x, y, width and height attributes
+    if (attributes.width !== undefined && attributes.height !== undefined) {
+        return {
+            x: Number(attributes.x) || 0,
+            y: Number(attributes.y) || 0,
+            width: Number(attributes.width),
+            height: Number(attributes.height)
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Get the platform-neutral identifying values of a node
+ * @param {Object} node - Parsed node
+ * @returns {{text: string, label: string, resourceId: string}} Node identifiers
+ */
+function getNodeIdentifiers(node) {
+    const { attributes } = node;
+
+    if (node.tag.startsWith('XCUIElementType')) {
+        return {
+            text: attributes.label || attributes.value || '',
+            label: attributes.name || '',
+            resourceId: ''
+        };
+    }
+
+    return {
+        text: attributes.text || '',
+        label: attributes['content-desc'] || '',
+        resourceId: attributes['resource-id'] || ''
+    };
+}
+
+/**
+ * Check whether a node is reported as visible
+ * @param {Object} node - Parsed node
+ * @returns {boolean} False only if the source marks the node as hidden
+ */
+function isNodeVisible(node) {
+    const { displayed, visible } = node.attributes;
+    return displayed !== 'false' && visible !== 'false';
+}
+
+export {
+    parsePageSource,
+    getNodeBounds,
+    getNodeIdentifiers,
+    isNodeVisible
+};
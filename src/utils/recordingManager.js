@@ -0,0 +1,198 @@
+/**
+ * Recording Manager for per-test screen recordings
+ * Starts a driver screen recording at test start, splits long tests into chunks and
+ * keeps the files according to a retention policy.
+ */
+import fs from 'fs';
+import path from 'path';
+
+// Policies deciding which recordings are kept
+const POLICIES = ['off', 'always', 'on-failure', 'on-retry'];
+
+// Android screenrecord stops by itself after 180 seconds
+const DEFAULT_CHUNK_SECONDS = 170;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RecordingManager {
+    constructor(options = {}) {
+        this.options = {
+            outputDir: path.resolve(process.cwd(), 'videos'),
+            policy: process.env.RECORDING_POLICY || (process.env.FAILURE_VIDEO === 'true' ? 'on-failure' : 'off'),
+            chunkSeconds: process.env.RECORDING_CHUNK_SECONDS
+                ? parseInt(process.env.RECORDING_CHUNK_SECONDS, 10)
+                : DEFAULT_CHUNK_SECONDS,
+            retentionDays: process.env.RECORDING_RETENTION_DAYS ? parseFloat(process.env.RECORDING_RETENTION_DAYS) : 7,
+            ...options
+        };
+
+        // Map of test ID to { driver, dir, chunks, timer, queue }
+        this.sessions = new Map();
+    }
+
+    /**
+     * Update recording options
+     * @param {Object} options - Options to merge (outputDir, policy, chunkSeconds, retentionDays)
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Check whether recordings are enabled
+     * @returns {boolean} True unless the policy is 'off'
+     */
+    isEnabled() {
+        if (!POLICIES.includes(this.options.policy)) {
+            throw new Error(`Invalid recording policy "${this.options.policy}" (expected one of: ${POLICIES.join(', ')})`);
+        }
+        return this.options.policy !== 'off';
+    }
+
+    /**
+     * Start recording a test
+     * @param {Object} driver - WebdriverIO driver
+     * @param {string} testId - Unique identifier for the test
+     */
+    async start(driver, testId) {
+        if (!this.isEnabled() || this.sessions.has(testId)) return;
+
+        const session = {
+            driver,
+            dir: path.join(this.options.outputDir, testId.replace(/[^\w.-]+/g, '_')),
+            chunks: [],
+            timer: null,
+            queue: Promise.resolve()
+        };
+
+        try {
+            await this._startChunk(session);
+        } catch (error) {
+            console.warn(`[Recording] Failed to start screen recording for test ${testId}: ${error.message}`);
+            return;
+        }
+
+        // Long tests are split into chunks so no recording hits the driver time limit
+        session.timer = setInterval(() => {
+            session.queue = session.queue
+                .then(() => this._saveChunk(session))
+                .then(() => this._startChunk(session))
+                .catch(error => console.warn(`[Recording] Failed to rotate recording for test ${testId}: ${error.message}`));
+        }, this.options.chunkSeconds * 1000);
+        session.timer.unref();
+
+        this.sessions.set(testId, session);
+    }
+
+    /**
+     * Stop recording a test and apply the retention policy
+     * @param {string} testId - Unique identifier for the test
+     * @param {Object} result - Test result
+     * @param {boolean} result.failed - Whether the test failed
+     * @param {number} [result.retries] - Number of retries before this attempt
+     * @returns {Array<string>} Paths of the kept recording chunks (empty if discarded)
+     */
+    async stop(testId, { failed, retries = 0 }) {
+        const session = this.sessions.get(testId);
+        if (!session) return [];
+
+        this.sessions.delete(testId);
+        clearInterval(session.timer);
+
+        try {
+            await session.queue;
+            await this._saveChunk(session);
+        } catch (error) {
+            console.warn(`[Recording] Failed to stop screen recording for test ${testId}: ${error.message}`);
+        }
+
+        if (this.shouldKeep({ failed, retries })) {
+            if (session.chunks.length > 0) {
+                console.log(`[Recording] Kept ${session.chunks.length} recording(s) for test ${testId} in: ${session.dir}`);
+            }
+            return session.chunks;
+        }
+
+        fs.rmSync(session.dir, { recursive: true, force: true });
+        return [];
+    }
+
+    /**
+     * Decide whether a recording is kept
+     * @param {Object} result - Test result
+     * @param {boolean} result.failed - Whether the test failed
+     * @param {number} result.retries - Number of retries before this attempt
+     * @returns {boolean} True if the recording should be kept
+     */
+    shouldKeep({ failed, retries }) {
+        switch (this.options.policy) {
+            case 'always':
+                return true;
+            case 'on-failure':
+                return failed;
+            case 'on-retry':
+                // Keep failures and every attempt of a retried (flaky) test
+                return failed || retries > 0;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Delete recordings older than the retention period
+     * @param {number} retentionDays - Days to keep recordings
+     * @returns {number} Number of deleted recording directories
+     */
+    cleanupOldRecordings(retentionDays = this.options.retentionDays) {
+        if (!fs.existsSync(this.options.outputDir)) return 0;
+
+        const cutoff = Date.now() - (retentionDays * DAY_MS);
+        let deleted = 0;
+
+        for (const entry of fs.readdirSync(this.options.outputDir, { withFileTypes: true })) {
+            const entryPath = path.join(this.options.outputDir, entry.name);
+            if (fs.statSync(entryPath).mtimeMs < cutoff) {
+                fs.rmSync(entryPath, { recursive: true, force: true });
+                deleted++;
+            }
+        }
+
+        if (deleted > 0) {
+            console.log(`[Recording] Removed ${deleted} recording(s) older than ${retentionDays} days`);
+        }
+        return deleted;
+    }
+
+    /**
+     * Start a recording chunk
+     * @private
+     * @param {Object} session - Recording session
+     */
+    async _startChunk(session) {
+        await session.driver.startRecordingScreen({
+            // Leave headroom so rotation happens before the driver stops on its own
+            timeLimit: this.options.chunkSeconds + 10
+        });
+    }
+
+    /**
+     * Stop the current chunk and save it
+     * @private
+     * @param {Object} session - Recording session
+     */
+    async _saveChunk(session) {
+        const video = await session.driver.stopRecordingScreen();
+        if (!video) return;
+
+        fs.mkdirSync(session.dir, { recursive: true });
+        const chunkNumber = String(session.chunks.length + 1).padStart(3, '0');
+        const chunkPath = path.join(session.dir, `recording-${chunkNumber}.mp4`);
+
+        fs.writeFileSync(chunkPath, Buffer.from(video, 'base64'));
+        session.chunks.push(chunkPath);
+    }
+}
+
+// Create singleton instance
+const recordingManager = new RecordingManager();
+export default recordingManager;
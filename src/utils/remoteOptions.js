@@ -1,6 +1,14 @@
 import { config } from './config.js';
+import resetManager from './resetManager.js';
+import systemDialogHandler from './systemDialogHandler.js';
 
-export const getRemoteOptions = (platform) => {
+/**
+ * Get WebdriverIO remote options for a platform
+ * @param {string} platform - 'android' or 'ios'
+ * @param {string} resetStrategy - Reset strategy of the tests using the session
+ * @returns {Object} Remote options
+ */
+export const getRemoteOptions = (platform, resetStrategy = resetManager.resolveStrategy()) => {
     const platformConfig = config.getPlatformConfig(platform);
     
     return {
@@ -12,8 +20,10 @@ export const getRemoteOptions = (platform) => {
             ...platformConfig,
             // Additional capabilities that might be needed
             'appium:newCommandTimeout': 3600,
-            'appium:noReset': false,
-            'appium:fullReset': true,
+            // Only reinstall on session start when the strategy needs a fresh install
+            ...resetManager.getSessionCapabilities(resetStrategy),
+            // Pre-grant permissions when SYSTEM_DIALOG_GRANT_PERMISSIONS=true
+            ...systemDialogHandler.getSessionCapabilities(platform)
         }
     };
 };
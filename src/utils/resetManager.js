@@ -0,0 +1,134 @@
+/**
+ * Reset Manager for resetting app state between tests
+ * Applies the reset strategy selected for a test (title tag, suite option or RESET_STRATEGY)
+ * and logs how long each reset takes.
+ */
+import { AppLifecycle } from './appLifecycle.js';
+
+// Strategies from fastest to slowest
+const STRATEGIES = ['none', 'app-restart', 'clear-data', 'reinstall', 'new-session'];
+
+// Tag in a test title selecting its strategy, e.g. 'should log in @reset:clear-data'
+const TITLE_TAG_PATTERN = /@reset:([\w-]+)/;
+
+class ResetManager {
+    constructor(options = {}) {
+        this.options = {
+            strategy: process.env.RESET_STRATEGY || null,
+            ...options
+        };
+
+        // Map of strategy to { count, totalMs }
+        this.metrics = new Map();
+    }
+
+    /**
+     * Update reset options
+     * @param {Object} options - Options to merge (strategy)
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Select the strategy for a test
+     * A tag in the test title wins over the suite option, which wins over RESET_STRATEGY.
+     * @param {Object} context - Test context
+     * @param {string} [context.title] - Test title, possibly with an @reset: tag
+     * @param {string} [context.suiteStrategy] - Strategy set for the suite
+     * @param {boolean} [context.parallel] - Whether tests run in parallel (each test gets a fresh session)
+     * @returns {string} Reset strategy
+     */
+    resolveStrategy({ title = '', suiteStrategy = null, parallel = false } = {}) {
+        const tag = title.match(TITLE_TAG_PATTERN);
+        const strategy = (tag && tag[1])
+            || suiteStrategy
+            || this.options.strategy
+            || (parallel ? 'none' : 'new-session');
+
+        if (!STRATEGIES.includes(strategy)) {
+            throw new Error(`Invalid reset strategy "${strategy}" (expected one of: ${STRATEGIES.join(', ')})`);
+        }
+        return strategy;
+    }
+
+    /**
+     * Get the session reset capabilities for a strategy
+     * Only strategies that start from a fresh install reinstall the app when the session starts.
+     * @param {string} strategy - Reset strategy
+     * @returns {Object} appium:noReset and appium:fullReset capabilities
+     */
+    getSessionCapabilities(strategy) {
+        return {
+            'appium:noReset': strategy === 'none',
+            'appium:fullReset': strategy === 'reinstall' || strategy === 'new-session'
+        };
+    }
+
+    /**
+     * Reset the app with a strategy
+     * @param {Object} driver - WebdriverIO driver
+     * @param {string} strategy - Reset strategy
+     * @returns {number} Duration of the reset in ms
+     */
+    async reset(driver, strategy) {
+        const app = new AppLifecycle(driver);
+        const startTime = Date.now();
+
+        switch (strategy) {
+            case 'none':
+                break;
+            case 'app-restart':
+                await app.relaunch();
+                break;
+            case 'clear-data':
+                await app.clearData();
+                await app.activate();
+                break;
+            case 'reinstall':
+                await app.reinstall();
+                break;
+            case 'new-session':
+                await driver.reloadSession();
+                break;
+            default:
+                throw new Error(`Invalid reset strategy "${strategy}" (expected one of: ${STRATEGIES.join(', ')})`);
+        }
+
+        const duration = Date.now() - startTime;
+        const metric = this.metrics.get(strategy) || { count: 0, totalMs: 0 };
+        metric.count++;
+        metric.totalMs += duration;
+        this.metrics.set(strategy, metric);
+
+        if (strategy !== 'none') {
+            console.log(`[Reset] ${strategy} took ${duration}ms`);
+        }
+        return duration;
+    }
+
+    /**
+     * Get reset timings per strategy
+     * @returns {Object} { [strategy]: { count, totalMs, averageMs } }
+     */
+    getMetrics() {
+        const metrics = {};
+        for (const [strategy, { count, totalMs }] of this.metrics) {
+            metrics[strategy] = { count, totalMs, averageMs: Math.round(totalMs / count) };
+        }
+        return metrics;
+    }
+
+    /**
+     * Log reset timings per strategy
+     */
+    logSummary() {
+        for (const [strategy, { count, totalMs, averageMs }] of Object.entries(this.getMetrics())) {
+            console.log(`[Reset] ${strategy}: ${count} reset(s), ${totalMs}ms total, ${averageMs}ms average`);
+        }
+    }
+}
+
+// Create singleton instance
+const resetManager = new ResetManager();
+export default resetManager;
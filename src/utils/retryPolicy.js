@@ -0,0 +1,168 @@
+/**
+ * Retry policy for element actions
+ * Retries actions that fail with transient errors (stale references, elements not
+ * interactable during animations) with exponential backoff.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import { FrameworkError } from './errors.js';
+
+// Error names (or message fragments) that are worth retrying by default
+const DEFAULT_RETRYABLE_ERRORS = [
+    'StaleElementReferenceError',
+    'stale element reference',
+    'ElementNotInteractableError',
+    'element not interactable',
+    'ElementClickInterceptedError',
+    'element click intercepted'
+];
+
+class RetryPolicy {
+    constructor(options = {}) {
+        this.options = {
+            maxAttempts: process.env.RETRY_MAX_ATTEMPTS ? parseInt(process.env.RETRY_MAX_ATTEMPTS, 10) : 3,
+            initialDelay: process.env.RETRY_BACKOFF_MS ? parseInt(process.env.RETRY_BACKOFF_MS, 10) : 250,
+            backoffFactor: 2,
+            maxDelay: 2000,
+            retryableErrors: DEFAULT_RETRYABLE_ERRORS,
+            ...options
+        };
+
+        // Tracks per-call overrides and whether an action is already being retried
+        this.context = new AsyncLocalStorage();
+
+        // Hooks that can clear the cause of a failure (e.g. a system dialog over the app)
+        this.recoveryHooks = [];
+    }
+
+    /**
+     * Update the default policy
+     * @param {Object} options - Options to merge (maxAttempts, initialDelay, backoffFactor, maxDelay, retryableErrors)
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Check whether an error should be retried
+     * @param {Error} error - Error thrown by the action
+     * @param {Array<string|Function>} retryableErrors - Error names, message fragments or error classes
+     * @returns {boolean} True if the error is retryable
+     */
+    isRetryable(error, retryableErrors = this.options.retryableErrors) {
+        if (!error) return false;
+
+        const name = (error.name || '').toLowerCase();
+        const message = (error.message || '').toLowerCase();
+
+        return retryableErrors.some(retryable => {
+            if (typeof retryable === 'function') {
+                return error instanceof retryable;
+            }
+            const fragment = retryable.toLowerCase();
+            return name === fragment || message.includes(fragment);
+        });
+    }
+
+    /**
+     * Register a hook that runs when an action fails
+     * A hook resolving to true has recovered from the failure, so the action is retried
+     * even if its error is not retryable.
+     * @param {Function} hook - Async function receiving the error
+     */
+    addRecoveryHook(hook) {
+        this.recoveryHooks.push(hook);
+    }
+
+    /**
+     * Remove a recovery hook
+     * @param {Function} hook - Hook passed to addRecoveryHook()
+     */
+    removeRecoveryHook(hook) {
+        this.recoveryHooks = this.recoveryHooks.filter(registered => registered !== hook);
+    }
+
+    /**
+     * Run an action under the retry policy
+     * Actions nested inside another retried action run once, so retries never multiply.
+     * @param {Function} action - Async action to run
+     * @param {Object} overrides - Policy options for this call
+     * @returns {any} Result of the action
+     */
+    async execute(action, overrides = {}) {
+        const current = this.context.getStore();
+        if (current && current.active) {
+            return action();
+        }
+
+        const options = { ...this.options, ...(current && current.overrides), ...overrides };
+
+        return this.context.run({ active: true, overrides: options }, async () => {
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    return await action();
+                } catch (error) {
+                    if (attempt < options.maxAttempts && await this._recover(error)) {
+                        console.warn(`[Retry] Attempt ${attempt}/${options.maxAttempts} failed (${error.message}), recovered and retrying`);
+                        continue;
+                    }
+
+                    if (attempt >= options.maxAttempts || !this.isRetryable(error, options.retryableErrors)) {
+                        if (error instanceof FrameworkError) {
+                            error.attempts = attempt;
+                        }
+                        throw error;
+                    }
+
+                    const delay = Math.min(
+                        options.initialDelay * Math.pow(options.backoffFactor, attempt - 1),
+                        options.maxDelay
+                    );
+                    console.warn(`[Retry] Attempt ${attempt}/${options.maxAttempts} failed (${error.message}), retrying in ${delay}ms`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        });
+    }
+
+    /**
+     * Run a block with policy overrides applied to every action inside it
+     * @param {Object} overrides - Policy options (e.g. { maxAttempts: 5 })
+     * @param {Function} block - Async function to run
+     * @returns {any} Result of the block
+     */
+    async withOverrides(overrides, block) {
+        const current = this.context.getStore();
+        const merged = { ...(current && current.overrides), ...overrides };
+        return this.context.run({ active: false, overrides: merged }, block);
+    }
+
+    /**
+     * Wrap an action so every call runs under the retry policy
+     * @param {Function} action - Async action
+     * @returns {Function} Wrapped action
+     */
+    wrap(action) {
+        return (...args) => this.execute(() => action(...args));
+    }
+
+    /**
+     * Run the recovery hooks for a failure
+     * @private
+     * @param {Error} error - Error thrown by the action
+     * @returns {boolean} True if a hook recovered from the failure
+     */
+    async _recover(error) {
+        for (const hook of this.recoveryHooks) {
+            try {
+                if (await hook(error)) return true;
+            } catch (hookError) {
+                console.warn(`[Retry] Recovery hook failed: ${hookError.message}`);
+            }
+        }
+        return false;
+    }
+}
+
+// Create singleton instance
+const retryPolicy = new RetryPolicy();
+export default retryPolicy;
@@ -0,0 +1,252 @@
+/**
+ * Self-healing for element lookups
+ * Tries a locator's fallbacks and, optionally, a similarity match against the page source
+ * when the primary selector fails, and records every heal in a report.
+ */
+import fs from 'fs';
+import path from 'path';
+import { Locator, resolveSelector } from '../base/Locator.js';
+import { parsePageSource, getNodeIdentifiers, isNodeVisible } from './pageSource.js';
+
+// Values the similarity match can extract from a selector
+const HINT_PATTERNS = [
+    { key: 'text', pattern: /(?:@text|\.text\(|\blabel\s*==|@label|@value)\s*=?\s*["']([^"']+)["']/ },
+    { key: 'label', pattern: /(?:@content-desc|\.description\(|\bname\s*==|@name)\s*=?\s*["']([^"']+)["']/ },
+    { key: 'resourceId', pattern: /(?:@resource-id|\.resourceId\()\s*=?\s*["']([^"']+)["']/ }
+];
+
+class SelfHealingManager {
+    constructor(options = {}) {
+        this.options = {
+            similarityEnabled: process.env.SELF_HEALING === 'true',
+            threshold: process.env.SELF_HEALING_THRESHOLD ? parseFloat(process.env.SELF_HEALING_THRESHOLD) : 0.8,
+            reportDir: path.resolve(process.cwd(), 'reports', 'self-healing'),
+            ...options
+        };
+    }
+
+    /**
+     * Update healing options
+     * @param {Object} options - Options to merge (similarityEnabled, threshold, reportDir)
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Try to find an element whose primary selector failed
+     * @param {Object} driver - WebdriverIO driver
+     * @param {string|Locator} elementSelector - Selector or locator that failed
+     * @param {string} platform - 'android' or 'ios'
+     * @returns {Object|null} Healed WebdriverIO element or null if nothing matched
+     */
+    async heal(driver, elementSelector, platform) {
+        const locator = typeof elementSelector === 'string' ? null
+            : elementSelector instanceof Locator ? elementSelector : new Locator(elementSelector);
+        const primarySelector = resolveSelector(elementSelector, platform);
+
+        for (const fallback of locator ? locator.resolveFallbacks(platform) : []) {
+            const element = await driver.$(fallback);
+            if (await element.isExisting()) {
+                this._recordHeal({ locator, platform, primarySelector, healedSelector: fallback, strategy: 'fallback' });
+                return element;
+            }
+        }
+
+        if (!this.options.similarityEnabled && !(locator && locator.heal)) {
+            return null;
+        }
+
+        const hints = (locator && locator.hints) || this.extractHints(primarySelector);
+        if (Object.keys(hints).length === 0) {
+            return null;
+        }
+
+        const match = this.findSimilarNode(await driver.getPageSource(), hints, platform);
+        if (!match) {
+            return null;
+        }
+
+        const element = await driver.$(match.selector);
+        if (!(await element.isExisting())) {
+            return null;
+        }
+
+        this._recordHeal({
+            locator,
+            platform,
+            primarySelector,
+            healedSelector: match.selector,
+            strategy: 'similarity',
+            score: Number(match.score.toFixed(3)),
+            matchedOn: match.key
+        });
+        return element;
+    }
+
+    /**
+     * Extract the text, label or resource id a selector is looking for
+     * @param {string} selector - Selector string
+     * @returns {Object} Hints keyed by text, label and resourceId
+     */
+    extractHints(selector) {
+        const hints = {};
+
+        if (selector.startsWith('~')) {
+            hints.label = selector.slice(1);
+        } else if (selector.startsWith('id=')) {
+            hints.resourceId = selector.slice(3);
+        }
+
+        for (const { key, pattern } of HINT_PATTERNS) {
+            const match = selector.match(pattern);
+            if (match && !hints[key]) {
+                hints[key] = match[1];
+            }
+        }
+
+        return hints;
+    }
+
+    /**
+     * Find the visible node that best matches the hints
+     * @param {string} pageSource - Page source XML
+     * @param {Object} hints - Hints keyed by text, label and resourceId
+     * @param {string} platform - 'android' or 'ios'
+     * @returns {{selector: string, score: number, key: string}|null} Best match above the threshold
+     */
+    findSimilarNode(pageSource, hints, platform) {
+        const nodes = parsePageSource(pageSource);
+        const resourceIdCounts = countResourceIds(nodes);
+        let best = null;
+
+        for (const node of nodes.filter(isNodeVisible)) {
+            const identifiers = getNodeIdentifiers(node);
+
+            for (const [key, expected] of Object.entries(hints)) {
+                const actual = identifiers[key];
+                if (!actual) continue;
+
+                const score = key === 'resourceId'
+                    ? similarity(stripPackage(expected), stripPackage(actual))
+                    : similarity(expected, actual);
+
+                if (score >= this.options.threshold && (!best || score > best.score)) {
+                    const selector = buildSelector(node, key, platform, resourceIdCounts);
+                    if (selector) {
+                        best = { selector, score, key };
+                    }
+                }
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Append a heal to the healing report
+     * @param {Object} heal - Heal details
+     * @private
+     */
+    _recordHeal({ locator, ...details }) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            locator: locator ? (locator.name || String(locator)) : null,
+            ...details
+        };
+
+        console.warn(`[Self-Healing] ${entry.primarySelector} healed with ${entry.healedSelector} (${entry.strategy})`);
+
+        try {
+            fs.mkdirSync(this.options.reportDir, { recursive: true });
+            // JSON lines so parallel workers can append to the same report
+            fs.appendFileSync(
+                path.join(this.options.reportDir, 'healing-report.jsonl'),
+                `${JSON.stringify(entry)}\n`
+            );
+        } catch (error) {
+            console.error('Failed to write healing report:', error);
+        }
+    }
+}
+
+/**
+ * Remove the package prefix from an Android resource id
+ * @param {string} resourceId - Resource id (e.g. 'com.app:id/login')
+ * @returns {string} Resource id without package
+ */
+function stripPackage(resourceId) {
+    return resourceId.split(':id/').pop();
+}
+
+/**
+ * Count the nodes of each resource id
+ * @param {Array<Object>} nodes - Parsed page source nodes
+ * @returns {Map<string, number>} Number of nodes by resource id
+ */
+function countResourceIds(nodes) {
+    const counts = new Map();
+    for (const node of nodes) {
+        const { resourceId } = getNodeIdentifiers(node);
+        if (resourceId) {
+            counts.set(resourceId, (counts.get(resourceId) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+/**
+ * Build a selector that targets a node by the identifier that matched
+ * A matched resource id is only used when no other node of the page has it: list rows usually
+ * share one, so the match cannot tell which row the selector was looking for.
+ * @param {Object} node - Parsed page source node
+ * @param {string} key - Identifier that matched: 'text', 'label' or 'resourceId'
+ * @param {string} platform - 'android' or 'ios'
+ * @param {Map<string, number>} resourceIdCounts - Number of nodes by resource id in the page source
+ * @returns {string|null} Selector or null if the node cannot be targeted unambiguously
+ */
+function buildSelector(node, key, platform, resourceIdCounts) {
+    const { text, label, resourceId } = getNodeIdentifiers(node);
+    const quote = value => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+    if (key === 'text') {
+        if (platform !== 'ios') return `android=new UiSelector().text("${quote(text)}")`;
+
+        // The text of an iOS node is its label, or its value when it has no label
+        const attribute = node.attributes.label ? 'label' : 'value';
+        return `-ios predicate string:${attribute} == "${quote(text)}"`;
+    }
+    if (key === 'label') return `~${label}`;
+
+    return resourceIdCounts.get(resourceId) === 1 ? `id=${resourceId}` : null;
+}
+
+/**
+ * Case-insensitive similarity of two strings based on Levenshtein distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+function similarity(a, b) {
+    const left = a.trim().toLowerCase();
+    const right = b.trim().toLowerCase();
+    const longest = Math.max(left.length, right.length);
+
+    if (longest === 0) return 1;
+
+    let previous = Array.from({ length: right.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= left.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= right.length; j++) {
+            const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return 1 - (previous[right.length] / longest);
+}
+
+// Create singleton instance
+const selfHealingManager = new SelfHealingManager();
+export default selfHealingManager;
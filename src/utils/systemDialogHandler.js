@@ -0,0 +1,347 @@
+/**
+ * System Dialog Handler for runtime permission prompts and other system dialogs
+ * Pre-grants permissions through capabilities, detects permission dialogs by type
+ * (location, notifications, camera, ...) and responds with allow, deny, while using or once.
+ * Unexpected dialogs can be dismissed automatically when they make an element action fail.
+ */
+import { AppLifecycle } from './appLifecycle.js';
+import { ContextManager } from './contextManager.js';
+import { SystemDialogError } from './errors.js';
+import { parsePageSource, getNodeIdentifiers } from './pageSource.js';
+import retryPolicy from './retryPolicy.js';
+
+const RESPONSES = ['allow', 'deny', 'whileUsing', 'once'];
+
+// Packages that show runtime permission dialogs on Android (old and new versions)
+const ANDROID_PERMISSION_PACKAGES = [
+    'com.android.permissioncontroller',
+    'com.google.android.permissioncontroller',
+    'com.android.packageinstaller'
+];
+
+// Buttons to try for each response, in order of preference
+const RESPONSE_BUTTONS = {
+    // Android: resource ID names of the permission controller buttons
+    android: {
+        allow: ['permission_allow_button', 'permission_allow_foreground_only_button'],
+        whileUsing: ['permission_allow_foreground_only_button', 'permission_allow_button'],
+        once: ['permission_allow_one_time_button', 'permission_allow_foreground_only_button', 'permission_allow_button'],
+        deny: ['permission_deny_button', 'permission_deny_and_dont_ask_again_button']
+    },
+    // iOS: alert button labels
+    ios: {
+        allow: [/^allow$/i, /^ok$/i, /^allow while using app$/i, /^allow full access$/i, /^allow access to all photos$/i],
+        whileUsing: [/^allow while using app$/i, /^allow$/i, /^ok$/i],
+        once: [/^allow once$/i, /^allow while using app$/i, /^allow$/i],
+        deny: [/^don.t allow$/i, /^ask app not to track$/i, /^not now$/i, /^cancel$/i]
+    }
+};
+
+// Dialog types recognised from the dialog message, checked in order
+const DIALOG_TYPES = [
+    ['tracking', /track your activity/i],
+    ['location', /location/i],
+    ['notifications', /notifications/i],
+    ['camera', /camera|take pictures/i],
+    ['microphone', /microphone|record audio/i],
+    ['photos', /photos|media|images/i],
+    ['contacts', /contacts/i],
+    ['calendar', /calendar/i],
+    ['bluetooth', /bluetooth|nearby devices/i]
+];
+
+class SystemDialogHandler {
+    constructor(options = {}) {
+        this.options = {
+            grantPermissions: process.env.SYSTEM_DIALOG_GRANT_PERMISSIONS === 'true',
+            autoDismiss: process.env.SYSTEM_DIALOG_AUTO_DISMISS === 'true',
+            // Response per dialog type when dismissing automatically; 'default' covers the rest
+            responses: { default: process.env.SYSTEM_DIALOG_RESPONSE || 'allow' },
+            ...options
+        };
+
+        // Retry policy hook installed by enableAutoDismiss()
+        this.recoveryHook = null;
+    }
+
+    /**
+     * Update handler options
+     * @param {Object} options - Options to merge (grantPermissions, autoDismiss, responses)
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Get the capabilities that pre-grant permissions when the session starts
+     * Android grants every permission the app requests; iOS accepts every alert, including
+     * permission prompts.
+     * @param {string} platform - 'android' or 'ios'
+     * @returns {Object} appium:autoGrantPermissions (Android) or appium:autoAcceptAlerts (iOS), if enabled
+     */
+    getSessionCapabilities(platform) {
+        if (!this.options.grantPermissions) return {};
+        return platform === 'ios' ? { 'appium:autoAcceptAlerts': true } : { 'appium:autoGrantPermissions': true };
+    }
+
+    /**
+     * Grant permissions to an app without showing a dialog (iOS: simulators only)
+     * @param {Object} driver - WebdriverIO driver
+     * @param {Array<string>|Object} permissions - Android permission names (e.g. 'android.permission.CAMERA'),
+     *   or iOS services with their access (e.g. { camera: 'yes', location: 'always' })
+     * @param {string} appId - Package name or bundle ID (default: configured app)
+     */
+    async grantPermissions(driver, permissions, appId = new AppLifecycle(driver).getAppId()) {
+        const platform = getPlatform(driver);
+        try {
+            if (platform === 'ios') {
+                await driver.execute('mobile: setPermission', { bundleId: appId, access: permissions });
+            } else {
+                await driver.execute('mobile: changePermissions', { permissions, appPackage: appId, action: 'grant' });
+            }
+        } catch (error) {
+            throw new SystemDialogError(`Granting permissions to ${appId} failed on ${platform}: ${error.message}`, {
+                platform,
+                appId,
+                cause: error
+            });
+        }
+    }
+
+    /**
+     * Get the system dialog on screen
+     * @param {Object} driver - WebdriverIO driver
+     * @returns {Object|null} Dialog { platform, type, message, buttons } or null if none is shown
+     */
+    async detect(driver) {
+        return getPlatform(driver) === 'ios' ? this._detectIOS(driver) : this._detectAndroid(driver);
+    }
+
+    /**
+     * Wait for a system dialog and respond to it
+     * @param {Object} driver - WebdriverIO driver
+     * @param {string} response - 'allow', 'deny', 'whileUsing' or 'once'
+     * @param {Object} options - Response options
+     * @param {string} [options.type] - Expected dialog type (e.g. 'location'); other dialogs fail
+     * @param {number} [options.timeout] - Time to wait for the dialog in ms (default: 5000)
+     * @returns {Object} Dialog that was answered, with the response and button used
+     */
+    async respond(driver, response = 'allow', { type = null, timeout = 5000 } = {}) {
+        const platform = getPlatform(driver);
+        validateResponse(response);
+
+        const dialog = await this._waitForDialog(driver, timeout);
+        if (!dialog) {
+            throw new SystemDialogError(`No system dialog appeared within ${timeout}ms`, {
+                platform,
+                timeout,
+                expectedType: type
+            });
+        }
+        if (type && dialog.type !== type) {
+            throw new SystemDialogError(`Expected a ${type} dialog but found a ${dialog.type} dialog: ${dialog.message}`, {
+                platform,
+                expectedType: type,
+                dialog
+            });
+        }
+
+        return this._answer(driver, dialog, response);
+    }
+
+    /**
+     * Respond to the system dialog on screen, if any
+     * @param {Object} driver - WebdriverIO driver
+     * @param {Object} responses - Response per dialog type, with 'default' for other types
+     * @returns {Object|null} Dialog that was answered, or null if none is shown
+     */
+    async dismiss(driver, responses = this.options.responses) {
+        const dialog = await this.detect(driver);
+        if (!dialog) return null;
+
+        const response = responses[dialog.type] || responses.default || 'allow';
+        validateResponse(response);
+        return this._answer(driver, dialog, response);
+    }
+
+    /**
+     * Dismiss unexpected system dialogs whenever an element action fails
+     * The failed action is retried after a dialog has been dismissed.
+     * @param {Object} driver - WebdriverIO driver
+     * @param {Object} responses - Response per dialog type, with 'default' for other types
+     */
+    enableAutoDismiss(driver, responses = this.options.responses) {
+        this.disableAutoDismiss();
+
+        this.recoveryHook = async () => {
+            const dialog = await this.dismiss(driver, responses);
+            return dialog !== null;
+        };
+        retryPolicy.addRecoveryHook(this.recoveryHook);
+    }
+
+    /**
+     * Stop dismissing system dialogs automatically
+     */
+    disableAutoDismiss() {
+        if (this.recoveryHook) {
+            retryPolicy.removeRecoveryHook(this.recoveryHook);
+            this.recoveryHook = null;
+        }
+    }
+
+    /**
+     * Detect an Android permission dialog from the page source
+     * @private
+     * @param {Object} driver - WebdriverIO driver
+     * @returns {Object|null} Dialog or null
+     */
+    async _detectAndroid(driver) {
+        const nodes = parsePageSource(await driver.getPageSource());
+        const ids = nodes
+            .map(node => getNodeIdentifiers(node))
+            .filter(({ resourceId }) => ANDROID_PERMISSION_PACKAGES.some(pkg => resourceId.startsWith(`${pkg}:id/`)));
+        if (ids.length === 0) return null;
+
+        const messageNode = ids.find(({ resourceId }) => resourceId.endsWith(':id/permission_message'));
+        const message = messageNode ? messageNode.text : '';
+        return {
+            platform: 'android',
+            type: classifyDialog(message),
+            message,
+            buttons: ids
+                .map(({ resourceId }) => resourceId)
+                .filter(resourceId => /:id\/permission_\w*(allow|deny)\w*_button$/.test(resourceId))
+        };
+    }
+
+    /**
+     * Detect an iOS alert through the alert commands
+     * @private
+     * @param {Object} driver - WebdriverIO driver
+     * @returns {Object|null} Dialog or null
+     */
+    async _detectIOS(driver) {
+        let message;
+        try {
+            message = await driver.getAlertText();
+        } catch (error) {
+            // No alert is shown
+            return null;
+        }
+
+        const buttons = await driver.execute('mobile: alert', { action: 'getButtons' });
+        return {
+            platform: 'ios',
+            type: classifyDialog(message),
+            message,
+            buttons
+        };
+    }
+
+    /**
+     * Poll for a dialog until the timeout
+     * @private
+     * @param {Object} driver - WebdriverIO driver
+     * @param {number} timeout - Timeout in ms
+     * @returns {Object|null} Dialog or null
+     */
+    async _waitForDialog(driver, timeout) {
+        const deadline = Date.now() + timeout;
+        for (;;) {
+            const dialog = await this.detect(driver);
+            if (dialog || Date.now() >= deadline) return dialog;
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+    }
+
+    /**
+     * Press the button of a dialog matching a response
+     * @private
+     * @param {Object} driver - WebdriverIO driver
+     * @param {Object} dialog - Detected dialog
+     * @param {string} response - 'allow', 'deny', 'whileUsing' or 'once'
+     * @returns {Object} Dialog with the response and button used
+     */
+    async _answer(driver, dialog, response) {
+        const button = findButton(dialog, response);
+        if (!button) {
+            throw new SystemDialogError(`The ${dialog.type} dialog has no button for "${response}" (buttons: ${dialog.buttons.join(', ')})`, {
+                platform: dialog.platform,
+                response,
+                dialog
+            });
+        }
+
+        try {
+            if (dialog.platform === 'ios') {
+                await driver.execute('mobile: alert', { action: 'accept', buttonLabel: button });
+            } else {
+                // Pages of hybrid apps may have switched to a WebView; the dialog is native
+                const target = driver.unwrappedDriver || driver;
+                await new ContextManager(target).withinNative(() => target.$(`id=${button}`).click());
+            }
+        } catch (error) {
+            throw new SystemDialogError(`Responding "${response}" to the ${dialog.type} dialog failed: ${error.message}`, {
+                platform: dialog.platform,
+                response,
+                dialog,
+                cause: error
+            });
+        }
+
+        console.log(`[System Dialog] Answered ${dialog.type} dialog with "${response}" (${button})`);
+        return { ...dialog, response, button };
+    }
+}
+
+/**
+ * Get the platform a driver is running on
+ * @param {Object} driver - WebdriverIO driver
+ * @returns {string} 'android' or 'ios'
+ */
+function getPlatform(driver) {
+    return driver.isIOS ? 'ios' : 'android';
+}
+
+/**
+ * Check that a response is supported
+ * @param {string} response - Response to check
+ */
+function validateResponse(response) {
+    if (!RESPONSES.includes(response)) {
+        throw new SystemDialogError(`Invalid system dialog response "${response}" (expected one of: ${RESPONSES.join(', ')})`, {
+            response
+        });
+    }
+}
+
+/**
+ * Get the type of a dialog from its message
+ * @param {string} message - Dialog message
+ * @returns {string} Dialog type, or 'other'
+ */
+function classifyDialog(message) {
+    const match = DIALOG_TYPES.find(([, pattern]) => pattern.test(message));
+    return match ? match[0] : 'other';
+}
+
+/**
+ * Find the dialog button for a response
+ * @param {Object} dialog - Detected dialog
+ * @param {string} response - 'allow', 'deny', 'whileUsing' or 'once'
+ * @returns {string|null} Resource ID (Android) or button label (iOS), or null if none matches
+ */
+function findButton(dialog, response) {
+    for (const candidate of RESPONSE_BUTTONS[dialog.platform][response]) {
+        const button = dialog.buttons.find(value => (candidate instanceof RegExp
+            ? candidate.test(value)
+            : value.endsWith(`:id/${candidate}`)));
+        if (button) return button;
+    }
+    return null;
+}
+
+// Create singleton instance
+const systemDialogHandler = new SystemDialogHandler();
+export default systemDialogHandler;
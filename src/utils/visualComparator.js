@@ -0,0 +1,321 @@
+/**
+ * Visual Comparator for screen and element regression checks
+ * Compares screenshots against baselines stored per app, platform and device, with
+ * ignore regions for dynamic content and diff images for mismatches.
+ */
+import fs from 'fs';
+import path from 'path';
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+import allureReporter from '@wdio/allure-reporter';
+import { findElement, findElements, takeScreenshot } from '../base/elementAction.js';
+import { ElementNotFoundError, VisualMismatchError } from './errors.js';
+
+// Ignore region keywords resolved from the device; the clock lives in the status bar
+const STATUS_BAR_REGIONS = ['statusBar', 'clock'];
+
+// Time to wait for elements used as ignore regions
+const IGNORE_ELEMENT_TIMEOUT_MS = 1000;
+
+class VisualComparator {
+    constructor(options = {}) {
+        const appName = process.env.APP_NAME || 'sample_app';
+
+        this.options = {
+            baselineDir: path.resolve(process.cwd(), 'src', 'apps', appName, 'baselines'),
+            outputDir: path.resolve(process.cwd(), 'reports', 'visual'),
+            threshold: process.env.VISUAL_THRESHOLD ? parseFloat(process.env.VISUAL_THRESHOLD) : 0.1,
+            maxDiffRatio: process.env.VISUAL_MAX_DIFF_RATIO ? parseFloat(process.env.VISUAL_MAX_DIFF_RATIO) : 0,
+            updateBaselines: process.env.VISUAL_UPDATE_BASELINES === 'true',
+            ignore: ['statusBar'],
+            ...options
+        };
+    }
+
+    /**
+     * Update comparator options
+     * @param {Object} options - Options to merge (baselineDir, outputDir, threshold, maxDiffRatio, updateBaselines, ignore)
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Compare the whole screen against its baseline
+     * @param {Object} driver - WebdriverIO driver
+     * @param {string} name - Baseline name
+     * @param {Object} options - Options for this check (threshold, maxDiffRatio, ignore)
+     * @returns {Object} Comparison result
+     */
+    async checkScreen(driver, name, options = {}) {
+        return this._check(driver, name, null, options);
+    }
+
+    /**
+     * Compare one element against its baseline
+     * @param {Object} driver - WebdriverIO driver
+     * @param {string|Locator} selector - Element selector or locator
+     * @param {string} name - Baseline name
+     * @param {Object} options - Options for this check (threshold, maxDiffRatio, ignore)
+     * @returns {Object} Comparison result
+     */
+    async checkElement(driver, selector, name, options = {}) {
+        const element = await findElement(driver, selector);
+        return this._check(driver, name, await getElementRect(element), {
+            // The status bar is outside most elements, so nothing is ignored by default
+            ignore: [],
+            ...options
+        });
+    }
+
+    /**
+     * Compare two PNG images, ignoring the given regions
+     * @param {PNG} baseline - Baseline image
+     * @param {PNG} actual - Actual image
+     * @param {Object} options - Comparison options
+     * @param {number} options.threshold - Per-pixel color difference threshold (0 to 1)
+     * @param {Array<Object>} [options.regions] - Regions to ignore, in image pixels {x, y, width, height}
+     * @returns {Object} { diffPixels, diffRatio, diff } or { sizeMismatch: true }
+     */
+    compareImages(baseline, actual, { threshold, regions = [] }) {
+        if (baseline.width !== actual.width || baseline.height !== actual.height) {
+            return { sizeMismatch: true, diffPixels: null, diffRatio: 1, diff: null };
+        }
+
+        const { width, height } = actual;
+        const baselineData = Buffer.from(baseline.data);
+        const actualData = Buffer.from(actual.data);
+        for (const region of regions) {
+            maskRegion(baselineData, width, height, region);
+            maskRegion(actualData, width, height, region);
+        }
+
+        const diff = new PNG({ width, height });
+        const diffPixels = pixelmatch(baselineData, actualData, diff.data, width, height, { threshold });
+
+        return { sizeMismatch: false, diffPixels, diffRatio: diffPixels / (width * height), diff };
+    }
+
+    /**
+     * Capture, compare and report one check
+     * @private
+     * @param {Object} driver - WebdriverIO driver
+     * @param {string} name - Baseline name
+     * @param {Object|null} rect - Element rectangle in screen coordinates, or null for the whole screen
+     * @param {Object} options - Options for this check
+     * @returns {Object} Comparison result
+     */
+    async _check(driver, name, rect, options) {
+        const { threshold, maxDiffRatio, updateBaselines, ignore } = { ...this.options, ...options };
+        const platform = driver.isIOS ? 'ios' : 'android';
+        const device = getDeviceName(driver);
+        const fileName = sanitize(name);
+
+        const baselinePath = path.join(this.options.baselineDir, platform, device, `${fileName}.png`);
+        const outputDir = path.join(this.options.outputDir, platform, device);
+
+        const screenshotName = await takeScreenshot(driver, fileName, outputDir);
+        const actualPath = path.join(outputDir, screenshotName);
+        let actual = PNG.sync.read(fs.readFileSync(actualPath));
+
+        // Screen coordinates are in points on iOS, screenshots are in pixels
+        const { width: screenWidth } = await driver.getWindowSize();
+        const scale = actual.width / screenWidth;
+
+        let regions = await this._resolveIgnoreRegions(driver, ignore, scale, actual.width);
+        if (rect) {
+            const crop = scaleRect(rect, scale);
+            actual = cropImage(actual, crop);
+            regions = regions.map(region => ({ ...region, x: region.x - crop.x, y: region.y - crop.y }));
+            fs.writeFileSync(actualPath, PNG.sync.write(actual));
+        }
+
+        const diagnostics = { platform, device, baselinePath, actualPath, diffPath: null };
+
+        if (updateBaselines || !fs.existsSync(baselinePath)) {
+            fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+            fs.writeFileSync(baselinePath, PNG.sync.write(actual));
+            console.log(`[Visual] ${updateBaselines ? 'Updated' : 'Created'} baseline "${name}": ${baselinePath}`);
+            return { name, ...diagnostics, baselineUpdated: true, diffPixels: 0, diffRatio: 0 };
+        }
+
+        const baseline = PNG.sync.read(fs.readFileSync(baselinePath));
+        const comparison = this.compareImages(baseline, actual, { threshold, regions });
+
+        if (comparison.sizeMismatch) {
+            throw new VisualMismatchError(
+                `Screenshot "${name}" is ${actual.width}x${actual.height} but its baseline is ${baseline.width}x${baseline.height}`,
+                { ...diagnostics, diffRatio: 1 }
+            );
+        }
+
+        const { diffPixels, diffRatio } = comparison;
+        if (diffRatio > maxDiffRatio) {
+            diagnostics.diffPath = path.join(outputDir, screenshotName.replace(/\.png$/, '_diff.png'));
+            fs.writeFileSync(diagnostics.diffPath, PNG.sync.write(comparison.diff));
+
+            this._attach(`Baseline: ${name}`, fs.readFileSync(baselinePath));
+            this._attach(`Actual: ${name}`, fs.readFileSync(actualPath));
+            this._attach(`Diff: ${name}`, fs.readFileSync(diagnostics.diffPath));
+
+            throw new VisualMismatchError(
+                `Screenshot "${name}" differs from its baseline by ${(diffRatio * 100).toFixed(2)}% ` +
+                `(${diffPixels} pixels, allowed ${(maxDiffRatio * 100).toFixed(2)}%). Diff: ${diagnostics.diffPath}`,
+                { ...diagnostics, diffPixels, diffRatio }
+            );
+        }
+
+        return { name, ...diagnostics, baselineUpdated: false, diffPixels, diffRatio };
+    }
+
+    /**
+     * Resolve ignore regions to rectangles in screenshot pixels
+     * @private
+     * @param {Object} driver - WebdriverIO driver
+     * @param {Array<string|Locator|Object>} ignore - 'statusBar', 'clock', selectors, locators or {x, y, width, height} in screen coordinates
+     * @param {number} scale - Screenshot pixels per screen coordinate
+     * @param {number} imageWidth - Screenshot width in pixels
+     * @returns {Array<Object>} Regions {x, y, width, height}
+     */
+    async _resolveIgnoreRegions(driver, ignore, scale, imageWidth) {
+        const regions = [];
+
+        for (const entry of ignore) {
+            if (STATUS_BAR_REGIONS.includes(entry)) {
+                const height = await getStatusBarHeight(driver, scale);
+                regions.push({ x: 0, y: 0, width: imageWidth, height });
+            } else if (entry && typeof entry === 'object' && 'width' in entry && 'height' in entry) {
+                regions.push(scaleRect(entry, scale));
+            } else {
+                let elements;
+                try {
+                    elements = await findElements(driver, entry, IGNORE_ELEMENT_TIMEOUT_MS);
+                } catch (error) {
+                    // Elements that are not on screen have nothing to ignore
+                    if (error instanceof ElementNotFoundError) continue;
+                    throw error;
+                }
+                for (const element of elements) {
+                    regions.push(scaleRect(await getElementRect(element), scale));
+                }
+            }
+        }
+
+        return regions;
+    }
+
+    /**
+     * Attach an image to the Allure report
+     * @private
+     * @param {string} name - Attachment name
+     * @param {Buffer} content - PNG content
+     */
+    _attach(name, content) {
+        try {
+            allureReporter.addAttachment(name, content, 'image/png');
+        } catch (error) {
+            // Allure reporter is not active (e.g. outside the WebdriverIO runner)
+        }
+    }
+}
+
+/**
+ * Get the status bar height in screenshot pixels
+ * @param {Object} driver - WebdriverIO driver
+ * @param {number} scale - Screenshot pixels per screen coordinate
+ * @returns {number} Status bar height
+ */
+async function getStatusBarHeight(driver, scale) {
+    if (driver.isIOS) {
+        const { statusBarSize } = await driver.execute('mobile: deviceScreenInfo');
+        return Math.ceil(statusBarSize.height * scale);
+    }
+
+    // Android reports system bars in pixels
+    const { statusBar } = await driver.getSystemBars();
+    return statusBar.height;
+}
+
+/**
+ * Get the rectangle of an element in screen coordinates
+ * @param {Object} element - WebdriverIO element
+ * @returns {Object} {x, y, width, height}
+ */
+async function getElementRect(element) {
+    const { x, y } = await element.getLocation();
+    const { width, height } = await element.getSize();
+    return { x, y, width, height };
+}
+
+/**
+ * Convert a rectangle from screen coordinates to screenshot pixels
+ * @param {Object} rect - Rectangle {x, y, width, height}
+ * @param {number} scale - Screenshot pixels per screen coordinate
+ * @returns {Object} Scaled rectangle
+ */
+function scaleRect(rect, scale) {
+    return {
+        x: Math.round(rect.x * scale),
+        y: Math.round(rect.y * scale),
+        width: Math.round(rect.width * scale),
+        height: Math.round(rect.height * scale)
+    };
+}
+
+/**
+ * Crop an image to a rectangle, clamped to the image bounds
+ * @param {PNG} image - Source image
+ * @param {Object} rect - Rectangle in image pixels
+ * @returns {PNG} Cropped image
+ */
+function cropImage(image, rect) {
+    const x = Math.max(0, rect.x);
+    const y = Math.max(0, rect.y);
+    const width = Math.min(image.width, rect.x + rect.width) - x;
+    const height = Math.min(image.height, rect.y + rect.height) - y;
+
+    const cropped = new PNG({ width, height });
+    PNG.bitblt(image, cropped, x, y, width, height, 0, 0);
+    return cropped;
+}
+
+/**
+ * Paint a region of RGBA image data black so it never differs
+ * @param {Buffer} data - RGBA image data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} region - Region in image pixels
+ */
+function maskRegion(data, width, height, region) {
+    const startX = Math.max(0, region.x);
+    const startY = Math.max(0, region.y);
+    const endX = Math.min(width, region.x + region.width);
+    const endY = Math.min(height, region.y + region.height);
+
+    for (let y = startY; y < endY; y++) {
+        data.fill(0, (y * width + startX) * 4, (y * width + endX) * 4);
+    }
+}
+
+/**
+ * Get a directory-safe device name for baselines
+ * @param {Object} driver - WebdriverIO driver
+ * @returns {string} Device name
+ */
+function getDeviceName(driver) {
+    const capabilities = driver.capabilities || {};
+    return sanitize(capabilities.deviceName || capabilities['appium:deviceName'] || 'default');
+}
+
+/**
+ * Make a name safe to use as a file or directory name
+ * @param {string} name - Name
+ * @returns {string} Sanitized name
+ */
+function sanitize(name) {
+    return name.replace(/[^\w.-]+/g, '_');
+}
+
+// Create singleton instance
+const visualComparator = new VisualComparator();
+export default visualComparator;
@@ -0,0 +1,205 @@
+/**
+ * Fair wait queue shared by parallel workers
+ *
+ * Tests that find no free device wait in a queue file instead of failing. Waiters are
+ * served by priority, then in arrival order, separately for each group (e.g. platform).
+ * Entries of workers that died while waiting are dropped, and the time spent waiting
+ * is recorded per group for metrics.
+ */
+import os from 'os';
+import { withFileLock, readJson, writeJsonAtomic, isProcessAlive } from './fileLock.js';
+import { DeviceAllocationError } from './errors.js';
+
+// Priority levels, served in this order
+export const PRIORITIES = ['high', 'normal', 'low'];
+
+// Time after which an entry that its worker stopped refreshing is dropped
+const DEFAULT_ENTRY_TTL_MS = 60000;
+
+export class WaitQueue {
+    /**
+     * @param {string} queuePath - Path of the shared queue file
+     * @param {Object} options - Queue options
+     * @param {number} [options.entryTtl] - Time after which an entry that was not refreshed is dropped in ms (default: 60000)
+     */
+    constructor(queuePath, options = {}) {
+        this.queuePath = queuePath;
+        this.mutexPath = `${queuePath}.lock`;
+        this.options = {
+            entryTtl: DEFAULT_ENTRY_TTL_MS,
+            ...options
+        };
+    }
+
+    /**
+     * Update queue options
+     * @param {Object} options - Options to merge (entryTtl)
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Join the queue, or refresh the entry of a waiter that already joined
+     * Waiters call this on every poll; entries that are not refreshed expire.
+     * @param {string} id - Waiter ID (e.g. test ID)
+     * @param {string} group - Group the waiter queues in (e.g. 'android')
+     * @param {string} priority - 'high', 'normal' or 'low'
+     * @param {Object} data - Data other waiters can see (e.g. device requirements)
+     * @returns {Promise<{position: number, length: number, ahead: Array<Object>}>} Position of the waiter
+     *   (0 is next), waiters in the group and the entries of the waiters served before it
+     */
+    async join(id, group, priority = 'normal', data = {}) {
+        validatePriority(priority);
+
+        return this._update(queue => {
+            const now = new Date().toISOString();
+            const entry = queue.entries.find(item => item.id === id);
+            if (entry) {
+                entry.seenAt = now;
+            } else {
+                queue.entries.push({ id, group, priority, data, pid: process.pid, host: os.hostname(), enqueuedAt: now, seenAt: now });
+            }
+
+            const waiters = getGroupOrder(queue.entries, group);
+            const position = waiters.findIndex(item => item.id === id);
+            return { position, length: waiters.length, ahead: waiters.slice(0, position) };
+        });
+    }
+
+    /**
+     * Leave the queue
+     * @param {string} id - Waiter ID
+     * @param {string} outcome - 'allocated' or 'timeout' to record the wait in the metrics;
+     *   omit when the wait was abandoned for another reason
+     * @returns {Promise<number>} Time spent in the queue in ms (0 if the waiter was not queued)
+     */
+    async leave(id, outcome = null) {
+        return this._update(queue => {
+            const index = queue.entries.findIndex(item => item.id === id);
+            if (index === -1) return 0;
+
+            const [entry] = queue.entries.splice(index, 1);
+            const waitMs = Date.now() - Date.parse(entry.enqueuedAt);
+            if (outcome) {
+                recordWait(queue.stats, entry.group, waitMs, outcome);
+            }
+            return waitMs;
+        });
+    }
+
+    /**
+     * Get the waiters of every group in the order they are served
+     * @returns {Array<Object>} Entries { id, group, priority, data, pid, host, enqueuedAt, seenAt }
+     */
+    getEntries() {
+        const { entries } = this._read();
+        const groups = [...new Set(entries.map(entry => entry.group))];
+        return groups.flatMap(group => getGroupOrder(entries, group));
+    }
+
+    /**
+     * Get the wait time metrics of every group
+     * @returns {Object} Metrics by group { requests, timedOut, totalWaitMs, maxWaitMs, averageWaitMs }
+     */
+    getMetrics() {
+        const { stats } = this._read();
+        return Object.fromEntries(Object.entries(stats).map(([group, stat]) => [group, {
+            ...stat,
+            averageWaitMs: stat.requests > 0 ? Math.round(stat.totalWaitMs / stat.requests) : 0
+        }]));
+    }
+
+    /**
+     * Remove all waiters and metrics (before a run starts)
+     */
+    async reset() {
+        await withFileLock(this.mutexPath, () => writeJsonAtomic(this.queuePath, { entries: [], stats: {} }));
+    }
+
+    /**
+     * Read the queue, drop expired entries, apply a change and write the result
+     * @private
+     * @param {Function} change - Function receiving the queue; its result is returned
+     * @returns {Promise<any>} Result of the change
+     */
+    async _update(change) {
+        return withFileLock(this.mutexPath, () => {
+            const queue = this._read();
+            const result = change(queue);
+            writeJsonAtomic(this.queuePath, queue);
+            return result;
+        });
+    }
+
+    /**
+     * Read the queue without the entries of workers that are gone
+     * @private
+     * @returns {{entries: Array<Object>, stats: Object}} Queue
+     */
+    _read() {
+        const queue = readJson(this.queuePath, null) || {};
+        const now = Date.now();
+        const entries = (queue.entries || []).filter(entry => {
+            if (entry.host === os.hostname() && !isProcessAlive(entry.pid)) return false;
+            return now - Date.parse(entry.seenAt) <= this.options.entryTtl;
+        });
+        return { entries, stats: queue.stats || {} };
+    }
+}
+
+/**
+ * Get the priority of a test from tags in its title
+ * `@priority:<level>` sets the level explicitly; `@smoke` tests are served first.
+ * @param {string} title - Full test title
+ * @param {string} fallback - Priority of untagged tests (default: DEVICE_QUEUE_PRIORITY or 'normal')
+ * @returns {string} 'high', 'normal' or 'low'
+ */
+export function getTestPriority(title = '', fallback = process.env.DEVICE_QUEUE_PRIORITY || 'normal') {
+    const tag = /@priority:(\w+)/.exec(title);
+    if (tag && PRIORITIES.includes(tag[1])) return tag[1];
+    if (/@smoke\b/.test(title)) return 'high';
+    return fallback;
+}
+
+/**
+ * Get the waiters of a group in the order they are served: by priority, then by arrival
+ * @param {Array<Object>} entries - Queue entries in arrival order
+ * @param {string} group - Group
+ * @returns {Array<Object>} Entries of the group
+ */
+function getGroupOrder(entries, group) {
+    // Array.prototype.sort is stable, so arrival order is kept within a priority
+    return entries
+        .filter(entry => entry.group === group)
+        .sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority));
+}
+
+/**
+ * Add a wait to the metrics of a group
+ * @param {Object} stats - Metrics by group
+ * @param {string} group - Group
+ * @param {number} waitMs - Time spent waiting in ms
+ * @param {string} outcome - 'allocated' or 'timeout'
+ */
+function recordWait(stats, group, waitMs, outcome) {
+    const stat = stats[group] || { requests: 0, timedOut: 0, totalWaitMs: 0, maxWaitMs: 0 };
+    stat.requests++;
+    if (outcome === 'timeout') stat.timedOut++;
+    stat.totalWaitMs += waitMs;
+    stat.maxWaitMs = Math.max(stat.maxWaitMs, waitMs);
+    stats[group] = stat;
+}
+
+/**
+ * Check that a priority is supported
+ * @param {string} priority - Priority to check
+ */
+function validatePriority(priority) {
+    if (!PRIORITIES.includes(priority)) {
+        throw new DeviceAllocationError(
+            `Invalid queue priority "${priority}" (expected one of: ${PRIORITIES.join(', ')})`,
+            { priority }
+        );
+    }
+}
@@ -0,0 +1,97 @@
+import { expect } from 'chai';
+import { fork } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { acquireLock, readJson } from '../../src/utils/fileLock.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WORKER = path.join(__dirname, 'fixtures', 'allocationWorker.js');
+
+/**
+ * Run allocation workers in a directory and collect their reports
+ * @param {string} cwd - Directory holding the shared lock file
+ * @param {number} workers - Number of worker processes
+ * @param {Array<string>} args - Worker arguments (iterations, hold time)
+ * @returns {Promise<Array<Object>>} Reports { pid, conflicts }
+ */
+function runWorkers(cwd, workers, args) {
+    return Promise.all(Array.from({ length: workers }, () => new Promise((resolve, reject) => {
+        const child = fork(WORKER, args, { cwd, stdio: ['ignore', 'ignore', 'pipe', 'ipc'] });
+        let report = null;
+        let stderr = '';
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('message', message => { report = message; });
+        child.on('exit', code => (code === 0 && report
+            ? resolve(report)
+            : reject(new Error(`Worker ${child.pid} exited with code ${code}: ${stderr}`))));
+    })));
+}
+
+describe('Device allocation across processes', function () {
+    this.timeout(120000);
+
+    let lockDir;
+
+    beforeEach(function () {
+        lockDir = fs.mkdtempSync(path.join(os.tmpdir(), 'device-locks-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(lockDir, { recursive: true, force: true });
+    });
+
+    it('never gives one device to two processes at once', async function () {
+        const reports = await runWorkers(lockDir, 6, ['20', '5']);
+
+        expect(reports.flatMap(report => report.conflicts)).to.deep.equal([]);
+        expect(readJson(path.join(lockDir, 'device-locks.json'), {})).to.deep.equal({});
+    });
+
+    it('takes over a lock file left by a crashed process', async function () {
+        const lockPath = path.join(lockDir, 'device-locks.json.lock');
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: 999999, host: os.hostname(), acquiredAt: '2020-01-01T00:00:00.000Z' }));
+        const past = new Date(Date.now() - 60000);
+        fs.utimesSync(lockPath, past, past);
+
+        const release = await acquireLock(lockPath, { timeout: 1000, staleMs: 30000 });
+
+        expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).to.equal(process.pid);
+        release();
+        expect(fs.existsSync(lockPath)).to.equal(false);
+    });
+
+    it('waits for a fresh lock file instead of taking it over', async function () {
+        const lockPath = path.join(lockDir, 'device-locks.json.lock');
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: 999999, host: os.hostname(), acquiredAt: new Date().toISOString() }));
+
+        let error;
+        try {
+            await acquireLock(lockPath, { timeout: 200, staleMs: 30000 });
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error.message).to.match(/Timed out after 200ms/);
+        expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).to.equal(999999);
+    });
+
+    it('reclaims devices locked by a process that is gone', async function () {
+        fs.writeFileSync(path.join(lockDir, 'device-locks.json'), JSON.stringify({
+            crashed: {
+                platform: 'android',
+                deviceId: 'emulator-5554',
+                pid: 999999,
+                host: os.hostname(),
+                timestamp: new Date().toISOString(),
+                heartbeat: new Date().toISOString(),
+                ttl: 120000
+            }
+        }));
+
+        const reports = await runWorkers(lockDir, 3, ['5', '5']);
+
+        expect(reports.flatMap(report => report.conflicts)).to.deep.equal([]);
+        expect(readJson(path.join(lockDir, 'device-locks.json'), {})).to.deep.equal({});
+    });
+});
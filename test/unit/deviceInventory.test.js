@@ -0,0 +1,193 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveInventoryPath, loadDeviceInventory, validateInventory } from '../../src/utils/deviceInventory.js';
+import { DeviceInventoryError } from '../../src/utils/errors.js';
+
+const LOCAL_YAML = `android:
+  - id: emulator-5554
+    deviceName: Pixel 5
+    platformVersion: "12.0"
+    tags: [biometrics]
+    attributes:
+      manufacturer: Google
+    capabilities:
+      appium:systemPort: 8200
+  - id: emulator-5556
+    deviceName: Pixel 4
+    enabled: false
+ios:
+  - udid: A4951C44
+    deviceName: iPhone 15
+`;
+
+const LAB_JSON = JSON.stringify({
+    android: [{ id: 'R58M123ABC', deviceName: 'Galaxy S21', formFactor: 'phone', proxyClient: '192.168.1.23' }]
+});
+
+/**
+ * Load an inventory expecting it to fail
+ * @param {string} name - Inventory name or file path
+ * @returns {DeviceInventoryError} Error thrown by the loader
+ */
+function loadInvalid(name) {
+    try {
+        loadDeviceInventory(name);
+    } catch (error) {
+        return error;
+    }
+    throw new Error(`Inventory ${name} loaded without errors`);
+}
+
+describe('Device inventory', function () {
+    const env = {};
+    let originalCwd;
+    let workDir;
+
+    /**
+     * Write a file into the inventory directory of the working directory
+     * @param {string} fileName - File name in config/devices
+     * @param {string} content - File content
+     */
+    function writeInventory(fileName, content) {
+        fs.writeFileSync(path.join(workDir, 'config', 'devices', fileName), content);
+    }
+
+    beforeEach(function () {
+        for (const name of ['DEVICE_INVENTORY', 'APP_ENV']) {
+            env[name] = process.env[name];
+            delete process.env[name];
+        }
+        originalCwd = process.cwd();
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'device-inventory-'));
+        fs.mkdirSync(path.join(workDir, 'config', 'devices'), { recursive: true });
+        process.chdir(workDir);
+    });
+
+    afterEach(function () {
+        process.chdir(originalCwd);
+        fs.rmSync(workDir, { recursive: true, force: true });
+        for (const [name, value] of Object.entries(env)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+    });
+
+    describe('lookup', function () {
+        it('uses DEVICE_INVENTORY, then the APP_ENV inventory, then the local one', function () {
+            writeInventory('local.yaml', LOCAL_YAML);
+            writeInventory('staging.yml', LOCAL_YAML);
+            writeInventory('lab-berlin.json', LAB_JSON);
+            const devicesDir = path.join(workDir, 'config', 'devices');
+
+            expect(resolveInventoryPath()).to.equal(path.join(devicesDir, 'local.yaml'));
+
+            process.env.APP_ENV = 'staging';
+            expect(resolveInventoryPath()).to.equal(path.join(devicesDir, 'staging.yml'));
+
+            process.env.DEVICE_INVENTORY = 'lab-berlin';
+            expect(resolveInventoryPath()).to.equal(path.join(devicesDir, 'lab-berlin.json'));
+        });
+
+        it('accepts a file path', function () {
+            fs.writeFileSync(path.join(workDir, 'devices.json'), LAB_JSON);
+            process.env.DEVICE_INVENTORY = './devices.json';
+
+            expect(resolveInventoryPath()).to.equal(path.join(workDir, 'devices.json'));
+        });
+
+        it('lists the files it looked for when none exists', function () {
+            process.env.DEVICE_INVENTORY = 'lab-paris';
+
+            const error = loadInvalid();
+            expect(error).to.be.instanceOf(DeviceInventoryError);
+            expect(error.message).to.equal('No device inventory found (looked for config/devices/lab-paris.json, config/devices/lab-paris.yaml, config/devices/lab-paris.yml)');
+            expect(error.candidates).to.have.lengthOf(3);
+        });
+    });
+
+    describe('loading', function () {
+        it('loads the enabled devices of a YAML inventory with their attributes as properties', function () {
+            writeInventory('local.yaml', LOCAL_YAML);
+
+            expect(loadDeviceInventory()).to.deep.equal({
+                android: [{
+                    manufacturer: 'Google',
+                    id: 'emulator-5554',
+                    deviceName: 'Pixel 5',
+                    platformVersion: '12.0',
+                    tags: ['biometrics'],
+                    capabilities: { 'appium:systemPort': 8200 }
+                }],
+                ios: [{ udid: 'A4951C44', deviceName: 'iPhone 15', tags: [], capabilities: {} }]
+            });
+        });
+
+        it('loads a JSON inventory', function () {
+            writeInventory('lab-berlin.json', LAB_JSON);
+
+            expect(loadDeviceInventory('lab-berlin').android).to.deep.equal([{
+                id: 'R58M123ABC',
+                deviceName: 'Galaxy S21',
+                formFactor: 'phone',
+                proxyClient: '192.168.1.23',
+                tags: [],
+                capabilities: {}
+            }]);
+        });
+
+        it('reports files that cannot be parsed', function () {
+            writeInventory('broken.yaml', 'android:\n  - id: [unclosed\n');
+            writeInventory('broken-json.json', '{"android": [');
+
+            for (const name of ['broken', 'broken-json']) {
+                const error = loadInvalid(name);
+                expect(error).to.be.instanceOf(DeviceInventoryError);
+                expect(error.message).to.match(new RegExp(`^Device inventory config/devices/${name}\\.\\w+ could not be read: `));
+                expect(error.cause).to.be.an('error');
+            }
+        });
+
+        it('lists every problem of an invalid inventory with the path of the field', function () {
+            writeInventory('local.yaml', `android:
+  - id: emulator-5554
+    platformVersion: 12.0
+    formFactor: watch
+    serial: emulator-5554
+  - id: emulator-5554
+    deviceName: Pixel 4
+    tags: [1]
+ios:
+  - deviceName: iPhone 15
+`);
+
+            const error = loadInvalid();
+            expect(error).to.be.instanceOf(DeviceInventoryError);
+            expect(error.source).to.equal(path.join('config', 'devices', 'local.yaml'));
+            expect(error.errors).to.deep.equal([
+                'android[0].deviceName: required on android',
+                'android[0].platformVersion: expected string, got number 12; quote versions in YAML, e.g. "12.0"',
+                'android[0].formFactor: "watch" is not one of phone, tablet',
+                'android[0].serial: unknown field (custom properties go under attributes, Appium capabilities under capabilities)',
+                'android[1].tags: expected a list of strings',
+                'android[1]: duplicate device emulator-5554 (also android[0])',
+                'ios[0].udid: required on ios (device UDID)'
+            ]);
+        });
+    });
+
+    describe('validation', function () {
+        it('rejects unknown platforms and non-list device entries', function () {
+            expect(validateInventory({ windows: [], android: {} })).to.deep.equal([
+                'windows: unknown platform (expected android or ios)',
+                'android: expected a list of devices, got object'
+            ]);
+            expect(validateInventory([])).to.deep.equal(['expected an object with android and ios device lists, got array']);
+            expect(validateInventory({ ios: ['iPhone'] })).to.deep.equal(['ios[0]: expected a device object, got string']);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+import { expect } from 'chai';
+import { satisfiesVersion, rankDevices, pickDevice } from '../../src/utils/deviceMatcher.js';
+import { DeviceAllocationError } from '../../src/utils/errors.js';
+
+const POOL = [
+    { id: 'pixel-tablet', platformVersion: '14', formFactor: 'tablet', tags: ['biometrics', 'nfc'] },
+    { id: 'pixel-8', platformVersion: '14.1', tags: ['biometrics'] },
+    { id: 'pixel-5', platformVersion: '12.0' },
+    { id: 'farm-13', capabilities: { 'appium:platformVersion': '13' } }
+];
+
+describe('Device version ranges', function () {
+    it('checks comparator ranges including the sub-versions of their bounds', function () {
+        expect(satisfiesVersion('14.2', '>=14')).to.be.true;
+        expect(satisfiesVersion('13.9', '>=14')).to.be.false;
+        expect(satisfiesVersion('16.4', '<=16')).to.be.true;
+        expect(satisfiesVersion('16.0', '<16')).to.be.false;
+        expect(satisfiesVersion('15.1', '>=14 <16')).to.be.true;
+        expect(satisfiesVersion('16', '>=14 <16')).to.be.false;
+        expect(satisfiesVersion('14.0.1', '>14')).to.be.false;
+    });
+
+    it('checks hyphen ranges as inclusive bounds', function () {
+        expect(satisfiesVersion('13', '13-15')).to.be.true;
+        expect(satisfiesVersion('15.7', '13 - 15')).to.be.true;
+        expect(satisfiesVersion('12.1', '13-15')).to.be.false;
+        expect(satisfiesVersion('16', '13.x-15.x')).to.be.false;
+    });
+
+    it('matches a version and its sub-versions for a plain or .x version', function () {
+        expect(satisfiesVersion('15', '15')).to.be.true;
+        expect(satisfiesVersion('15.4.1', '15.x')).to.be.true;
+        expect(satisfiesVersion('15.4', '15.4.x')).to.be.true;
+        expect(satisfiesVersion('15.5', '15.4.x')).to.be.false;
+        expect(satisfiesVersion('16.0', '15.x')).to.be.false;
+    });
+
+    it('rejects invalid ranges', function () {
+        expect(() => satisfiesVersion('14', '~14')).to.throw(DeviceAllocationError, 'Invalid platformVersion range "~14"');
+    });
+});
+
+describe('Device ranking', function () {
+    it('returns matching devices with the fewest extra tags first and explains rejections', function () {
+        const { matches, rejections } = rankDevices(POOL, { platformVersion: '>=14', tags: ['biometrics'] });
+
+        expect(matches.map(device => device.id)).to.deep.equal(['pixel-8', 'pixel-tablet']);
+        expect(rejections).to.deep.equal([
+            { deviceId: 'pixel-5', reasons: ['platformVersion 12.0 is not >=14', 'missing tags biometrics'] },
+            { deviceId: 'farm-13', reasons: ['platformVersion 13 is not >=14', 'missing tags biometrics'] }
+        ]);
+    });
+
+    it('reads device properties from Appium capabilities and treats devices as phones by default', function () {
+        const { matches, rejections } = rankDevices(POOL, { platformVersion: '13-14', formFactor: 'phone' });
+
+        expect(matches.map(device => device.id)).to.deep.equal(['farm-13', 'pixel-8']);
+        expect(rejections.map(rejection => rejection.deviceId)).to.deep.equal(['pixel-tablet', 'pixel-5']);
+        expect(rejections[0].reasons).to.deep.equal(['tablet is not a phone']);
+    });
+});
+
+describe('Device picking', function () {
+    it('picks the best matching free device', function () {
+        expect(pickDevice(POOL, { tags: ['biometrics'] }).id).to.equal('pixel-8');
+        expect(pickDevice(POOL, { tags: ['lidar'] })).to.be.null;
+    });
+
+    it('leaves devices for the waiters ahead that can use them', function () {
+        const free = POOL.filter(device => device.id === 'pixel-8' || device.id === 'pixel-5');
+
+        // One waiter ahead could take either device, so one is left for this test,
+        // the one without tags it did not ask for
+        expect(pickDevice(free, {}, [{ platformVersion: '>=12' }]).id).to.equal('pixel-5');
+
+        // Two waiters ahead can use both devices
+        expect(pickDevice(free, {}, [{}, {}])).to.be.null;
+
+        // Waiters ahead that need another device do not hold this test back
+        expect(pickDevice(free, { tags: ['biometrics'] }, [{ formFactor: 'tablet' }]).id).to.equal('pixel-8');
+    });
+});
@@ -0,0 +1,45 @@
+/**
+ * Worker process for the device allocation tests
+ * Runs in a temporary directory holding the shared lock file, allocates devices in a loop
+ * and marks each device as held with an exclusive file, so a device held by two workers
+ * at once is detected.
+ *
+ * Arguments: <iterations> <holdMs>
+ */
+import fs from 'fs';
+import path from 'path';
+import deviceManager from '../../../src/utils/deviceManager.js';
+
+const [iterations = '20', holdMs = '5'] = process.argv.slice(2);
+
+// Shared pool of the test, in the same order in every worker
+const POOL = [
+    { id: 'emulator-5554', deviceName: 'Pixel 5' },
+    { id: 'emulator-5556', deviceName: 'Pixel 4' },
+    { id: 'emulator-5558', deviceName: 'Pixel 3' }
+];
+
+deviceManager.configure({ queuePollInterval: 10 });
+deviceManager.initializeDevicePool(POOL, []);
+
+const conflicts = [];
+for (let i = 0; i < Number(iterations); i++) {
+    const testId = `${process.pid}-${i}`;
+    const device = await deviceManager.allocateDevice('android', testId, { timeout: 30000 });
+
+    // Creating the marker fails if another worker holds the same device
+    const marker = path.resolve(process.cwd(), `held-${device.id}`);
+    try {
+        fs.writeFileSync(marker, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+        conflicts.push(`${device.id} was also held by pid ${fs.readFileSync(marker, 'utf8')}`);
+        await deviceManager.releaseDevice(testId);
+        continue;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, Number(holdMs)));
+    fs.unlinkSync(marker);
+    await deviceManager.releaseDevice(testId);
+}
+
+process.send({ pid: process.pid, conflicts });
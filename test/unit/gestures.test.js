@@ -0,0 +1,146 @@
+import { expect } from 'chai';
+import { performGesture, tap, longPress, swipe, pinch, rotate } from '../../src/base/gestures.js';
+import { GestureError } from '../../src/utils/errors.js';
+
+/**
+ * Create a driver that records the W3C actions it receives
+ * @param {Error} error - Error performActions rejects with (optional)
+ * @returns {Object} Driver with the recorded `performed` payloads and `released` count
+ */
+function createRecordingDriver(error = null) {
+    return {
+        performed: [],
+        released: 0,
+        async performActions(actions) {
+            if (error) throw error;
+            this.performed.push(actions);
+        },
+        async releaseActions() {
+            this.released++;
+        }
+    };
+}
+
+/**
+ * Build a W3C touch pointer input source
+ * @param {string} id - Pointer id
+ * @param {Array<Object>} actions - Pointer actions
+ * @returns {Object} Input source
+ */
+function touchPointer(id, actions) {
+    return { type: 'pointer', id, parameters: { pointerType: 'touch' }, actions };
+}
+
+describe('Gesture W3C payloads', function () {
+    it('sends a tap as move, press, short pause and release', async function () {
+        const driver = createRecordingDriver();
+        await performGesture(driver, tap({ x: 100.4, y: 200.6 }));
+
+        expect(driver.performed).to.deep.equal([[
+            touchPointer('finger1', [
+                { type: 'pointerMove', duration: 0, origin: 'viewport', x: 100, y: 201 },
+                { type: 'pointerDown', button: 0 },
+                { type: 'pause', duration: 50 },
+                { type: 'pointerUp', button: 0 }
+            ])
+        ]]);
+        expect(driver.released).to.equal(1);
+    });
+
+    it('holds a long press for the given duration', async function () {
+        const driver = createRecordingDriver();
+        await performGesture(driver, longPress({ x: 50, y: 60 }, 1500));
+
+        expect(driver.performed).to.deep.equal([[
+            touchPointer('finger1', [
+                { type: 'pointerMove', duration: 0, origin: 'viewport', x: 50, y: 60 },
+                { type: 'pointerDown', button: 0 },
+                { type: 'pause', duration: 1500 },
+                { type: 'pointerUp', button: 0 }
+            ])
+        ]]);
+    });
+
+    it('sends a swipe as press, hold, timed move and release', async function () {
+        const driver = createRecordingDriver();
+        await performGesture(driver, swipe({ x: 200, y: 800 }, { x: 200, y: 300 }, 600));
+
+        expect(driver.performed).to.deep.equal([[
+            touchPointer('finger1', [
+                { type: 'pointerMove', duration: 0, origin: 'viewport', x: 200, y: 800 },
+                { type: 'pointerDown', button: 0 },
+                { type: 'pause', duration: 100 },
+                { type: 'pointerMove', duration: 600, origin: 'viewport', x: 200, y: 300 },
+                { type: 'pointerUp', button: 0 }
+            ])
+        ]]);
+    });
+
+    it('moves two fingers apart along the pinch axis', async function () {
+        const driver = createRecordingDriver();
+        await performGesture(driver, pinch({ x: 500, y: 500 }, 100, 300, 500));
+
+        expect(driver.performed).to.deep.equal([[
+            touchPointer('finger1', [
+                { type: 'pointerMove', duration: 0, origin: 'viewport', x: 600, y: 500 },
+                { type: 'pointerDown', button: 0 },
+                { type: 'pause', duration: 100 },
+                { type: 'pointerMove', duration: 500, origin: 'viewport', x: 800, y: 500 },
+                { type: 'pointerUp', button: 0 }
+            ]),
+            touchPointer('finger2', [
+                { type: 'pointerMove', duration: 0, origin: 'viewport', x: 400, y: 500 },
+                { type: 'pointerDown', button: 0 },
+                { type: 'pause', duration: 100 },
+                { type: 'pointerMove', duration: 500, origin: 'viewport', x: 200, y: 500 },
+                { type: 'pointerUp', button: 0 }
+            ])
+        ]]);
+    });
+
+    it('moves two opposite fingers along the arc of a rotation', async function () {
+        const driver = createRecordingDriver();
+        await performGesture(driver, rotate({ x: 500, y: 500 }, 100, 90, 800, 2));
+
+        expect(driver.performed).to.deep.equal([[
+            touchPointer('finger1', [
+                { type: 'pointerMove', duration: 0, origin: 'viewport', x: 600, y: 500 },
+                { type: 'pointerDown', button: 0 },
+                { type: 'pause', duration: 100 },
+                { type: 'pointerMove', duration: 400, origin: 'viewport', x: 571, y: 571 },
+                { type: 'pointerMove', duration: 400, origin: 'viewport', x: 500, y: 600 },
+                { type: 'pointerUp', button: 0 }
+            ]),
+            touchPointer('finger2', [
+                { type: 'pointerMove', duration: 0, origin: 'viewport', x: 400, y: 500 },
+                { type: 'pointerDown', button: 0 },
+                { type: 'pause', duration: 100 },
+                { type: 'pointerMove', duration: 400, origin: 'viewport', x: 429, y: 429 },
+                { type: 'pointerMove', duration: 400, origin: 'viewport', x: 500, y: 400 },
+                { type: 'pointerUp', button: 0 }
+            ])
+        ]]);
+    });
+
+    it('rejects a rotation without steps', function () {
+        expect(() => rotate({ x: 500, y: 500 }, 100, 90, 800, 0))
+            .to.throw(GestureError, 'Rotation steps must be a positive integer, got: 0');
+        expect(() => rotate({ x: 500, y: 500 }, 100, 90, 800, 2.5)).to.throw(GestureError);
+    });
+
+    it('releases the pointers and throws a GestureError when the driver rejects the actions', async function () {
+        const driver = createRecordingDriver(new Error('invalid argument'));
+
+        let error;
+        try {
+            await performGesture(driver, tap({ x: 1, y: 1 }));
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).to.be.instanceOf(GestureError);
+        expect(error.message).to.equal('Failed to perform gesture: invalid argument');
+        expect(error.fingers).to.equal(1);
+        expect(driver.released).to.equal(1);
+    });
+});
@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+import { by, locator, resolveSelector, Locator } from '../../src/base/Locator.js';
+import { LocatorError } from '../../src/utils/errors.js';
+
+/**
+ * Resolve a locator expecting it to fail
+ * @param {Function} resolve - Function resolving the locator
+ * @returns {LocatorError} Error thrown by the locator
+ */
+function resolveInvalid(resolve) {
+    try {
+        resolve();
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Locator resolved without errors');
+}
+
+describe('Locator resolution', function () {
+    it('resolves the variant of the platform, then the default', function () {
+        const login = locator({ android: by.id('com.app:id/login'), default: by.accessibilityId('login') });
+
+        expect(login.resolve('android')).to.equal('id=com.app:id/login');
+        expect(login.resolve('ios')).to.equal('~login');
+    });
+
+    it('throws a LocatorError naming the available variants when the platform has none', function () {
+        const error = resolveInvalid(() => locator({ android: '~login' }).resolve('ios'));
+
+        expect(error).to.be.instanceOf(LocatorError);
+        expect(error.message).to.equal('Locator { android: ~login } has no ios variant (available: android)');
+        expect(error).to.include({ selector: '{ android: ~login }', platform: 'ios' });
+
+        const named = resolveInvalid(() => locator({ name: 'Login button' }).resolve('android'));
+        expect(named.message).to.equal('Locator "Login button" has no android variant (available: none)');
+    });
+
+    it('rejects unknown platforms', function () {
+        const error = resolveInvalid(() => locator({ default: '~login' }).resolve('windows'));
+
+        expect(error).to.be.instanceOf(LocatorError);
+        expect(error.message).to.equal('Unknown platform "windows" for locator { default: ~login }');
+    });
+
+    it('resolves the fallbacks of the platform in order', function () {
+        const submit = locator({
+            android: '~submit',
+            fallbacks: [
+                by.xpath('//*[@text="Submit"]'),
+                { ios: by.predicate('label == "Submit"') },
+                { android: by.uiSelector('new UiSelector().text("Send")'), default: '~send' }
+            ]
+        });
+
+        expect(submit.resolveFallbacks('android')).to.deep.equal([
+            '//*[@text="Submit"]',
+            'android=new UiSelector().text("Send")'
+        ]);
+        expect(submit.resolveFallbacks('ios')).to.deep.equal([
+            '//*[@text="Submit"]',
+            '-ios predicate string:label == "Submit"',
+            '~send'
+        ]);
+    });
+});
+
+describe('Selector resolution', function () {
+    it('passes selector strings through', function () {
+        expect(resolveSelector('~login', 'ios')).to.equal('~login');
+    });
+
+    it('resolves locators and plain locator descriptors', function () {
+        expect(resolveSelector(new Locator({ ios: by.classChain('**/XCUIElementTypeButton') }), 'ios'))
+            .to.equal('-ios class chain:**/XCUIElementTypeButton');
+        expect(resolveSelector({ android: '~login', ios: '~signIn' }, 'ios')).to.equal('~signIn');
+        expect(() => resolveSelector({ android: '~login' }, 'ios')).to.throw(LocatorError, 'has no ios variant');
+    });
+
+    it('rejects values that are not selectors', function () {
+        for (const selector of [null, 42, { text: 'Login' }]) {
+            const error = resolveInvalid(() => resolveSelector(selector, 'android'));
+            expect(error).to.be.instanceOf(LocatorError);
+            expect(error.message).to.equal(`Invalid selector: ${JSON.stringify(selector)}`);
+        }
+    });
+});
@@ -0,0 +1,188 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import networkProxy from '../../src/utils/networkProxy.js';
+import networkProxyClient from '../../src/utils/networkProxyClient.js';
+
+/**
+ * Send a request through the proxy
+ * @param {number} port - Proxy port
+ * @param {string} urlPath - Request path
+ * @param {Object} options - Request options
+ * @param {string} [options.method] - HTTP method (default: GET)
+ * @param {Object} [options.headers] - Request headers
+ * @param {string} [options.body] - Request body
+ * @returns {Promise<{status: number, headers: Object, body: string}>} Response
+ */
+function request(port, urlPath, { method = 'GET', headers = {}, body = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: urlPath, method, headers }, res => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+describe('Network proxy', function () {
+    let backend;
+    let harDir;
+    let port;
+
+    before(async function () {
+        // Local stand-in backend that echoes the request
+        backend = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ method: req.method, path: req.url, body }));
+            });
+        });
+        await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+
+        harDir = fs.mkdtempSync(path.join(os.tmpdir(), 'network-har-'));
+        networkProxy.configure({
+            host: '127.0.0.1',
+            port: 0,
+            target: `http://127.0.0.1:${backend.address().port}`,
+            harDir
+        });
+        await networkProxy.start();
+        port = networkProxy.options.port;
+        networkProxyClient.configure({ baseUrl: `http://127.0.0.1:${port}`, client: null });
+    });
+
+    after(async function () {
+        await networkProxy.stop();
+        await new Promise(resolve => backend.close(resolve));
+        fs.rmSync(harDir, { recursive: true, force: true });
+    });
+
+    afterEach(function () {
+        for (const testId of networkProxy.tests.keys()) {
+            networkProxy.stopTest(testId, { save: false });
+        }
+    });
+
+    it('forwards requests to the target and records them', async function () {
+        await networkProxyClient.startTest('recording');
+
+        const response = await request(port, '/api/orders?page=2', {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: '{"item":1}'
+        });
+
+        expect(response.status).to.equal(200);
+        expect(JSON.parse(response.body)).to.deep.equal({ method: 'POST', path: '/api/orders?page=2', body: '{"item":1}' });
+
+        const [entry, ...rest] = await networkProxyClient.getEntries('recording');
+        expect(rest).to.be.empty;
+        expect(entry.request).to.include({ method: 'POST', url: `${networkProxy.options.target}/api/orders?page=2` });
+        expect(entry.request.postData.text).to.equal('{"item":1}');
+        expect(entry.response.status).to.equal(200);
+        expect(entry.response.content.text).to.include('/api/orders?page=2');
+    });
+
+    it('answers matching requests with the most recent mock', async function () {
+        await networkProxyClient.startTest('mocks');
+        await networkProxyClient.mock('mocks', { url: /\/api\/orders(\?|$)/, status: 500, body: 'first' });
+        await networkProxyClient.mock('mocks', { url: /\/api\/orders(\?|$)/, method: 'GET', status: 503, body: { error: 'down' } });
+
+        const mocked = await request(port, '/api/orders');
+        expect(mocked.status).to.equal(503);
+        expect(mocked.headers['content-type']).to.include('application/json');
+        expect(JSON.parse(mocked.body)).to.deep.equal({ error: 'down' });
+
+        // The method of the latest mock does not match, so the earlier one answers
+        const posted = await request(port, '/api/orders', { method: 'POST' });
+        expect(posted.status).to.equal(500);
+        expect(posted.body).to.equal('first');
+
+        // Requests no mock matches go to the target
+        const forwarded = await request(port, '/api/orders/7');
+        expect(forwarded.status).to.equal(200);
+
+        await networkProxyClient.clearMocks('mocks');
+        expect((await request(port, '/api/orders')).status).to.equal(200);
+
+        const entries = await networkProxyClient.getEntries('mocks');
+        expect(entries.map(entry => entry.response.status)).to.deep.equal([503, 500, 200, 200]);
+    });
+
+    it('rejects mocks with an invalid pattern', async function () {
+        await networkProxyClient.startTest('invalid-mock');
+
+        let error;
+        try {
+            await networkProxyClient.mock('invalid-mock', { url: { regex: '(', flags: '' } });
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).to.be.an('error');
+        expect(error.cause.response.status).to.equal(400);
+    });
+
+    it('keeps the traffic and mocks of concurrent clients apart', async function () {
+        await networkProxyClient.startTest('device-a', { client: 'emulator-5554' });
+        await networkProxyClient.startTest('device-b', { client: 'emulator-5556' });
+        await networkProxyClient.mock('device-a', { url: '/api/profile', status: 404 });
+
+        const fromA = await request(port, '/api/profile', { headers: { 'x-proxy-client': 'emulator-5554' } });
+        const fromB = await request(port, '/api/profile', { headers: { 'x-proxy-client': 'emulator-5556' } });
+
+        expect(fromA.status).to.equal(404);
+        expect(fromB.status).to.equal(200);
+        expect(networkProxy.getEntries('device-a')).to.have.lengthOf(1);
+        expect(networkProxy.getEntries('device-b')).to.have.lengthOf(1);
+        expect(networkProxy.getEntries('device-b')[0].response.status).to.equal(200);
+    });
+
+    it('refuses a second test for the same client', async function () {
+        await networkProxy.startTest('first', { client: 'emulator-5554' });
+
+        let error;
+        try {
+            await networkProxy.startTest('second', { client: 'emulator-5554' });
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error.status).to.equal(409);
+        expect(error.message).to.include('already recording test first');
+    });
+
+    it('gives a test with a dedicated port all traffic sent to that port', async function () {
+        await networkProxyClient.startTest('unbound');
+        const { port: dedicatedPort } = await networkProxyClient.startTest('farm', { dedicatedPort: true });
+        expect(dedicatedPort).to.be.a('number').and.not.equal(port);
+
+        await request(dedicatedPort, '/api/farm');
+
+        expect(networkProxy.getEntries('farm').map(entry => entry.request.url)).to.deep.equal([
+            `${networkProxy.options.target}/api/farm`
+        ]);
+        expect(networkProxy.getEntries('unbound')).to.be.empty;
+    });
+
+    it('writes the recorded traffic to a HAR file when the test stops', async function () {
+        await networkProxyClient.startTest('suite/har test');
+        await request(port, '/api/items');
+
+        const { harPath, entries } = await networkProxyClient.stopTest('suite/har test');
+
+        expect(harPath).to.equal(path.join(harDir, 'suite_har_test.har'));
+        expect(entries).to.equal(1);
+
+        const har = JSON.parse(fs.readFileSync(harPath, 'utf8'));
+        expect(har.log.version).to.equal('1.2');
+        expect(har.log.entries).to.have.lengthOf(1);
+        expect(har.log.entries[0].request.url).to.equal(`${networkProxy.options.target}/api/items`);
+    });
+});
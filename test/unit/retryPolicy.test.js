@@ -0,0 +1,152 @@
+import { expect } from 'chai';
+import retryPolicy from '../../src/utils/retryPolicy.js';
+import { ElementNotFoundError, GestureError } from '../../src/utils/errors.js';
+
+/**
+ * Create an error with a WebDriver error name
+ * @param {string} name - Error name
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function webdriverError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+/**
+ * Create an action that fails with the given errors before succeeding
+ * @param {Array<Error>} errors - Errors thrown by the first calls
+ * @returns {Function} Action counting its calls in `calls`
+ */
+function failingAction(errors) {
+    const action = async () => {
+        action.calls++;
+        if (action.calls <= errors.length) throw errors[action.calls - 1];
+        return 'done';
+    };
+    action.calls = 0;
+    return action;
+}
+
+describe('Retry policy', function () {
+    const originalOptions = { ...retryPolicy.options };
+    const originalWarn = console.warn;
+    let warnings;
+
+    beforeEach(function () {
+        warnings = [];
+        console.warn = message => warnings.push(message);
+        retryPolicy.configure({ maxAttempts: 3, initialDelay: 1, backoffFactor: 2, maxDelay: 2000 });
+    });
+
+    afterEach(function () {
+        console.warn = originalWarn;
+        retryPolicy.configure(originalOptions);
+        retryPolicy.recoveryHooks = [];
+    });
+
+    describe('error classification', function () {
+        it('retries stale, not interactable and intercepted errors by name or message', function () {
+            expect(retryPolicy.isRetryable(webdriverError('StaleElementReferenceError', 'gone'))).to.be.true;
+            expect(retryPolicy.isRetryable(new Error('stale element reference: element is not attached'))).to.be.true;
+            expect(retryPolicy.isRetryable(new Error('Element Not Interactable'))).to.be.true;
+            expect(retryPolicy.isRetryable(webdriverError('element click intercepted', 'other element would receive the click'))).to.be.true;
+        });
+
+        it('does not retry other errors', function () {
+            expect(retryPolicy.isRetryable(new Error('no such element'))).to.be.false;
+            expect(retryPolicy.isRetryable(webdriverError('TimeoutError', 'element still not displayed'))).to.be.false;
+            expect(retryPolicy.isRetryable(null)).to.be.false;
+        });
+
+        it('accepts error classes in the retryable errors', function () {
+            const error = new ElementNotFoundError('not found', {});
+
+            expect(retryPolicy.isRetryable(error)).to.be.false;
+            expect(retryPolicy.isRetryable(error, [ElementNotFoundError])).to.be.true;
+            expect(retryPolicy.isRetryable(new GestureError('rejected', {}), [ElementNotFoundError])).to.be.false;
+        });
+    });
+
+    describe('execution', function () {
+        it('retries retryable errors with exponential backoff up to the maximum delay', async function () {
+            retryPolicy.configure({ maxAttempts: 5, initialDelay: 4, maxDelay: 10 });
+            const action = failingAction([
+                new Error('stale element reference'),
+                new Error('element not interactable'),
+                new Error('stale element reference'),
+                new Error('element click intercepted')
+            ]);
+
+            expect(await retryPolicy.execute(action)).to.equal('done');
+            expect(action.calls).to.equal(5);
+            expect(warnings.map(warning => /retrying in (\d+)ms/.exec(warning)[1])).to.deep.equal(['4', '8', '10', '10']);
+            expect(warnings[0]).to.equal('[Retry] Attempt 1/5 failed (stale element reference), retrying in 4ms');
+        });
+
+        it('fails immediately on errors that are not retryable', async function () {
+            const notFound = new ElementNotFoundError('not found', {});
+            const action = failingAction([notFound]);
+
+            let error;
+            try {
+                await retryPolicy.execute(action);
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).to.equal(notFound);
+            expect(error.attempts).to.equal(1);
+            expect(action.calls).to.equal(1);
+        });
+
+        it('gives up after the maximum attempts', async function () {
+            const stale = new GestureError('stale element reference', {});
+            const action = failingAction([stale, stale, stale]);
+
+            let error;
+            try {
+                await retryPolicy.execute(action);
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).to.equal(stale);
+            expect(error.attempts).to.equal(3);
+            expect(action.calls).to.equal(3);
+        });
+
+        it('applies overrides to the actions inside a block', async function () {
+            const action = failingAction([new Error('no such element')]);
+
+            const result = await retryPolicy.withOverrides({ retryableErrors: ['no such element'] }, () => retryPolicy.execute(action));
+
+            expect(result).to.equal('done');
+            expect(action.calls).to.equal(2);
+        });
+
+        it('runs nested actions once so retries do not multiply', async function () {
+            const inner = failingAction([new Error('stale element reference'), new Error('stale element reference')]);
+            const outer = retryPolicy.wrap(() => retryPolicy.execute(inner));
+
+            expect(await outer()).to.equal('done');
+            expect(inner.calls).to.equal(3);
+            expect(warnings).to.have.lengthOf(2);
+        });
+
+        it('retries any error a recovery hook recovered from', async function () {
+            const dialogError = new Error('no such element');
+            const action = failingAction([dialogError]);
+            const seen = [];
+            retryPolicy.addRecoveryHook(async error => {
+                seen.push(error);
+                return true;
+            });
+
+            expect(await retryPolicy.execute(action)).to.equal('done');
+            expect(seen).to.deep.equal([dialogError]);
+            expect(warnings[0]).to.equal('[Retry] Attempt 1/3 failed (no such element), recovered and retrying');
+        });
+    });
+});
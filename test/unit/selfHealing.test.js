@@ -0,0 +1,85 @@
+import { expect } from 'chai';
+import selfHealingManager from '../../src/utils/selfHealing.js';
+import { findElement } from '../../src/base/elementAction.js';
+import { ElementNotFoundError } from '../../src/utils/errors.js';
+
+const LIST_SOURCE = `<?xml version="1.0" encoding="UTF-8"?>
+<hierarchy>
+    <android.widget.TextView resource-id="com.a:id/title" text="Fruit" displayed="true" />
+    <android.widget.TextView resource-id="com.a:id/item" text="Apples" content-desc="" displayed="true" />
+    <android.widget.TextView resource-id="com.a:id/item" text="Bananas" content-desc="banana-row" displayed="true" />
+    <android.widget.Button resource-id="com.a:id/checkout" text="Checkout" displayed="true" />
+</hierarchy>`;
+
+const IOS_SOURCE = `<?xml version="1.0" encoding="UTF-8"?>
+<XCUIElementTypeApplication name="Shop" label="Shop" visible="true">
+    <XCUIElementTypeSearchField name="search" value="Search" visible="true" />
+    <XCUIElementTypeButton name="submit" label="Submit" value="" visible="true" />
+</XCUIElementTypeApplication>`;
+
+describe('Self-healing similarity match', function () {
+    it('targets a list row by the text that matched, not by its shared resource id', function () {
+        const match = selfHealingManager.findSimilarNode(LIST_SOURCE, { text: 'Banana' }, 'android');
+
+        expect(match).to.deep.equal({
+            selector: 'android=new UiSelector().text("Bananas")',
+            score: 1 - (1 / 7),
+            key: 'text'
+        });
+    });
+
+    it('targets a node by the label that matched', function () {
+        const match = selfHealingManager.findSimilarNode(LIST_SOURCE, { label: 'banana-rows' }, 'android');
+
+        expect(match.selector).to.equal('~banana-row');
+    });
+
+    it('uses a resource id that only one node has', function () {
+        const match = selfHealingManager.findSimilarNode(LIST_SOURCE, { resourceId: 'com.a:id/checkouts' }, 'android');
+
+        expect(match).to.include({ selector: 'id=com.a:id/checkout', key: 'resourceId' });
+    });
+
+    it('does not heal with a resource id that several nodes share', function () {
+        const match = selfHealingManager.findSimilarNode(LIST_SOURCE, { resourceId: 'com.a:id/items' }, 'android');
+
+        expect(match).to.be.null;
+    });
+
+    it('targets an iOS node by the attribute its text came from', function () {
+        const match = selfHealingManager.findSimilarNode(IOS_SOURCE, { text: 'Searchs' }, 'ios');
+        expect(match.selector).to.equal('-ios predicate string:value == "Search"');
+
+        const labelled = selfHealingManager.findSimilarNode(IOS_SOURCE, { text: 'Submitt' }, 'ios');
+        expect(labelled.selector).to.equal('-ios predicate string:label == "Submit"');
+    });
+});
+
+describe('Self-healing in element lookups', function () {
+    it('reports a failing heal with the lookup failure', async function () {
+        const driver = {
+            isAndroid: true,
+            async $() {
+                return {
+                    async waitForExist() {
+                        throw new Error('still not displayed');
+                    }
+                };
+            },
+            async getPageSource() {
+                throw new Error('session is gone');
+            }
+        };
+
+        let error;
+        try {
+            await findElement(driver, { android: '~login', heal: true }, 10);
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).to.be.instanceOf(ElementNotFoundError);
+        expect(error.healingError).to.equal('session is gone');
+        expect(error.cause.message).to.equal('still not displayed');
+    });
+});
@@ -0,0 +1,130 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PNG } from 'pngjs';
+import visualComparator from '../../src/utils/visualComparator.js';
+import { VisualMismatchError } from '../../src/utils/errors.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'visual');
+
+/**
+ * Read a PNG fixture
+ * @param {string} name - Fixture name without extension
+ * @returns {PNG} Image
+ */
+function readFixture(name) {
+    return PNG.sync.read(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.png`)));
+}
+
+/**
+ * Create a driver whose screenshots are the given fixture
+ * @param {string} fixture - Fixture name without extension
+ * @returns {Object} Driver with a 20x20 screen
+ */
+function createDriver(fixture) {
+    return {
+        isAndroid: true,
+        capabilities: { deviceName: 'Pixel 5' },
+        async getWindowSize() {
+            return { width: 20, height: 20 };
+        },
+        async saveScreenshot(filePath) {
+            fs.copyFileSync(path.join(FIXTURES_DIR, `${fixture}.png`), filePath);
+        }
+    };
+}
+
+/**
+ * Run a screen check expecting it to fail
+ * @param {string} fixture - Fixture the screen shows
+ * @param {Object} options - Check options
+ * @returns {VisualMismatchError} Error thrown by the check
+ */
+async function checkMismatch(fixture, options = {}) {
+    try {
+        await visualComparator.checkScreen(createDriver(fixture), 'button', { ignore: [], ...options });
+    } catch (error) {
+        return error;
+    }
+    throw new Error(`Screen ${fixture} matched its baseline`);
+}
+
+describe('Visual comparison', function () {
+    const originalOptions = { ...visualComparator.options };
+    let workDir;
+
+    beforeEach(async function () {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'visual-'));
+        visualComparator.configure({
+            baselineDir: path.join(workDir, 'baselines'),
+            outputDir: path.join(workDir, 'output'),
+            threshold: 0.1,
+            maxDiffRatio: 0,
+            updateBaselines: false
+        });
+
+        // The first check of a screen creates its baseline
+        const created = await visualComparator.checkScreen(createDriver('button'), 'button', { ignore: [] });
+        expect(created).to.include({ baselineUpdated: true, diffPixels: 0 });
+        expect(created.baselinePath).to.equal(path.join(workDir, 'baselines', 'android', 'Pixel_5', 'button.png'));
+        expect(fs.existsSync(created.baselinePath)).to.be.true;
+    });
+
+    afterEach(function () {
+        visualComparator.configure(originalOptions);
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('passes an identical screen', async function () {
+        const result = await visualComparator.checkScreen(createDriver('button'), 'button', { ignore: [] });
+
+        expect(result).to.include({ baselineUpdated: false, diffPixels: 0, diffRatio: 0, diffPath: null });
+    });
+
+    it('passes a screen whose colors differ within the threshold', async function () {
+        const result = await visualComparator.checkScreen(createDriver('button-shade'), 'button', { ignore: [] });
+        expect(result.diffPixels).to.equal(0);
+
+        // Without a color threshold the same shade counts as a difference
+        const error = await checkMismatch('button-shade', { threshold: 0 });
+        expect(error).to.be.instanceOf(VisualMismatchError);
+        expect(error.diffPixels).to.equal(100);
+    });
+
+    it('fails a screen outside the threshold and writes a diff image', async function () {
+        const error = await checkMismatch('button-moved');
+
+        expect(error).to.be.instanceOf(VisualMismatchError);
+        expect(error.diffPixels).to.equal(60);
+        expect(error.diffRatio).to.equal(60 / 400);
+        expect(error.message).to.include('differs from its baseline by 15.00% (60 pixels, allowed 0.00%)');
+        expect(error.diffPath).to.match(/button_.+_diff\.png$/);
+
+        const diff = PNG.sync.read(fs.readFileSync(error.diffPath));
+        expect(diff).to.include({ width: 20, height: 20 });
+    });
+
+    it('allows differences up to the maximum diff ratio', async function () {
+        const result = await visualComparator.checkScreen(createDriver('button-moved'), 'button', {
+            ignore: [],
+            maxDiffRatio: 0.15
+        });
+
+        expect(result).to.include({ diffPixels: 60, diffPath: null });
+    });
+
+    it('ignores differences inside ignore regions', async function () {
+        const result = await visualComparator.checkScreen(createDriver('button-moved'), 'button', {
+            ignore: [{ x: 5, y: 5, width: 13, height: 10 }]
+        });
+        expect(result.diffPixels).to.equal(0);
+
+        const comparison = visualComparator.compareImages(readFixture('button'), readFixture('button-moved'), {
+            threshold: 0.1,
+            regions: [{ x: 0, y: 0, width: 20, height: 10 }]
+        });
+        expect(comparison).to.include({ sizeMismatch: false, diffPixels: 30 });
+    });
+});
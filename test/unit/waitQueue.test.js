@@ -0,0 +1,147 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WaitQueue, getTestPriority } from '../../src/utils/waitQueue.js';
+import { DeviceAllocationError } from '../../src/utils/errors.js';
+
+/**
+ * Build a queue entry of this process
+ * @param {string} id - Waiter ID
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object} Queue entry
+ */
+function queueEntry(id, fields = {}) {
+    const now = new Date().toISOString();
+    return { id, group: 'android', priority: 'normal', data: {}, pid: process.pid, host: os.hostname(), enqueuedAt: now, seenAt: now, ...fields };
+}
+
+describe('Device wait queue', function () {
+    let queueDir;
+    let queuePath;
+    let queue;
+
+    beforeEach(async function () {
+        queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wait-queue-'));
+        queuePath = path.join(queueDir, 'device-queue.json');
+        queue = new WaitQueue(queuePath);
+        await queue.reset();
+    });
+
+    afterEach(function () {
+        fs.rmSync(queueDir, { recursive: true, force: true });
+    });
+
+    it('serves waiters by priority, then in arrival order, per group', async function () {
+        await queue.join('login', 'android', 'normal');
+        await queue.join('search', 'android', 'low');
+        await queue.join('checkout', 'ios', 'normal');
+        await queue.join('smoke', 'android', 'high', { tags: ['nfc'] });
+        await queue.join('profile', 'android', 'normal');
+
+        expect(queue.getEntries().map(entry => entry.id)).to.deep.equal(['smoke', 'login', 'profile', 'search', 'checkout']);
+
+        // Joining again refreshes the entry without moving it to the back
+        const { position, length, ahead } = await queue.join('login', 'android', 'normal');
+        expect({ position, length }).to.deep.equal({ position: 1, length: 4 });
+        expect(ahead).to.have.lengthOf(1);
+        expect(ahead[0]).to.include({ id: 'smoke', priority: 'high' });
+        expect(ahead[0].data).to.deep.equal({ tags: ['nfc'] });
+
+        expect((await queue.join('checkout', 'ios')).position).to.equal(0);
+    });
+
+    it('rejects unknown priorities', async function () {
+        let error;
+        try {
+            await queue.join('login', 'android', 'urgent');
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).to.be.instanceOf(DeviceAllocationError);
+        expect(error.message).to.equal('Invalid queue priority "urgent" (expected one of: high, normal, low)');
+        expect(error.priority).to.equal('urgent');
+    });
+
+    it('drops entries of processes that are gone and entries that were not refreshed', async function () {
+        const stale = new Date(Date.now() - 120000).toISOString();
+        fs.writeFileSync(queuePath, JSON.stringify({
+            entries: [
+                queueEntry('crashed', { pid: 999999 }),
+                queueEntry('other-host', { pid: 999999, host: 'ci-agent-2' }),
+                queueEntry('abandoned', { host: 'ci-agent-2', enqueuedAt: stale, seenAt: stale }),
+                queueEntry('waiting')
+            ],
+            stats: {}
+        }));
+
+        // A dead process on another host cannot be checked, so only its TTL expires it
+        expect(queue.getEntries().map(entry => entry.id)).to.deep.equal(['other-host', 'waiting']);
+
+        queue.configure({ entryTtl: 0 });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const { position, length } = await queue.join('waiting', 'android');
+        expect({ position, length }).to.deep.equal({ position: 0, length: 1 });
+    });
+
+    it('records wait times of allocated and timed out waiters per group', async function () {
+        fs.writeFileSync(queuePath, JSON.stringify({
+            entries: [
+                queueEntry('login', { enqueuedAt: new Date(Date.now() - 4000).toISOString() }),
+                queueEntry('search', { enqueuedAt: new Date(Date.now() - 2000).toISOString() }),
+                queueEntry('checkout', { group: 'ios' }),
+                queueEntry('profile')
+            ],
+            stats: {}
+        }));
+
+        expect(await queue.leave('login', 'allocated')).to.be.within(4000, 5000);
+        await queue.leave('search', 'timeout');
+        await queue.leave('checkout', 'allocated');
+        // Waits left without an outcome and unknown waiters are not counted
+        await queue.leave('profile');
+        expect(await queue.leave('unknown', 'allocated')).to.equal(0);
+
+        const { android, ios } = queue.getMetrics();
+        expect(android).to.include({ requests: 2, timedOut: 1 });
+        expect(android.totalWaitMs).to.be.within(6000, 7000);
+        expect(android.maxWaitMs).to.be.within(4000, 5000);
+        expect(android.averageWaitMs).to.equal(Math.round(android.totalWaitMs / 2));
+        expect(ios).to.include({ requests: 1, timedOut: 0 });
+        expect(queue.getEntries()).to.be.empty;
+
+        await queue.reset();
+        expect(queue.getMetrics()).to.deep.equal({});
+    });
+});
+
+describe('Test queue priority', function () {
+    it('reads the priority from tags in the test title', function () {
+        expect(getTestPriority('Checkout @priority:low pays by card')).to.equal('low');
+        expect(getTestPriority('Login @smoke signs in')).to.equal('high');
+        expect(getTestPriority('Login @smoke @priority:normal signs in')).to.equal('normal');
+    });
+
+    it('uses the fallback for untagged tests and unknown levels', function () {
+        expect(getTestPriority('Search finds products', 'normal')).to.equal('normal');
+        expect(getTestPriority('Search @priority:urgent finds products', 'low')).to.equal('low');
+        expect(getTestPriority('Search @smoker finds products', 'normal')).to.equal('normal');
+    });
+
+    it('defaults to DEVICE_QUEUE_PRIORITY', function () {
+        const original = process.env.DEVICE_QUEUE_PRIORITY;
+        try {
+            process.env.DEVICE_QUEUE_PRIORITY = 'low';
+            expect(getTestPriority('Search finds products')).to.equal('low');
+            delete process.env.DEVICE_QUEUE_PRIORITY;
+            expect(getTestPriority('Search finds products')).to.equal('normal');
+        } finally {
+            if (original === undefined) {
+                delete process.env.DEVICE_QUEUE_PRIORITY;
+            } else {
+                process.env.DEVICE_QUEUE_PRIORITY = original;
+            }
+        }
+    });
+});